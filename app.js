@@ -20,6 +20,10 @@ var app = express();
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
+// SSE and WebSocket clients send bearer tokens as ?access_token=; keep them out of the request log
+logger.token('url', function(req) {
+  return (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/gi, '$1[redacted]');
+});
 app.use(logger('dev'));
 
 // Skip JSON parsing for webhook routes to preserve raw body for signature verification
@@ -1,6 +1,9 @@
 var express = require('express');
 var router = express.Router();
 const { Resend } = require('resend');
+const { resendApiKey } = require('./mailboxRouter');
+
+router.use(resendApiKey());
 
 /**
  * @swagger
@@ -11,6 +14,7 @@ const { Resend } = require('resend');
  *     tags: [Audiences]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -70,15 +74,8 @@ const { Resend } = require('resend');
  */
 router.post('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Extract audience data from request body
     const { name } = req.body;
@@ -157,6 +154,7 @@ router.post('/', async function(req, res, next) {
  *     tags: [Audiences]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     responses:
  *       200:
  *         description: Audiences retrieved successfully
@@ -206,15 +204,8 @@ router.post('/', async function(req, res, next) {
  */
 router.get('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Initialize Resend with API key
     const resend = new Resend(apiKey);
@@ -258,6 +249,7 @@ router.get('/', async function(req, res, next) {
  *     tags: [Audiences]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: audienceId
@@ -319,15 +311,8 @@ router.get('/', async function(req, res, next) {
  */
 router.get('/:audienceId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get audience ID from URL parameters
     const { audienceId } = req.params;
@@ -381,6 +366,7 @@ router.get('/:audienceId', async function(req, res, next) {
  *     tags: [Audiences]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: audienceId
@@ -442,15 +428,8 @@ router.get('/:audienceId', async function(req, res, next) {
  */
 router.delete('/:audienceId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get audience ID from URL parameters
     const { audienceId } = req.params;
@@ -1,6 +1,9 @@
 var express = require('express');
 var router = express.Router();
 const { Resend } = require('resend');
+const { resendApiKey } = require('./mailboxRouter');
+
+router.use(resendApiKey());
 
 /**
  * @swagger
@@ -11,6 +14,7 @@ const { Resend } = require('resend');
  *     tags: [Broadcasts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -74,15 +78,8 @@ const { Resend } = require('resend');
  */
 router.post('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Extract broadcast data from request body
     const { 
@@ -212,6 +209,7 @@ router.post('/', async function(req, res, next) {
  *     tags: [Broadcasts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: query
  *         name: limit
@@ -287,15 +285,8 @@ router.post('/', async function(req, res, next) {
  */
 router.get('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get query parameters
     const { limit, offset } = req.query;
@@ -347,6 +338,7 @@ router.get('/', async function(req, res, next) {
  *     tags: [Broadcasts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: broadcastId
@@ -417,15 +409,8 @@ router.get('/', async function(req, res, next) {
  */
 router.get('/:broadcastId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get broadcast ID from URL parameters
     const { broadcastId } = req.params;
@@ -479,6 +464,7 @@ router.get('/:broadcastId', async function(req, res, next) {
  *     tags: [Broadcasts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: broadcastId
@@ -540,15 +526,8 @@ router.get('/:broadcastId', async function(req, res, next) {
  */
 router.delete('/:broadcastId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get broadcast ID from URL parameters
     const { broadcastId } = req.params;
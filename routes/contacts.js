@@ -1,6 +1,9 @@
 var express = require('express');
 var router = express.Router();
 const { Resend } = require('resend');
+const { resendApiKey } = require('./mailboxRouter');
+
+router.use(resendApiKey());
 
 /**
  * @swagger
@@ -11,6 +14,7 @@ const { Resend } = require('resend');
  *     tags: [Contacts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -82,15 +86,8 @@ const { Resend } = require('resend');
  */
 router.post('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Extract contact data from request body
     const { 
@@ -187,6 +184,7 @@ router.post('/', async function(req, res, next) {
  *     tags: [Contacts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: query
  *         name: audience_id
@@ -264,15 +262,8 @@ router.post('/', async function(req, res, next) {
  */
 router.get('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get query parameters
     const { audience_id, limit, offset } = req.query;
@@ -325,6 +316,7 @@ router.get('/', async function(req, res, next) {
  *     tags: [Contacts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: contactId
@@ -389,15 +381,8 @@ router.get('/', async function(req, res, next) {
  */
 router.get('/:contactId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get contact ID from URL parameters
     const { contactId } = req.params;
@@ -451,6 +436,7 @@ router.get('/:contactId', async function(req, res, next) {
  *     tags: [Contacts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: contactId
@@ -530,15 +516,8 @@ router.get('/:contactId', async function(req, res, next) {
  */
 router.put('/:contactId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get contact ID from URL parameters
     const { contactId } = req.params;
@@ -637,6 +616,7 @@ router.put('/:contactId', async function(req, res, next) {
  *     tags: [Contacts]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: contactId
@@ -698,15 +678,8 @@ router.put('/:contactId', async function(req, res, next) {
  */
 router.delete('/:contactId', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get contact ID from URL parameters
     const { contactId } = req.params;
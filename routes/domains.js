@@ -1,6 +1,9 @@
 var express = require('express');
 var router = express.Router();
 const { Resend } = require('resend');
+const { resendApiKey } = require('./mailboxRouter');
+
+router.use(resendApiKey('admin'));
 
 /**
  * @swagger
@@ -11,6 +14,7 @@ const { Resend } = require('resend');
  *     tags: [Domains]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -92,15 +96,8 @@ const { Resend } = require('resend');
  */
 router.post('/', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get domain name from request body
     const { name } = req.body;
@@ -163,6 +160,7 @@ router.post('/', async function(req, res, next) {
  *     tags: [Domains]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -226,15 +224,8 @@ router.post('/', async function(req, res, next) {
  */
 router.post('/verify', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get domain from request body
     const { id } = req.body;
@@ -295,6 +286,7 @@ router.post('/verify', async function(req, res, next) {
  *     tags: [Domains]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -379,15 +371,8 @@ router.post('/verify', async function(req, res, next) {
  */
 router.get('/status/:id', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get domain ID from URL parameters
     const { id } = req.params;
@@ -441,6 +426,7 @@ router.get('/status/:id', async function(req, res, next) {
  *     tags: [Domains]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -502,15 +488,8 @@ router.get('/status/:id', async function(req, res, next) {
  */
 router.delete('/:id', async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Get domain ID from URL parameters
     const { id } = req.params;
@@ -1,6 +1,7 @@
 var express = require('express');
 var router = express.Router();
 const { Resend } = require('resend');
+const { resendApiKey } = require('./mailboxRouter');
 const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
@@ -15,6 +16,7 @@ const { URL } = require('url');
  *     tags: [Emails]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -73,17 +75,10 @@ const { URL } = require('url');
  *               success: false
  *               error: "Internal server error during email sending"
  */
-router.post('/send', async function(req, res, next) {
+router.post('/send', resendApiKey('send'), async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     // Extract email data from request body
     const { 
@@ -234,6 +229,7 @@ router.post('/send', async function(req, res, next) {
  *     tags: [Emails]
  *     security:
  *       - ApiKeyAuth: []
+ *       - MailboxBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -276,17 +272,10 @@ router.post('/send', async function(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/batch', async function(req, res, next) {
+router.post('/batch', resendApiKey('send'), async function(req, res, next) {
   try {
-    // Get API key from header
-    const apiKey = req.headers['resend_api_key'];
-    
-    if (!apiKey) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing resend_api_key in headers'
-      });
-    }
+    // Stored key of the caller's integration, or the resend_api_key header
+    const apiKey = req.resendApiKey;
 
     const { emails } = req.body;
 
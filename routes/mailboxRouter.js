@@ -4,38 +4,482 @@ const { Router } = require("express");
 const { Redis } = require("@upstash/redis");
 const crypto = require("crypto");
 const nodemailer = require("nodemailer");
+const MailComposer = require("nodemailer/lib/mail-composer");
 const { ImapFlow } = require("imapflow");
 const { z } = require("zod");
 const { ulid } = require("ulid");
 const { EventEmitter } = require("events");
+const { WebSocketServer, WebSocket } = require("ws");
 const { simpleParser } = require("mailparser");
+const { pipeline } = require("stream/promises");
+const dns = require("dns");
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
 
-// ------------------------- Redis client -------------------------
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
+// ------------------------- Storage -------------------------
+// كل التخزين يمر عبر store بواجهة أوامر Redis (بأسلوب @upstash/redis) ونفس الدلالات في كل adapter:
+// القيم غير النصية تُخزَّن JSON وتُعاد مفكوكة، ونتائج xrange/xrevrange كائن { streamId: fields }
+//   MAILBOX_STORE = upstash | redis | memory
+//   الافتراضي: upstash مع UPSTASH_REDIS_REST_URL، وإلا redis مع REDIS_URL، وإلا memory (نسخة واحدة، بلا استمرارية)
+const serializeValue = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+function deserializeValue(raw) {
+  if (raw === null || raw === undefined) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+const streamFields = (flat) => {
+  const fields = {};
+  for (let i = 0; i < flat.length; i += 2) fields[flat[i]] = deserializeValue(flat[i + 1]);
+  return fields;
+};
+
+// compare-and-set: التجديد والتحرير فقط إن كانت القيمة ما زالت لنفس المالك، والكتابة فقط فوق نفس القيمة المقروءة
+const PEXPIRE_IF_EQUALS_LUA = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end`;
+const DEL_IF_EQUALS_LUA = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end`;
+const SET_IF_EQUALS_LUA = `if redis.call("get", KEYS[1]) == ARGV[1] then redis.call("set", KEYS[1], ARGV[2]) return 1 else return 0 end`;
+
+function upstashStore() {
+  const client = new Redis({
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN,
+  });
+  return Object.assign(client, {
+    kind: "upstash",
+    pexpireIfEquals: (key, value, ms) => client.eval(PEXPIRE_IF_EQUALS_LUA, [key], [value, String(ms)]).then(Number),
+    delIfEquals: (key, value) => client.eval(DEL_IF_EQUALS_LUA, [key], [value]).then(Number),
+    setIfEquals: (key, expected, value) =>
+      client.eval(SET_IF_EQUALS_LUA, [key], [serializeValue(expected), serializeValue(value)]).then(Number),
+  });
+}
+
+// Redis عادي (أو متوافق: Valkey, KeyDB, Dragonfly) عبر ioredis
+function ioredisStore() {
+  let IORedis;
+  try {
+    IORedis = require("ioredis");
+  } catch {
+    throw new Error('MAILBOX_STORE=redis requires the "ioredis" package');
+  }
+  const client = new IORedis(process.env.REDIS_URL || "redis://127.0.0.1:6379", { lazyConnect: false, maxRetriesPerRequest: 3 });
+  client.on("error", (err) => console.error("Redis error:", err.message));
+
+  const setArgs = ({ nx, px, ex } = {}) => [...(px ? ["PX", px] : ex ? ["EX", ex] : []), ...(nx ? ["NX"] : [])];
+  const streamObject = (entries) => Object.fromEntries((entries || []).map(([id, flat]) => [id, streamFields(flat)]));
+
+  return {
+    kind: "redis",
+    client,
+    get: async (key) => deserializeValue(await client.get(key)),
+    set: (key, value, opts) => client.set(key, serializeValue(value), ...setArgs(opts)),
+    del: (...keys) => client.del(...keys),
+    expire: (key, seconds) => client.expire(key, seconds),
+    incr: (key) => client.incr(key),
+    sadd: (key, ...members) => client.sadd(key, ...members.map(serializeValue)),
+    srem: (key, ...members) => client.srem(key, ...members.map(serializeValue)),
+    smembers: async (key) => (await client.smembers(key)).map(deserializeValue),
+    rpush: (key, ...values) => client.rpush(key, ...values.map(serializeValue)),
+    lrange: async (key, start, stop) => (await client.lrange(key, start, stop)).map(deserializeValue),
+    ltrim: (key, start, stop) => client.ltrim(key, start, stop),
+    scan: (cursor, { match = "*", count = 10 } = {}) => client.scan(cursor, "MATCH", match, "COUNT", count),
+    xadd: (key, id, fields, { trim } = {}) =>
+      client.xadd(
+        key,
+        ...(trim ? [trim.type, trim.comparison, trim.threshold] : []),
+        id,
+        ...Object.entries(fields).flatMap(([field, value]) => [field, serializeValue(value)])
+      ),
+    xrange: async (key, start, end, count) => streamObject(await client.xrange(key, start, end, ...(count ? ["COUNT", count] : []))),
+    xrevrange: async (key, end, start, count) =>
+      streamObject(await client.xrevrange(key, end, start, ...(count ? ["COUNT", count] : []))),
+    pexpireIfEquals: (key, value, ms) => client.eval(PEXPIRE_IF_EQUALS_LUA, 1, key, value, String(ms)).then(Number),
+    delIfEquals: (key, value) => client.eval(DEL_IF_EQUALS_LUA, 1, key, value).then(Number),
+    setIfEquals: (key, expected, value) =>
+      client.eval(SET_IF_EQUALS_LUA, 1, key, serializeValue(expected), serializeValue(value)).then(Number),
+  };
+}
+
+// للتطوير والاختبار: كل شيء في الذاكرة بنفس التسلسل (JSON) حتى لا تتشارك القيم المعادة مراجع
+function memoryStore() {
+  const data = new Map(); // key -> { type, value, expiresAt }
+
+  const live = (key) => {
+    const item = data.get(key);
+    if (item && item.expiresAt && item.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return item || null;
+  };
+  const ofType = (key, type, create = false) => {
+    let item = live(key);
+    if (item && item.type !== type) throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+    if (!item && create) {
+      item = { type, value: type === "set" ? new Set() : [], expiresAt: null };
+      data.set(key, item);
+    }
+    return item;
+  };
+  const globRegex = (glob) =>
+    new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+  const listIndex = (len, i) => (i < 0 ? Math.max(len + i, 0) : i);
+
+  // معرّفات الـ stream: ms-seq؛ "(" تعني حداً غير شامل
+  let lastStreamId = [0, 0];
+  const parseId = (id, fallbackSeq) => {
+    const [ms, seq] = String(id).split("-");
+    return [Number(ms), seq === undefined ? fallbackSeq : Number(seq)];
+  };
+  const cmpId = (a, b) => a[0] - b[0] || a[1] - b[1];
+  const inRange = (entryId, low, high) => {
+    const id = parseId(entryId, 0);
+    const lowOk = low === "-" || (low.startsWith("(") ? cmpId(id, parseId(low.slice(1), 0)) > 0 : cmpId(id, parseId(low, 0)) >= 0);
+    const highOk = high === "+" || (high.startsWith("(") ? cmpId(id, parseId(high.slice(1), Infinity)) < 0 : cmpId(id, parseId(high, Infinity)) <= 0);
+    return lowOk && highOk;
+  };
+  const streamObject = (entries) => Object.fromEntries(entries.map((e) => [e.id, streamFields(e.flat)]));
+
+  return {
+    kind: "memory",
+    async get(key) {
+      return deserializeValue(ofType(key, "string")?.value);
+    },
+    async set(key, value, { nx, px, ex } = {}) {
+      if (nx && live(key)) return null;
+      data.set(key, { type: "string", value: serializeValue(value), expiresAt: px ? Date.now() + px : ex ? Date.now() + ex * 1000 : null });
+      return "OK";
+    },
+    async del(...keys) {
+      return keys.filter((key) => live(key) && data.delete(key)).length;
+    },
+    async expire(key, seconds) {
+      const item = live(key);
+      if (!item) return 0;
+      item.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+    async incr(key) {
+      const item = ofType(key, "string");
+      const next = (item ? Number(item.value) : 0) + 1;
+      if (!Number.isSafeInteger(next)) throw new Error("ERR value is not an integer or out of range");
+      if (item) item.value = String(next); // مثل Redis: INCR يبقي الـ TTL
+      else data.set(key, { type: "string", value: String(next), expiresAt: null });
+      return next;
+    },
+    async sadd(key, ...members) {
+      const set = ofType(key, "set", true).value;
+      return members.map(serializeValue).filter((m) => !set.has(m) && set.add(m)).length;
+    },
+    async srem(key, ...members) {
+      const item = ofType(key, "set");
+      if (!item) return 0;
+      const removed = members.map(serializeValue).filter((m) => item.value.delete(m)).length;
+      if (!item.value.size) data.delete(key);
+      return removed;
+    },
+    async smembers(key) {
+      return Array.from(ofType(key, "set")?.value || []).map(deserializeValue);
+    },
+    async rpush(key, ...values) {
+      const list = ofType(key, "list", true).value;
+      list.push(...values.map(serializeValue));
+      return list.length;
+    },
+    async lrange(key, start, stop) {
+      const list = ofType(key, "list")?.value || [];
+      return list.slice(listIndex(list.length, start), stop < 0 ? list.length + stop + 1 : stop + 1).map(deserializeValue);
+    },
+    async ltrim(key, start, stop) {
+      const item = ofType(key, "list");
+      if (!item) return "OK";
+      item.value = item.value.slice(listIndex(item.value.length, start), stop < 0 ? item.value.length + stop + 1 : stop + 1);
+      if (!item.value.length) data.delete(key);
+      return "OK";
+    },
+    async scan(cursor, { match = "*" } = {}) {
+      const re = globRegex(match);
+      return ["0", Array.from(data.keys()).filter((key) => re.test(key) && live(key))];
+    },
+    async xadd(key, id, fields, { trim } = {}) {
+      const stream = ofType(key, "stream", true).value;
+      const now = Date.now();
+      lastStreamId = now > lastStreamId[0] ? [now, 0] : [lastStreamId[0], lastStreamId[1] + 1];
+      const streamId = id === "*" ? `${lastStreamId[0]}-${lastStreamId[1]}` : id;
+      stream.push({ id: streamId, flat: Object.entries(fields).flatMap(([f, v]) => [f, serializeValue(v)]) });
+      if (trim && stream.length > trim.threshold) stream.splice(0, stream.length - trim.threshold);
+      return streamId;
+    },
+    async xrange(key, start, end, count) {
+      const entries = (ofType(key, "stream")?.value || []).filter((e) => inRange(e.id, start, end));
+      return streamObject(count ? entries.slice(0, count) : entries);
+    },
+    async xrevrange(key, end, start, count) {
+      const entries = (ofType(key, "stream")?.value || []).filter((e) => inRange(e.id, start, end)).reverse();
+      return streamObject(count ? entries.slice(0, count) : entries);
+    },
+    async pexpireIfEquals(key, value, ms) {
+      const item = ofType(key, "string");
+      if (!item || item.value !== value) return 0;
+      item.expiresAt = Date.now() + ms;
+      return 1;
+    },
+    async delIfEquals(key, value) {
+      const item = ofType(key, "string");
+      if (!item || item.value !== value) return 0;
+      data.delete(key);
+      return 1;
+    },
+    async setIfEquals(key, expected, value) {
+      const item = ofType(key, "string");
+      if (!item || item.value !== serializeValue(expected)) return 0;
+      data.set(key, { type: "string", value: serializeValue(value), expiresAt: null });
+      return 1;
+    },
+  };
+}
+
+const storeAdapters = { upstash: upstashStore, redis: ioredisStore, memory: memoryStore };
+
+function createStore(kind = process.env.MAILBOX_STORE) {
+  kind = kind || (process.env.UPSTASH_REDIS_REST_URL ? "upstash" : process.env.REDIS_URL ? "redis" : "memory");
+  const factory = storeAdapters[kind];
+  if (!factory) throw new Error(`Unknown MAILBOX_STORE "${kind}" (expected ${Object.keys(storeAdapters).join(", ")})`);
+  if (kind === "memory" && !process.env.MAILBOX_STORE) {
+    // في الإنتاج متغير ناقص أو بإملاء خاطئ يعني فقدان الحسابات والمفاتيح عند إعادة التشغيل
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("No UPSTASH_REDIS_REST_URL or REDIS_URL configured; set MAILBOX_STORE=memory to run in memory in production");
+    }
+    console.warn("No UPSTASH_REDIS_REST_URL or REDIS_URL configured; mailbox data is kept in memory only");
+  }
+  return factory();
+}
+
+// الاسم من قبل وجود الـ adapters؛ قد يكون أي store
+const redis = createStore();
 
 // ------------------------- Crypto helpers -------------------------
-// Envelope للتخزين: AES-256-GCM مع HKDF subkey و AAD لكل سجل
-function getMasterKey() {
-  const b64 = process.env.CONFIG_MASTER_KEY_BASE64;
-  
-  console.log(process.env.CONFIG_MASTER_KEY_BASE64);
-  if (!b64) throw new Error("CONFIG_MASTER_KEY_BASE64 is required");
+// Envelope للتخزين: AES-256-GCM مع data key لكل سجل و AAD؛ مصدر الـ data key هو key provider
+//   MAILBOX_KEY_PROVIDER = local (الافتراضي) | file | vault
+// كل provider يعرض:
+//   dataKey()       -> { key, header }  مفتاح جديد للتشفير + حقول تُحفظ في الـ envelope لاسترجاعه
+//   openKeys(env)   -> [key, ...]       المفاتيح المرشّحة لفك envelope (أكثر من واحد فقط لـ v1)
+//   isCurrent(env)  -> boolean          هل الـ envelope مختوم بالمفتاح الحالي
+//   describe()      -> { primaryKeyId, keyIds, ... }
+//   refresh()       اختياري: يحدّث ما يحتاجه isCurrent من مصدر خارجي
+const ENVELOPE_VERSION = 2;
+const KEY_CACHE_MS = parseInt(process.env.MAILBOX_KEY_CACHE_MS || "300000", 10) || 300_000;
+const KEY_CACHE_MAX = 1000;
+
+function parseMasterKey(kid, b64, source) {
   const key = Buffer.from(b64, "base64");
-  if (key.length !== 32) throw new Error("CONFIG_MASTER_KEY_BASE64 must be 32 bytes (base64 of 32 bytes)");
+  if (key.length !== 32) throw new Error(`${source} key "${kid}" must be 32 bytes (base64 of 32 bytes)`);
   return key;
 }
 
-function hkdfSubkey(salt, info) {
-  const master = getMasterKey();
+function hkdfSubkey(master, salt, info) {
   return crypto.hkdfSync("sha256", master, salt, Buffer.from(info, "utf8"), 32);
 }
 
-function encryptJSON(payload, aad) {
-  const salt = crypto.randomBytes(16);
-  const key = hkdfSubkey(salt, "mailbox:v1");
+function keyProviderError(message) {
+  const err = new Error(message);
+  err.code = "KEY_PROVIDER_ERROR";
+  return err;
+}
+
+// مفتاح رئيسي محلي يُشتق منه subkey لكل سجل بـ HKDF و salt عشوائي
+function derivedKeyProvider(name, loadKeyring) {
+  return {
+    name,
+    async dataKey() {
+      const { primary, keys } = loadKeyring();
+      const salt = crypto.randomBytes(16);
+      return { key: hkdfSubkey(keys.get(primary), salt, "mailbox:v1"), header: { kid: primary, salt: salt.toString("base64") } };
+    },
+    async openKeys(env) {
+      const { keys } = loadKeyring();
+      const salt = Buffer.from(env.salt, "base64");
+      // v1 بلا kid: نجرّب كل المفاتيح؛ الـ GCM tag يرفض المفتاح الخطأ
+      if (env.v === 1) return Array.from(keys.values()).map((master) => hkdfSubkey(master, salt, "mailbox:v1"));
+      const master = keys.get(env.kid);
+      if (!master) {
+        const err = new Error(`Encryption key "${env.kid}" is not in the keyring`);
+        err.code = "UNKNOWN_KEY_ID";
+        throw err;
+      }
+      return [hkdfSubkey(master, salt, "mailbox:v1")];
+    },
+    isCurrent(env) {
+      return env.v === ENVELOPE_VERSION && env.kid === loadKeyring().primary;
+    },
+    describe() {
+      const { primary, keys } = loadKeyring();
+      return { primaryKeyId: primary, keyIds: Array.from(keys.keys()) };
+    },
+  };
+}
+
+// keyring: مفتاح أساسي واحد للتشفير والباقي لفك التشفير فقط حتى يُعاد تغليف كل السجلات
+//   CONFIG_MASTER_KEYS="kid:base64,kid:base64"  و CONFIG_MASTER_KEY_PRIMARY=kid (الافتراضي أول مفتاح)
+//   CONFIG_MASTER_KEY_BASE64 القديم يبقى مدعوماً باسم CONFIG_MASTER_KEY_ID (الافتراضي "default")
+let cachedKeyring = null;
+
+function getKeyring() {
+  const { CONFIG_MASTER_KEYS, CONFIG_MASTER_KEY_PRIMARY, CONFIG_MASTER_KEY_BASE64, CONFIG_MASTER_KEY_ID } = process.env;
+  const source = [CONFIG_MASTER_KEYS, CONFIG_MASTER_KEY_PRIMARY, CONFIG_MASTER_KEY_BASE64, CONFIG_MASTER_KEY_ID].join("|");
+  if (cachedKeyring?.source === source) return cachedKeyring;
+
+  const keys = new Map();
+  for (const item of (CONFIG_MASTER_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const i = item.indexOf(":");
+    if (i <= 0) throw new Error("CONFIG_MASTER_KEYS entries must look like kid:base64");
+    const kid = item.slice(0, i);
+    if (keys.has(kid)) throw new Error(`Duplicate key id "${kid}" in CONFIG_MASTER_KEYS`);
+    keys.set(kid, parseMasterKey(kid, item.slice(i + 1), "CONFIG_MASTER_KEYS"));
+  }
+  const legacyKid = CONFIG_MASTER_KEY_ID || "default";
+  if (CONFIG_MASTER_KEY_BASE64 && !keys.has(legacyKid)) {
+    keys.set(legacyKid, parseMasterKey(legacyKid, CONFIG_MASTER_KEY_BASE64, "CONFIG_MASTER_KEY_BASE64"));
+  }
+  if (!keys.size) throw new Error("CONFIG_MASTER_KEYS or CONFIG_MASTER_KEY_BASE64 is required");
+
+  const primary = CONFIG_MASTER_KEY_PRIMARY || keys.keys().next().value;
+  if (!keys.has(primary)) throw new Error(`CONFIG_MASTER_KEY_PRIMARY "${primary}" is not in the keyring`);
+  cachedKeyring = { source, primary, keys };
+  return cachedKeyring;
+}
+
+// للتطوير: مفتاح في ملف (MAILBOX_KEY_FILE)؛ يُنشأ تلقائياً خارج production
+let cachedFileKeyring = null;
+
+function getFileKeyring() {
+  const file = path.resolve(process.env.MAILBOX_KEY_FILE || ".mailbox-key");
+  if (cachedFileKeyring?.file === file) return cachedFileKeyring;
+  if (!fs.existsSync(file)) {
+    if (process.env.NODE_ENV === "production") throw new Error(`Key file ${file} does not exist`);
+    fs.writeFileSync(file, crypto.randomBytes(32).toString("base64") + "\n", { mode: 0o600, flag: "wx" });
+    console.warn(`Created development key file ${file}; do not use it in production`);
+  }
+  const master = parseMasterKey(file, fs.readFileSync(file, "utf8").trim(), "MAILBOX_KEY_FILE");
+  // kid من بصمة المفتاح: تبديل الملف يظهر كمفتاح مختلف بدل خطأ فك تشفير غامض
+  const kid = `file:${crypto.createHash("sha256").update(master).digest("hex").slice(0, 12)}`;
+  cachedFileKeyring = { file, primary: kid, keys: new Map([[kid, master]]) };
+  return cachedFileKeyring;
+}
+
+// HashiCorp Vault transit: data key لكل سجل من datakey/plaintext، ويُحفظ مغلّفاً (dk) ويُفك بـ decrypt
+//   VAULT_ADDR, VAULT_TOKEN, VAULT_NAMESPACE (اختياري), VAULT_TRANSIT_MOUNT (transit), VAULT_TRANSIT_KEY (omni-email)
+function vaultKeyProvider() {
+  const unwrapped = new Map(); // dk -> { key, expiresAt }
+  let latestVersion = null;
+
+  const config = () => {
+    const { VAULT_ADDR, VAULT_TOKEN, VAULT_NAMESPACE } = process.env;
+    if (!VAULT_ADDR || !VAULT_TOKEN) throw keyProviderError("VAULT_ADDR and VAULT_TOKEN are required for the vault key provider");
+    return {
+      addr: VAULT_ADDR.replace(/\/+$/, ""),
+      token: VAULT_TOKEN,
+      namespace: VAULT_NAMESPACE || null,
+      mount: process.env.VAULT_TRANSIT_MOUNT || "transit",
+      key: process.env.VAULT_TRANSIT_KEY || "omni-email",
+    };
+  };
+
+  async function vault(method, endpoint, body) {
+    const c = config();
+    let resp;
+    try {
+      resp = await fetch(`${c.addr}/v1/${c.mount}/${endpoint}/${encodeURIComponent(c.key)}`, {
+        method,
+        headers: {
+          "X-Vault-Token": c.token,
+          ...(c.namespace ? { "X-Vault-Namespace": c.namespace } : {}),
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(10000),
+      });
+    } catch (err) {
+      throw keyProviderError(`Vault request failed: ${err.message}`);
+    }
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw keyProviderError(`Vault ${endpoint} failed (${resp.status}): ${(data.errors || []).join("; ") || resp.statusText}`);
+    return data.data || {};
+  }
+
+  const versionOf = (dk) => Number(/^vault:v(\d+):/.exec(dk || "")?.[1]) || null;
+  const kid = () => `vault:${config().key}`;
+
+  function remember(dk, key) {
+    if (unwrapped.size >= KEY_CACHE_MAX) unwrapped.delete(unwrapped.keys().next().value);
+    unwrapped.set(dk, { key, expiresAt: Date.now() + KEY_CACHE_MS });
+  }
+
+  return {
+    name: "vault",
+    async dataKey() {
+      const data = await vault("POST", "datakey/plaintext", { bits: 256 });
+      const key = Buffer.from(data.plaintext, "base64");
+      latestVersion = Math.max(latestVersion || 0, versionOf(data.ciphertext) || 0);
+      remember(data.ciphertext, key);
+      return { key, header: { kid: kid(), dk: data.ciphertext } };
+    },
+    async openKeys(env) {
+      if (env.kid !== kid()) {
+        const err = new Error(`Encryption key "${env.kid}" is not the configured Vault transit key`);
+        err.code = "UNKNOWN_KEY_ID";
+        throw err;
+      }
+      const hit = unwrapped.get(env.dk);
+      if (hit && hit.expiresAt > Date.now()) return [hit.key];
+      const data = await vault("POST", "decrypt", { ciphertext: env.dk });
+      const key = Buffer.from(data.plaintext, "base64");
+      remember(env.dk, key);
+      return [key];
+    },
+    // بعد تدوير المفتاح في Vault تُعدّ الـ data keys المغلّفة بإصدار أقدم قديمة
+    isCurrent(env) {
+      return env.v === ENVELOPE_VERSION && env.kid === kid() && (!latestVersion || versionOf(env.dk) >= latestVersion);
+    },
+    async refresh() {
+      latestVersion = (await vault("GET", "keys")).latest_version || latestVersion;
+    },
+    describe() {
+      return { primaryKeyId: kid(), keyIds: [kid()], latestVersion };
+    },
+  };
+}
+
+// يمكن إضافة providers أخرى (KMS مثلاً) بنفس الواجهة: mailboxRouter.keyProviders.kms = {...}
+const keyProviders = {
+  local: derivedKeyProvider("local", getKeyring),
+  file: derivedKeyProvider("file", getFileKeyring),
+  vault: vaultKeyProvider(),
+};
+
+function activeKeyProvider() {
+  const name = process.env.MAILBOX_KEY_PROVIDER || "local";
+  const provider = keyProviders[name];
+  if (!provider) throw keyProviderError(`Unknown MAILBOX_KEY_PROVIDER "${name}"`);
+  return provider;
+}
+
+// envelope بلا kp كُتب قبل وجود الـ providers وهو local
+function envelopeProvider(env) {
+  const provider = keyProviders[env.kp || "local"];
+  if (!provider) throw keyProviderError(`Unknown key provider "${env.kp}" in envelope`);
+  return provider;
+}
+
+async function encryptJSON(payload, aad) {
+  const provider = activeKeyProvider();
+  const { key, header } = await provider.dataKey();
   const iv = crypto.randomBytes(12);
   const cipher = crypto.createCipheriv("aes-256-gcm", key, iv, { authTagLength: 16 });
   cipher.setAAD(Buffer.from(aad, "utf8"));
@@ -43,22 +487,20 @@ function encryptJSON(payload, aad) {
   const ct = Buffer.concat([cipher.update(pt), cipher.final()]);
   const tag = cipher.getAuthTag();
   return {
-    v: 1,
+    v: ENVELOPE_VERSION,
+    kp: provider.name,
+    ...header,
     alg: "AES-256-GCM",
-    salt: salt.toString("base64"),
     iv: iv.toString("base64"),
     tag: tag.toString("base64"),
     ct: ct.toString("base64"),
   };
 }
 
-function decryptJSON(env, aad) {
-  if (!env || env.v !== 1 || env.alg !== "AES-256-GCM") throw new Error("Unsupported envelope");
-  const salt = Buffer.from(env.salt, "base64");
+function decryptWith(key, env, aad) {
   const iv = Buffer.from(env.iv, "base64");
   const tag = Buffer.from(env.tag, "base64");
   const ct = Buffer.from(env.ct, "base64");
-  const key = hkdfSubkey(salt, "mailbox:v1");
   const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv, { authTagLength: 16 });
   decipher.setAAD(Buffer.from(aad, "utf8"));
   decipher.setAuthTag(tag);
@@ -66,30 +508,122 @@ function decryptJSON(env, aad) {
   return JSON.parse(pt.toString("utf8"));
 }
 
+async function decryptJSON(env, aad) {
+  if (!env || ![1, ENVELOPE_VERSION].includes(env.v) || env.alg !== "AES-256-GCM") throw new Error("Unsupported envelope");
+  let lastError = null;
+  for (const key of await envelopeProvider(env).openKeys(env)) {
+    try {
+      return decryptWith(key, env, aad);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// سجل مختوم بـ provider آخر أو بمفتاح غير الحالي أو بـ envelope v1
+function needsRewrap(env) {
+  if (!env) return false;
+  const provider = activeKeyProvider();
+  return (env.kp || "local") !== provider.name || !provider.isCurrent(env);
+}
+
+// يعيد تغليف enc بالمفتاح الحالي؛ الكتابة compare-and-set على السجل كله فأي تعديل بعد قراءته
+// (PUT، settings، تجديد توكن OAuth) يُلغي إعادة التغليف بدل أن يُكتب فوقه
+async function rewrapRecord(key, record, aad) {
+  if (!needsRewrap(record?.enc)) return false;
+  const current = await redis.get(key);
+  if (!current || current.enc?.ct !== record.enc.ct) return false;
+  const enc = await encryptJSON(await decryptJSON(current.enc, aad), aad);
+  return (await redis.setIfEquals(key, current, { ...current, enc })) === 1;
+}
+
+// إعادة التغليف الكسولة عند القراءة؛ فشلها لا يؤثر على الطلب
+function rewrapLater(key, record, aad) {
+  try {
+    if (!needsRewrap(record?.enc)) return;
+  } catch (err) {
+    return console.warn(`Failed to check encryption key of ${key}:`, err.message);
+  }
+  rewrapRecord(key, record, aad).catch((err) => console.warn(`Failed to re-encrypt ${key}:`, err.message));
+}
+
 // ------------------------- Schemas -------------------------
 const ConnType = z.enum(["SSL/TLS", "STARTTLS"]);
 const ServerSettings = z.object({
   server: z.string().min(1),
   port: z.number().int().positive(),
   username: z.string().min(1),
-  password: z.string().min(1),
+  password: z.string().min(1).optional(), // غير مطلوب عند استخدام oauth2
   connection: ConnType,
 });
-const SecretPayload = z.object({
-  label: z.string().optional(),
-  primaryEmail: z.string().email(),
-  imap: ServerSettings,
-  smtp: ServerSettings,
-});
+// بيانات OAuth2 (XOAUTH2) لـ Gmail و Microsoft 365؛ accessToken/expiresAt يُحدَّثان تلقائياً
+const OAuth2Credentials = z
+  .object({
+    provider: z.enum(["google", "microsoft", "custom"]).default("custom"),
+    clientId: z.string().min(1),
+    clientSecret: z.string().min(1).optional(),
+    refreshToken: z.string().min(1),
+    tokenEndpoint: z.string().url().optional(), // يتجاوز عنوان المزوّد الافتراضي
+    scope: z.string().optional(),
+    accessToken: z.string().optional(),
+    expiresAt: z.number().int().optional(), // ms since epoch
+  })
+  .refine((o) => o.provider !== "custom" || o.tokenEndpoint, {
+    message: "tokenEndpoint is required for custom OAuth2 providers",
+    path: ["tokenEndpoint"],
+  });
+
+function requireCredentials(v, ctx) {
+  if (v.oauth2) return;
+  for (const key of ["imap", "smtp"]) {
+    // بدون imap/smtp تُكتشف الإعدادات ويُستخدم password العام
+    if (v[key] ? !v[key].password : !v.password) {
+      const path = v[key] ? [key, "password"] : ["password"];
+      ctx.addIssue({ code: "custom", message: "password is required unless oauth2 is provided", path });
+    }
+  }
+}
+
+const SecretPayload = z
+  .object({
+    label: z.string().optional(),
+    primaryEmail: z.string().email(),
+    imap: ServerSettings,
+    smtp: ServerSettings,
+    oauth2: OAuth2Credentials.optional(),
+  })
+  .superRefine(requireCredentials);
+
+// إعدادات الحساب غير السرية (تُخزَّن في السجل نفسه وليس داخل enc)
+const AccountSettings = z
+  .object({
+    saveToSent: z.boolean().optional(),
+    sentFolder: z.string().min(1).nullable().optional(),
+    draftsFolder: z.string().min(1).nullable().optional(),
+    alwaysWatch: z.boolean().optional(),
+  })
+  .strict();
+
+const DEFAULT_SETTINGS = {
+  saveToSent: true, // عطّله لمزوّدين مثل Gmail يحفظون الرسائل المرسلة تلقائياً
+  sentFolder: null, // null = اكتشاف تلقائي عبر special-use \Sent
+  draftsFolder: null, // null = اكتشاف تلقائي عبر special-use \Drafts
+  alwaysWatch: false, // مراقبة INBOX دائماً حتى دون عملاء SSE
+};
 
 const CreateAccountSchema = z.object({
   integrationId: z.string().min(1),
   label: z.string().optional(),
   primaryEmail: z.string().email(),
-  imap: ServerSettings,
-  smtp: ServerSettings,
+  imap: ServerSettings.optional(), // يُكتشف تلقائياً عند الغياب
+  smtp: ServerSettings.optional(),
+  password: z.string().min(1).optional(), // لـ imap و smtp المكتشفين
+  preset: z.string().min(1).optional(),
+  oauth2: OAuth2Credentials.optional(),
+  settings: AccountSettings.optional(),
   testConnection: z.boolean().optional().default(false),
-});
+}).superRefine(requireCredentials);
 
 const SendSchema = z.object({
   to: z.array(z.string().email()).nonempty(),
@@ -109,6 +643,92 @@ const SendSchema = z.object({
     .optional(),
 });
 
+// استعلام بحث منظّم يُترجم إلى معايير ImapFlow search()
+const SearchQuery = z.lazy(() =>
+  z
+    .object({
+      from: z.string().min(1).optional(),
+      to: z.string().min(1).optional(),
+      cc: z.string().min(1).optional(),
+      bcc: z.string().min(1).optional(),
+      subject: z.string().min(1).optional(),
+      body: z.string().min(1).optional(),
+      text: z.string().min(1).optional(),
+      since: z.coerce.date().optional(),
+      before: z.coerce.date().optional(),
+      sentSince: z.coerce.date().optional(),
+      sentBefore: z.coerce.date().optional(),
+      seen: z.boolean().optional(),
+      flagged: z.boolean().optional(),
+      answered: z.boolean().optional(),
+      draft: z.boolean().optional(),
+      deleted: z.boolean().optional(),
+      keyword: z.string().min(1).optional(),
+      larger: z.number().int().nonnegative().optional(),
+      smaller: z.number().int().positive().optional(),
+      hasAttachment: z.boolean().optional(),
+      header: z.record(z.string().min(1), z.string()).optional(),
+      and: z.array(SearchQuery).optional(),
+      or: z.array(SearchQuery).min(2).optional(),
+      not: SearchQuery.optional(),
+    })
+    .strict()
+);
+
+const SearchSchema = z.object({
+  folder: z.string().optional(),
+  query: SearchQuery.default({}),
+  limit: z.number().int().min(1).max(100).default(20),
+  page: z.number().int().min(1).default(1),
+  fresh: z.boolean().optional().default(false), // تجاوز الـ cache
+});
+
+// المسودّة بنفس شكل SendSchema لكن قد تكون بلا مستلمين بعد
+const DraftSchema = SendSchema.extend({
+  to: z.array(z.string().email()).optional().default([]),
+});
+
+// reply/forward يعيدان استخدام شكل SendSchema؛ المستلمون والموضوع يُشتقّون من الرسالة الأصلية
+const ReplySchema = SendSchema.omit({ to: true, subject: true }).extend({
+  folder: z.string().optional(),
+  all: z.boolean().optional().default(false),
+  to: z.array(z.string().email()).optional(),
+  subject: z.string().optional(),
+  quote: z.boolean().optional().default(true),
+});
+
+const ForwardSchema = SendSchema.omit({ subject: true }).extend({
+  folder: z.string().optional(),
+  subject: z.string().optional(),
+  includeAttachments: z.boolean().optional().default(true),
+});
+
+// عمليات على الرسائل: uids من body (bulk) أو من :uid (رسالة واحدة)
+const UidList = z.array(z.number().int().positive()).nonempty().max(1000);
+const FlagList = z.array(z.string().min(1)).nonempty();
+
+const FlagsActionSchema = z
+  .object({
+    folder: z.string().optional(),
+    uids: UidList,
+    add: FlagList.optional(),
+    remove: FlagList.optional(),
+    set: z.array(z.string().min(1)).optional(),
+  })
+  .refine((b) => b.add || b.remove || b.set, { message: "One of add, remove or set is required" })
+  .refine((b) => !(b.set && (b.add || b.remove)), { message: "set cannot be combined with add or remove" });
+
+const TransferActionSchema = z.object({
+  folder: z.string().optional(),
+  uids: UidList,
+  destination: z.string().min(1),
+});
+
+const DeleteActionSchema = z.object({
+  folder: z.string().optional(),
+  uids: UidList,
+});
+
 // ------------------------- Utils -------------------------
 function maskEmail(email) {
   const [name, domain] = String(email).split("@");
@@ -118,25 +738,228 @@ function maskEmail(email) {
   return `${masked}@${domain}`;
 }
 
+const DEFAULT_FOLDER = "INBOX";
+
+// IMAP folder path من query أو body (الافتراضي INBOX)
+function folderFrom(value) {
+  const folder = typeof value === "string" ? value.trim() : "";
+  return folder || DEFAULT_FOLDER;
+}
+
+function summarizeFolder(f) {
+  return {
+    path: f.path,
+    name: f.name,
+    delimiter: f.delimiter || null,
+    parentPath: f.parentPath || null,
+    specialUse: f.specialUse || null,
+    flags: Array.from(f.flags || []),
+    subscribed: !!f.subscribed,
+    selectable: !(f.flags && f.flags.has && f.flags.has("\\Noselect")),
+    total: f.status?.messages ?? null,
+    unread: f.status?.unseen ?? null,
+  };
+}
+
+function summarizeEnvelope(msg) {
+  return {
+    uid: msg.uid,
+    subject: msg.envelope?.subject,
+    from: (msg.envelope?.from || []).map((a) => a.address).filter(Boolean),
+    to: (msg.envelope?.to || []).map((a) => a.address).filter(Boolean),
+    date: msg.internalDate,
+    flags: Array.from(msg.flags || []),
+  };
+}
+
+// أجزاء BODYSTRUCTURE النهائية (leaf)؛ الرسالة أحادية الجزء جزؤها "1"
+function flattenParts(node, out = []) {
+  if (!node) return out;
+  if (node.childNodes && node.childNodes.length) {
+    for (const child of node.childNodes) flattenParts(child, out);
+  } else {
+    out.push({ ...node, part: node.part || "1" });
+  }
+  return out;
+}
+
+function partFilename(node) {
+  return node.dispositionParameters?.filename || node.parameters?.name || null;
+}
+
+function attachmentParts(bodyStructure) {
+  return flattenParts(bodyStructure)
+    .filter((node) => node.disposition === "attachment" || (partFilename(node) && !String(node.type).startsWith("multipart/")))
+    .map((node) => ({
+      part: node.part,
+      filename: partFilename(node),
+      contentType: node.type,
+      encoding: node.encoding || null,
+      size: node.size ?? null,
+      disposition: node.disposition || null,
+      contentId: node.id || null,
+    }));
+}
+
+// نص معاينة قصير من أول جزء نصي؛ يُحمَّل جزئياً (maxBytes) دون جلب الرسالة كاملة
+async function messageSnippet(client, uid, bodyStructure, length = 160) {
+  const parts = flattenParts(bodyStructure).filter((p) => !p.disposition || p.disposition === "inline");
+  const part = parts.find((p) => p.type === "text/plain") || parts.find((p) => p.type === "text/html");
+  if (!part) return null;
+  const { content } = await client.download(String(uid), part.part, { uid: true, maxBytes: 4096 });
+  if (!content) return null;
+  const chunks = [];
+  for await (const chunk of content) chunks.push(chunk);
+  let text = Buffer.concat(chunks).toString("utf8");
+  if (part.type === "text/html") {
+    text = text.replace(/<(style|script)[\s\S]*?<\/\1>/gi, " ").replace(/<[^>]+>/g, " ").replace(/&nbsp;/g, " ");
+  }
+  text = text
+    .split(/\r?\n/)
+    .filter((line) => !line.trim().startsWith(">"))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.slice(0, length) || null;
+}
+
+function contentDispositionHeader(type, filename) {
+  if (!filename) return type;
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
 const kUserIndex = (integrationId) => `mail:user:${integrationId}:accounts`;
 const kAccount = (accountId) => `mail:acc:${accountId}`;
 
+// سجلات الحسابات وفهرسها لكل integration؛ المسارات لا تلمس مفاتيحها مباشرة
+const accounts = {
+  get: (accountId) => redis.get(kAccount(accountId)),
+  save: (record) => redis.set(kAccount(record.id), record),
+  async create(record) {
+    await redis.set(kAccount(record.id), record);
+    await redis.sadd(kUserIndex(record.integrationId), record.id);
+  },
+  async listIds(integrationId) {
+    return ((await redis.smembers(kUserIndex(integrationId))) || []).map(String);
+  },
+  async remove(record) {
+    await redis.del(kAccount(record.id));
+    await redis.srem(kUserIndex(record.integrationId), record.id);
+  },
+};
+
 async function loadAccount(accountId, mustExist = true) {
-  const rec = await redis.get(kAccount(accountId));
+  const rec = await accounts.get(accountId);
   if (!rec && mustExist) throw new Error("Account not found");
   return rec;
 }
 
+// المفاتيح المعروفة فقط: سجلات قديمة قد تحمل webhookUrl الذي حلّت محله الاشتراكات الموقّعة
+function accountSettings(acc) {
+  const stored = acc.settings || {};
+  return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([key, value]) => [key, stored[key] ?? value]));
+}
+
+function toMailAttachments(list) {
+  return (list || []).map((a) => ({
+    filename: a.filename,
+    content: Buffer.from(a.contentBase64, "base64"),
+    contentType: a.contentType,
+  }));
+}
+
+// ------------------------- OAuth2 (XOAUTH2) -------------------------
+const OAUTH2_EXPIRY_SKEW_MS = 60 * 1000;
+
+function tokenEndpointFor(oauth2) {
+  if (oauth2.tokenEndpoint) return oauth2.tokenEndpoint;
+  if (oauth2.provider === "google") {
+    return process.env.OAUTH2_GOOGLE_TOKEN_URL || "https://oauth2.googleapis.com/token";
+  }
+  if (oauth2.provider === "microsoft") {
+    return process.env.OAUTH2_MICROSOFT_TOKEN_URL || "https://login.microsoftonline.com/common/oauth2/v2.0/token";
+  }
+  throw new Error("OAuth2 tokenEndpoint is not configured");
+}
+
+async function refreshAccessToken(oauth2) {
+  const form = new URLSearchParams({
+    grant_type: "refresh_token",
+    client_id: oauth2.clientId,
+    refresh_token: oauth2.refreshToken,
+  });
+  if (oauth2.clientSecret) form.set("client_secret", oauth2.clientSecret);
+  if (oauth2.scope) form.set("scope", oauth2.scope);
+
+  const resp = await fetch(tokenEndpointFor(oauth2), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: form,
+    signal: AbortSignal.timeout(15000),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || !data.access_token) {
+    const err = new Error(`OAuth2 token refresh failed: ${data.error_description || data.error || `HTTP ${resp.status}`}`);
+    err.code = "OAUTH2_REFRESH_FAILED";
+    throw err;
+  }
+  return {
+    ...oauth2,
+    accessToken: data.access_token,
+    expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+    // بعض المزوّدين (Microsoft) يدوّرون refresh_token مع كل تحديث
+    refreshToken: data.refresh_token || oauth2.refreshToken,
+  };
+}
+
+const tokenRefreshes = new Map(); // accountId -> Promise<oauth2>
+
+// يفك تشفير secret الحساب ويجدّد access token عند الحاجة مع حفظه في Redis
+async function decryptAccount(acc) {
+  const aad = `${acc.id}:${acc.integrationId}`;
+  const secret = await decryptJSON(acc.enc, aad);
+  rewrapLater(kAccount(acc.id), acc, aad);
+  return secret;
+}
+
+async function accountSecret(acc) {
+  const aad = `${acc.id}:${acc.integrationId}`;
+  const secret = await decryptAccount(acc);
+  const oauth2 = secret.oauth2;
+  if (!oauth2 || (oauth2.accessToken && oauth2.expiresAt - OAUTH2_EXPIRY_SKEW_MS > Date.now())) return secret;
+
+  let pending = tokenRefreshes.get(acc.id);
+  if (!pending) {
+    pending = (async () => {
+      const refreshed = await refreshAccessToken(oauth2);
+      // لا نكتب فوق secret استُبدل أثناء التجديد (PUT /accounts/:id)
+      const current = await loadAccount(acc.id, false);
+      if (current && current.enc?.ct === acc.enc.ct) {
+        await accounts.save({ ...current, enc: await encryptJSON({ ...secret, oauth2: refreshed }, aad) });
+      }
+      return refreshed;
+    })().finally(() => tokenRefreshes.delete(acc.id));
+    tokenRefreshes.set(acc.id, pending);
+  }
+  return { ...secret, oauth2: await pending };
+}
+
+function serverAuth(secret, server) {
+  if (!secret.oauth2) return { user: server.username, pass: server.password };
+  if (!secret.oauth2.accessToken) throw new Error("OAuth2 access token is missing");
+  return { user: server.username, accessToken: secret.oauth2.accessToken };
+}
+
 function smtpTransportFromSecret(secret) {
   const secure = secret.smtp.connection === "SSL/TLS";
   return nodemailer.createTransport({
     host: secret.smtp.server,
     port: secret.smtp.port,
     secure,
-    auth: {
-      user: secret.smtp.username,
-      pass: secret.smtp.password,
-    },
+    auth: secret.oauth2
+      ? { type: "OAuth2", ...serverAuth(secret, secret.smtp) }
+      : serverAuth(secret, secret.smtp),
     requireTLS: secret.smtp.connection === "STARTTLS",
   });
 }
@@ -147,10 +970,7 @@ function imapConfigFromSecret(secret) {
     host: secret.imap.server,
     port: secret.imap.port,
     secure: useSecure,
-    auth: {
-      user: secret.imap.username,
-      pass: secret.imap.password,
-    },
+    auth: serverAuth(secret, secret.imap),
     logger: false,
     // Add timeout configurations
     connectionTimeout: 30000, // 30 seconds for initial connection
@@ -165,282 +985,6180 @@ function imapConfigFromSecret(secret) {
   };
 }
 
-// ------------------------- Live Watch/SSE -------------------------
-const watchers = new Map(); // accountId -> Watcher
+async function openImap(secret, context) {
+  const client = new ImapFlow(imapConfigFromSecret(secret));
+  client.on("error", (error) => {
+    console.error(`IMAP Client Error in ${context}:`, error.message);
+  });
+  try {
+    await client.connect();
+  } catch (connectError) {
+    throw new Error(`Failed to connect to IMAP server: ${connectError.message}`);
+  }
+  return client;
+}
 
-function broadcast(accountId, data) {
-  const w = watchers.get(accountId);
-  if (!w) return;
-  const payload = `data: ${JSON.stringify(data)}\n\n`;
-  for (const res of w.sseClients) {
-    try {
-      res.write(payload);
-    } catch {}
+// مع accountId يأتي العميل من pool الحساب؛ بدونه اتصال مستقل يُغلق عند disconnectImap
+async function connectImap(secret, context, accountId = null) {
+  if (!accountId || !POOL_ENABLED) return openImap(secret, context);
+  return acquireImap(accountId, secret, context);
+}
+
+async function lockFolder(client, folder) {
+  let lock;
+  try {
+    // عميل مُعاد من الـ pool والمجلد محدد مسبقاً: exists/uidNext/modseq قديمة فنعيد SELECT
+    const entry = pooledClients.get(client);
+    const reselect = entry?.staleMailbox && client.mailbox?.path === folder;
+    if (entry) entry.staleMailbox = false;
+    lock = await client.getMailboxLock(folder);
+    if (reselect) await client.mailboxOpen(folder);
+    return lock;
+  } catch (lockError) {
+    releaseLock(lock);
+    throw new Error(`Failed to acquire mailbox lock for ${folder}: ${lockError.message}`);
   }
 }
 
-async function stopWatcher(accountId) {
-  const w = watchers.get(accountId);
-  if (!w) return;
-  if (w.stopping) return;
-  w.stopping = true;
+function releaseLock(lock) {
+  if (!lock) return;
   try {
-    if (w.client) {
-      try {
-        if (w.client.mailbox) {
-          try {
-            await w.client.mailboxClose();
-          } catch {}
-        }
-        await w.client.logout();
-      } catch {}
-    }
-  } finally {
-    clearTimeout(w.idleTimer);
-    w.client = null;
-    watchers.delete(accountId);
+    lock.release();
+  } catch (lockReleaseError) {
+    console.warn("Failed to release mailbox lock:", lockReleaseError.message);
   }
 }
 
-function keepAliveWatcher(w) {
-  clearTimeout(w.idleTimer);
-  if (w.sseClients.size === 0) {
-    w.idleTimer = setTimeout(() => stopWatcher(w.accountId), 60_000);
-    return;
+async function closeImap(client) {
+  try {
+    if (client.connection) {
+      await client.logout();
+    }
+  } catch (logoutError) {
+    console.warn("Failed to logout IMAP client:", logoutError.message);
+    // Force close if logout fails
+    try {
+      if (client.connection && client.connection.destroy) {
+        client.connection.destroy();
+      }
+    } catch (destroyError) {
+      console.warn("Failed to destroy IMAP connection:", destroyError.message);
+    }
   }
-  w.idleTimer = setTimeout(() => keepAliveWatcher(w), 5 * 60_000);
 }
 
-async function ensureWatcher(accountId) {
-  let w = watchers.get(accountId);
-  if (w && w.client) return w;
+// عميل الـ pool يعود إليه؛ discard عندما قد يكون في حالة غير معروفة (stream مقطوع مثلاً)
+async function disconnectImap(client, { discard = false } = {}) {
+  if (!client) return;
+  if (pooledClients.has(client)) return releaseImap(client, { discard });
+  await closeImap(client);
+}
 
-  const acc = await loadAccount(accountId);
-  const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
+// ------------------------- IMAP connection pool -------------------------
+// pool لكل حساب تتشاركه كل المسارات؛ الـ watcher يبقى على اتصال IDLE خاص به
+const POOL_ENABLED = process.env.MAILBOX_POOL !== "off";
+const POOL_MAX = Math.max(1, parseInt(process.env.MAILBOX_POOL_MAX || "5", 10) || 5);
+const POOL_IDLE_MS = parseInt(process.env.MAILBOX_POOL_IDLE_MS || "60000", 10) || 60_000;
+const POOL_ACQUIRE_TIMEOUT_MS = parseInt(process.env.MAILBOX_POOL_ACQUIRE_TIMEOUT_MS || "30000", 10) || 30_000;
+const POOL_CHECK_AFTER_MS = parseInt(process.env.MAILBOX_POOL_CHECK_AFTER_MS || "10000", 10) || 10_000;
+const POOL_CHECK_TIMEOUT_MS = 5000;
 
-  const client = new ImapFlow(imapConfigFromSecret(secret));
-  const emitter = w?.emitter ?? new EventEmitter();
+const pools = new Map(); // accountId -> pool
+const pooledClients = new Map(); // ImapFlow -> entry
+let poolSweepTimer = null;
 
-  w = {
-    accountId,
-    lastUid: 0,
-    client,
-    emitter,
-    sseClients: w?.sseClients ?? new Set(),
-    stopping: false,
-    idleTimer: undefined,
-  };
-  watchers.set(accountId, w);
+// يتغيّر عند تغيّر الخادم أو بيانات الاعتماد؛ تجديد access token وحده لا يبطل الاتصالات
+function imapFingerprint(secret) {
+  const config = imapConfigFromSecret(secret);
+  const { user, pass } = config.auth || {};
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([config.host, config.port, config.secure, user, pass || null]))
+    .digest("hex");
+}
+
+function poolFor(accountId) {
+  let pool = pools.get(accountId);
+  if (!pool) {
+    pool = {
+      accountId,
+      fingerprint: null,
+      idle: [], // الأحدث استخداماً في النهاية
+      busy: new Set(),
+      opening: 0,
+      waiters: [], // FIFO
+      stats: { created: 0, reused: 0, closed: 0, acquired: 0, waited: 0, timeouts: 0, healthCheckFailures: 0, waitMsTotal: 0, waitMsMax: 0 },
+    };
+    pools.set(accountId, pool);
+  }
+  if (!poolSweepTimer) {
+    poolSweepTimer = setInterval(sweepPools, Math.min(POOL_IDLE_MS, 30_000));
+    poolSweepTimer.unref?.();
+  }
+  return pool;
+}
+
+const poolSize = (pool) => pool.idle.length + pool.busy.size + pool.opening;
+
+function checkout(pool, entry, startedAt, context) {
+  const now = Date.now();
+  pool.busy.add(entry);
+  entry.context = context;
+  entry.acquiredAt = now;
+  entry.uses += 1;
+  if (entry.uses > 1) pool.stats.reused += 1;
+  pool.stats.acquired += 1;
+  pool.stats.waitMsTotal += now - startedAt;
+  pool.stats.waitMsMax = Math.max(pool.stats.waitMsMax, now - startedAt);
+  return entry.client;
+}
+
+// المستدعي حجز المكان مسبقاً في pool.opening
+async function openPooled(pool, secret, context) {
+  let client;
+  try {
+    client = await openImap(secret, context);
+  } catch (err) {
+    pool.opening -= 1;
+    freeSlot(pool);
+    throw err;
+  }
+  pool.opening -= 1;
+  const entry = { client, pool, fingerprint: pool.fingerprint, createdAt: Date.now(), lastUsedAt: Date.now(), uses: 0 };
+  pooledClients.set(client, entry);
+  pool.stats.created += 1;
+  // أغلقه الخادم وهو خامل
+  client.on("close", () => dropEntry(entry));
+  return entry;
+}
+
+// مكان فارغ يذهب لأقدم منتظر مباشرة حتى لا يتخطاه طلب جديد
+function freeSlot(pool) {
+  if (!pool.waiters.length || poolSize(pool) >= POOL_MAX) return;
+  pool.opening += 1;
+  pool.waiters.shift().resolve(null);
+}
+
+function dropEntry(entry) {
+  if (!pooledClients.delete(entry.client)) return false;
+  const pool = entry.pool;
+  pool.busy.delete(entry);
+  const i = pool.idle.indexOf(entry);
+  if (i >= 0) pool.idle.splice(i, 1);
+  pool.stats.closed += 1;
+  freeSlot(pool);
+  return true;
+}
+
+async function closeEntry(entry, { graceful = true } = {}) {
+  if (!dropEntry(entry)) return;
+  if (graceful) return closeImap(entry.client);
+  try {
+    entry.client.close();
+  } catch (closeError) {
+    console.warn("Failed to close IMAP connection:", closeError.message);
+  }
+}
+
+// NOOP فقط لعميل خامل منذ فترة؛ العميل المُعاد للتو يُفترض سليماً
+async function poolHealthy(entry) {
+  const { client } = entry;
+  if (client.usable && Date.now() - entry.lastUsedAt < POOL_CHECK_AFTER_MS) return true;
+  if (client.usable) {
+    let timer = null;
+    try {
+      await Promise.race([
+        client.noop(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error("NOOP timed out")), POOL_CHECK_TIMEOUT_MS);
+        }),
+      ]);
+      if (client.usable) return true;
+    } catch {
+      // يُستبدل أدناه
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  entry.pool.stats.healthCheckFailures += 1;
+  await closeEntry(entry, { graceful: false });
+  return false;
+}
 
-  client.on("error", (err) => {
-    broadcast(accountId, { type: "Error", message: err?.message || String(err) });
+function waitForSlot(pool) {
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      resolve: (entry) => {
+        clearTimeout(waiter.timer);
+        resolve(entry);
+      },
+    };
+    waiter.timer = setTimeout(() => {
+      const i = pool.waiters.indexOf(waiter);
+      if (i >= 0) pool.waiters.splice(i, 1);
+      pool.stats.timeouts += 1;
+      const err = new Error(`Timed out after ${POOL_ACQUIRE_TIMEOUT_MS}ms waiting for an IMAP connection (pool max ${POOL_MAX})`);
+      err.code = "POOL_TIMEOUT";
+      reject(err);
+    }, POOL_ACQUIRE_TIMEOUT_MS);
+    pool.waiters.push(waiter);
+    pool.stats.waited += 1;
   });
+}
+
+async function acquireImap(accountId, secret, context) {
+  const pool = poolFor(accountId);
+  const fingerprint = imapFingerprint(secret);
+  if (pool.fingerprint !== fingerprint) {
+    // الاتصالات القديمة لا تُعاد؛ المشغولة تُغلق عند إعادتها
+    if (pool.fingerprint) retireIdle(pool);
+    pool.fingerprint = fingerprint;
+  }
+  const startedAt = Date.now();
+
+  // لا يتخطى طلب جديد من ينتظر قبله
+  while (!pool.waiters.length && pool.idle.length) {
+    const entry = pool.idle.pop();
+    pool.busy.add(entry); // يبقى محسوباً أثناء الفحص
+    if (await poolHealthy(entry)) return checkout(pool, entry, startedAt, context);
+  }
+  if (!pool.waiters.length && poolSize(pool) < POOL_MAX) {
+    pool.opening += 1;
+    return checkout(pool, await openPooled(pool, secret, context), startedAt, context);
+  }
+
+  // إما عميل سلّمه releaseImap مباشرة أو مكان محجوز لاتصال جديد
+  const handed = await waitForSlot(pool);
+  if (handed) return checkout(pool, handed, startedAt, context);
+  return checkout(pool, await openPooled(pool, secret, context), startedAt, context);
+}
+
+async function releaseImap(client, { discard = false } = {}) {
+  const entry = pooledClients.get(client);
+  if (!entry) return;
+  const pool = entry.pool;
+  pool.busy.delete(entry);
+  entry.lastUsedAt = Date.now();
+  entry.context = null;
+  entry.acquiredAt = null;
+  entry.staleMailbox = true;
+
+  // قفل لم يُحرَّر يعني أن الطلب التالي سينتظر للأبد
+  const reusable =
+    !discard && client.usable && !client.currentLock && !client.locks?.length && entry.fingerprint === pool.fingerprint;
+  if (!reusable) return closeEntry(entry, { graceful: !discard });
+
+  const waiter = pool.waiters.shift();
+  if (waiter) {
+    pool.busy.add(entry);
+    return waiter.resolve(entry);
+  }
+  pool.idle.push(entry);
+}
+
+function retireIdle(pool) {
+  for (const entry of pool.idle.slice()) closeEntry(entry);
+}
+
+// عند تحديث الحساب أو حذفه
+function drainImapPool(accountId) {
+  const pool = pools.get(accountId);
+  if (!pool) return;
+  pool.fingerprint = null;
+  retireIdle(pool);
+  if (!poolSize(pool) && !pool.waiters.length) pools.delete(accountId);
+}
+
+function sweepPools() {
+  const now = Date.now();
+  for (const [accountId, pool] of pools) {
+    for (const entry of pool.idle.slice()) {
+      if (now - entry.lastUsedAt >= POOL_IDLE_MS) closeEntry(entry);
+    }
+    if (!poolSize(pool) && !pool.waiters.length) pools.delete(accountId);
+  }
+  if (!pools.size) {
+    clearInterval(poolSweepTimer);
+    poolSweepTimer = null;
+  }
+}
+
+function poolView(pool) {
+  const now = Date.now();
+  const { stats } = pool;
+  return {
+    accountId: pool.accountId,
+    size: poolSize(pool),
+    busy: pool.busy.size,
+    idle: pool.idle.length,
+    opening: pool.opening,
+    waiting: pool.waiters.length,
+    saturated: poolSize(pool) >= POOL_MAX && !pool.idle.length,
+    ...stats,
+    waitMsAvg: stats.acquired ? Math.round(stats.waitMsTotal / stats.acquired) : 0,
+    connections: [...pool.busy, ...pool.idle].map((entry) => ({
+      state: pool.busy.has(entry) ? "busy" : "idle",
+      context: entry.context || null,
+      uses: entry.uses,
+      ageMs: now - entry.createdAt,
+      busyMs: entry.acquiredAt ? now - entry.acquiredAt : null,
+      idleMs: pool.busy.has(entry) ? null : now - entry.lastUsedAt,
+    })),
+  };
+}
+
+function poolMetrics(accountId = null) {
+  const views = [...pools.values()].filter((p) => !accountId || p.accountId === accountId).map(poolView);
+  const sum = (key) => views.reduce((n, v) => n + v[key], 0);
+  return {
+    enabled: POOL_ENABLED,
+    maxPerAccount: POOL_MAX,
+    idleTimeoutMs: POOL_IDLE_MS,
+    acquireTimeoutMs: POOL_ACQUIRE_TIMEOUT_MS,
+    totals: {
+      pools: views.length,
+      size: sum("size"),
+      busy: sum("busy"),
+      idle: sum("idle"),
+      waiting: sum("waiting"),
+      saturated: views.filter((v) => v.saturated).length,
+      created: sum("created"),
+      reused: sum("reused"),
+      timeouts: sum("timeouts"),
+    },
+    accounts: views,
+  };
+}
+
+// ------------------------- Reply / Forward -------------------------
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function addressList(field) {
+  if (!field) return [];
+  const groups = Array.isArray(field) ? field : [field];
+  return groups.flatMap((g) => g.value || []).map((a) => a.address).filter(Boolean);
+}
+
+function uniqueAddresses(list, exclude) {
+  const seen = new Set(Array.from(exclude, (a) => a.toLowerCase()));
+  const out = [];
+  for (const addr of list) {
+    const key = addr.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(addr);
+  }
+  return out;
+}
+
+function prefixSubject(prefix, subject) {
+  const s = String(subject || "").trim();
+  return new RegExp(`^${prefix}:`, "i").test(s) ? s : `${prefix}: ${s}`.trim();
+}
+
+function referencesOf(original) {
+  const refs = Array.isArray(original.references)
+    ? original.references
+    : original.references
+      ? String(original.references).split(/\s+/)
+      : [];
+  return original.messageId ? [...refs, original.messageId] : refs;
+}
+
+function quoteText(original, header) {
+  const body = String(original.text || "").replace(/\r\n/g, "\n");
+  return `${header}\n${body.split("\n").map((l) => `> ${l}`).join("\n")}`;
+}
+
+function quoteHtml(original, header) {
+  const body = original.html || original.textAsHtml || `<pre>${escapeHtml(original.text || "")}</pre>`;
+  return `<div class="omni_quote"><div>${escapeHtml(header)}</div><blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${body}</blockquote></div>`;
+}
+
+function forwardHeaderLines(original) {
+  return [
+    "---------- Forwarded message ---------",
+    `From: ${original.from?.text || ""}`,
+    `Date: ${original.date ? original.date.toUTCString() : ""}`,
+    `Subject: ${original.subject || ""}`,
+    `To: ${original.to ? [].concat(original.to).map((t) => t.text).join(", ") : ""}`,
+    ...(original.cc ? [`Cc: ${[].concat(original.cc).map((t) => t.text).join(", ")}`] : []),
+  ];
+}
+
+// نص المستخدم + الاقتباس؛ HTML يُبنى عند طلبه أو عندما تكون الرسالة الأصلية HTML
+function composeBody(msg, original, textQuote, htmlQuote) {
+  const wantsHtml = !!msg.html || !!original.html;
+  const text = textQuote ? `${msg.text || ""}\n\n${textQuote}` : msg.text;
+  let html = msg.html;
+  if (wantsHtml) {
+    const own = msg.html ?? escapeHtml(msg.text || "").replace(/\n/g, "<br>");
+    html = htmlQuote ? `${own}<br><br>${htmlQuote}` : own;
+  }
+  return { text, html };
+}
+
+function buildReply(secret, original, msg) {
+  const self = [secret.primaryEmail, secret.smtp.username];
+  const author = addressList(original.replyTo).length ? addressList(original.replyTo) : addressList(original.from);
+  let to = msg.to && msg.to.length ? msg.to : author;
+  let cc = msg.cc || [];
+  if (msg.all) {
+    to = uniqueAddresses([...to, ...addressList(original.to)], self);
+    cc = uniqueAddresses([...cc, ...addressList(original.cc)], [...self, ...to]);
+  }
+  if (!to.length) throw new Error("Original message has no address to reply to");
+
+  const date = original.date ? original.date.toUTCString() : "an earlier date";
+  const header = `On ${date}, ${original.from?.text || "the sender"} wrote:`;
+  const { text, html } = msg.quote
+    ? composeBody(msg, original, quoteText(original, header), quoteHtml(original, header))
+    : composeBody(msg, original, null, null);
+
+  return {
+    to,
+    cc: cc.length ? cc : undefined,
+    bcc: msg.bcc,
+    subject: msg.subject ?? prefixSubject("Re", original.subject),
+    inReplyTo: original.messageId,
+    references: referencesOf(original),
+    text,
+    html,
+    attachments: toMailAttachments(msg.attachments),
+  };
+}
+
+function buildForward(secret, original, msg) {
+  const lines = forwardHeaderLines(original);
+  const textQuote = `${lines.join("\n")}\n\n${original.text || ""}`;
+  const htmlQuote = `<div class="omni_forward">${lines.map(escapeHtml).join("<br>")}<br><br>${
+    original.html || original.textAsHtml || `<pre>${escapeHtml(original.text || "")}</pre>`
+  }</div>`;
+  const { text, html } = composeBody(msg, original, textQuote, htmlQuote);
+
+  const carried = msg.includeAttachments
+    ? (original.attachments || []).map((a) => ({
+        filename: a.filename,
+        content: a.content,
+        contentType: a.contentType,
+        cid: a.contentId ? a.contentId.replace(/^<|>$/g, "") : undefined,
+        contentDisposition: a.contentDisposition,
+      }))
+    : [];
+
+  return {
+    to: msg.to,
+    cc: msg.cc,
+    bcc: msg.bcc,
+    subject: msg.subject ?? prefixSubject("Fwd", original.subject),
+    references: referencesOf(original),
+    text,
+    html,
+    attachments: [...carried, ...toMailAttachments(msg.attachments)],
+  };
+}
+
+// يحمّل الرسالة الأصلية، يرسل الرد/التوجيه عبر SMTP ثم يضع flag على الأصل
+function respondHandler(schema, context, build, flag) {
+  return async (req, res) => {
+    let client = null;
+    let lock = null;
 
-  (async () => {
     try {
-      await client.connect();
-      await client.mailboxOpen("INBOX");
-      const status = await client.status("INBOX", { uidNext: true });
-      w.lastUid = Math.max(0, ((status.uidNext || 1) - 1));
+      const uid = Number(req.params.uid);
+      const msg = schema.parse(req.body || {});
+      const folder = folderFrom(msg.folder);
+      const acc = await loadAccount(req.params.id);
+      const secret = await accountSecret(acc);
 
-      client.on("exists", async () => {
-        if (!w || !w.client) return;
-        try {
-          const fromUid = w.lastUid + 1;
-          const range = `${fromUid}:*`;
-          for await (const msg of w.client.fetch({ uid: range }, {
-            envelope: true,
-            flags: true,
-            internalDate: true,
-            uid: true,
-          })) {
-            const ev = {
-              type: "EmailReceived",
-              accountId,
-              uid: msg.uid,
-              subject: msg.envelope?.subject ?? null,
-              from: (msg.envelope?.from || []).map((a) => a.address).filter(Boolean),
-              to: (msg.envelope?.to || []).map((a) => a.address).filter(Boolean),
-              date: msg.internalDate || null,
-              flags: Array.from(msg.flags || []),
-            };
-            w.lastUid = Math.max(w.lastUid, msg.uid);
-            broadcast(accountId, ev);
+      client = await connectImap(secret, context, acc.id);
+      lock = await lockFolder(client, folder);
+      let source;
+      try {
+        const meta = await client.fetchOne(String(uid), { uid: true, source: true }, { uid: true });
+        source = meta?.source;
+      } finally {
+        releaseLock(lock);
+      }
+      if (!source) return res.status(404).json({ error: "Message not found" });
+
+      const original = await simpleParser(source);
+      const mail = build(secret, original, msg);
+      const info = await deliverMail(acc, secret, { from: secret.smtp.username, ...mail }, client);
+
+      // فشل وضع الـ flag لا يُفشل الطلب بعد أن أُرسلت الرسالة
+      let flagged = false;
+      try {
+        lock = await lockFolder(client, folder);
+        flagged = !!(await client.messageFlagsAdd(String(uid), [flag], { uid: true }));
+        await invalidateFolderCache(acc.id, folder);
+      } catch (flagError) {
+        console.warn(`Failed to set ${flag} on original message:`, flagError.message);
+      } finally {
+        releaseLock(lock);
+      }
+
+      res.json({
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        savedTo: info.savedTo,
+        originalMessageId: original.messageId || null,
+        flagged,
+      });
+    } catch (err) {
+      console.error(`Message ${context} error:`, err.message);
+      res.status(400).json({
+        error: err?.message || `Failed to ${context} message`,
+        code: err?.code || "UNKNOWN_ERROR"
+      });
+    } finally {
+      await disconnectImap(client);
+    }
+  };
+}
+
+// ------------------------- Threads -------------------------
+const THREAD_FETCH = {
+  uid: true,
+  envelope: true,
+  flags: true,
+  internalDate: true,
+  bodyStructure: true,
+  headers: ["references"],
+};
+
+function parseReferences(headers) {
+  const raw = headers ? headers.toString("utf8") : "";
+  return raw.match(/<[^<>\s]+>/g) || [];
+}
+
+function threadMessage(msg, folder) {
+  return {
+    folder,
+    uid: msg.uid,
+    messageId: msg.envelope?.messageId || null,
+    inReplyTo: msg.envelope?.inReplyTo || null,
+    references: parseReferences(msg.headers),
+    subject: msg.envelope?.subject || "",
+    from: (msg.envelope?.from || []).map((a) => a.address).filter(Boolean),
+    to: (msg.envelope?.to || []).map((a) => a.address).filter(Boolean),
+    cc: (msg.envelope?.cc || []).map((a) => a.address).filter(Boolean),
+    date: msg.internalDate || null,
+    flags: Array.from(msg.flags || []),
+    bodyStructure: msg.bodyStructure,
+  };
+}
+
+const REPLY_PREFIX = /^\s*((re|fwd?|aw|sv|wg)(\[\d+\])?\s*:\s*)+/i;
+const baseSubject = (subject) => String(subject || "").replace(REPLY_PREFIX, "").trim().toLowerCase();
+
+// جذر بلا Message-ID أو بـ Message-ID مكرر يُعرَّف برسالته نفسها؛ لا يلتبس بـ Message-ID لأنه بلا <>
+const uidRootId = (uid, folder) => `uid:${uid}:${folder}`;
+
+const encodeThreadId = (rootId) => Buffer.from(rootId, "utf8").toString("base64url");
+function decodeThreadId(threadId) {
+  const rootId = Buffer.from(String(threadId), "base64url").toString("utf8");
+  const byUid = rootId.match(/^uid:(\d+):(.+)$/s);
+  if (byUid) return { rootId, uid: Number(byUid[1]), folder: byUid[2] };
+  if (!/^<[^<>\s]+>$/.test(rootId)) throw new Error("Invalid threadId");
+  return { rootId };
+}
+
+// خوارزمية JWZ مبسّطة: References/In-Reply-To لبناء الشجرة ثم دمج الجذور ذات الموضوع نفسه
+function jwzThreads(messages) {
+  const containers = new Map();
+  const container = (id) => {
+    if (!containers.has(id)) containers.set(id, { id, message: null, parent: null, children: new Set() });
+    return containers.get(id);
+  };
+  const isAncestor = (a, b) => {
+    for (let c = b; c; c = c.parent) if (c === a) return true;
+    return false;
+  };
+  const link = (parent, child) => {
+    if (child.parent) child.parent.children.delete(child);
+    child.parent = parent;
+    parent.children.add(child);
+  };
+
+  for (const msg of messages) {
+    let c = container(msg.messageId || uidRootId(msg.uid, msg.folder));
+    if (c.message) c = container(uidRootId(msg.uid, msg.folder)); // Message-ID مكرر
+    c.message = msg;
+
+    const refs = [...msg.references];
+    if (msg.inReplyTo && refs[refs.length - 1] !== msg.inReplyTo) refs.push(msg.inReplyTo);
+    let prev = null;
+    for (const ref of refs) {
+      const rc = container(ref);
+      if (prev && !rc.parent && rc !== prev && !isAncestor(rc, prev)) link(prev, rc);
+      prev = rc;
+    }
+    if (prev && prev !== c && !isAncestor(c, prev)) link(prev, c);
+  }
+
+  const collect = (c, out) => {
+    if (c.message) out.push(c.message);
+    for (const child of c.children) collect(child, out);
+    return out;
+  };
+  const groups = [];
+  const bySubject = new Map();
+  for (const root of containers.values()) {
+    if (root.parent) continue;
+    const members = collect(root, []);
+    if (!members.length) continue;
+    const first = members.slice().sort((a, b) => new Date(a.date) - new Date(b.date))[0];
+    const key = baseSubject(first.subject);
+    const existing = key ? bySubject.get(key) : null;
+    if (existing && (REPLY_PREFIX.test(first.subject) || REPLY_PREFIX.test(existing.subject))) {
+      existing.messages.push(...members);
+      continue;
+    }
+    const group = { rootId: root.id, subject: first.subject, messages: members };
+    if (key) bySubject.set(key, group);
+    groups.push(group);
+  }
+  return groups;
+}
+
+// UID THREAD REFERENCES عند دعم الخادم؛ null يعني استخدم JWZ
+async function serverThreads(client, uids) {
+  if (!client.capabilities.has("THREAD=REFERENCES") || !uids.length) return null;
+  const groups = [];
+  const collect = (node, out) => {
+    if (Array.isArray(node)) node.forEach((n) => collect(n, out));
+    else if (node && /^\d+$/.test(String(node.value))) out.push(Number(node.value));
+    return out;
+  };
+  try {
+    if (typeof client.preCheck === "function") await client.preCheck();
+    const range = `${Math.min(...uids)}:${Math.max(...uids)}`;
+    const response = await client.exec(
+      "UID THREAD",
+      [
+        { type: "ATOM", value: "REFERENCES" },
+        { type: "ATOM", value: "UTF-8" },
+        { type: "ATOM", value: "UID" },
+        { type: "SEQUENCE", value: range },
+      ],
+      {
+        untagged: {
+          THREAD: async (untagged) => {
+            for (const thread of untagged.attributes || []) {
+              const members = collect(thread, []);
+              if (members.length) groups.push(members);
+            }
+          },
+        },
+      }
+    );
+    response.next();
+    return groups;
+  } catch (err) {
+    console.warn("THREAD command failed, falling back to JWZ:", err.message);
+    return null;
+  }
+}
+
+function threadSummary(group) {
+  const messages = group.messages.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+  const last = messages[messages.length - 1];
+  const participants = uniqueAddresses(messages.flatMap((m) => [...m.from, ...m.to, ...m.cc]), []);
+  return {
+    threadId: encodeThreadId(group.rootId),
+    subject: messages[0].subject,
+    messageCount: messages.length,
+    unreadCount: messages.filter((m) => !m.flags.includes("\\Seen")).length,
+    participants,
+    lastDate: last.date,
+    lastUid: last.uid,
+    uids: messages.map((m) => m.uid),
+    snippet: null,
+  };
+}
+
+// رسائل المحادثة داخل مجلد: يتوسّع عبر Message-ID/References/In-Reply-To بحد أقصى من الجولات
+async function threadMessagesIn(client, folder, rootId, maxRounds = 4) {
+  const lock = await lockFolder(client, folder);
+  try {
+    const known = new Set([rootId]);
+    const found = new Map();
+    let frontier = [rootId];
+    for (let round = 0; round < maxRounds && frontier.length; round++) {
+      const uids = new Set();
+      for (const id of frontier) {
+        const hits = await client.search(
+          { or: [{ header: { "message-id": id } }, { header: { references: id } }, { header: { "in-reply-to": id } }] },
+          { uid: true }
+        );
+        (hits || []).forEach((u) => !found.has(u) && uids.add(u));
+      }
+      frontier = [];
+      if (!uids.size) break;
+      for await (const msg of client.fetch(Array.from(uids), THREAD_FETCH, { uid: true })) {
+        const m = threadMessage(msg, folder);
+        found.set(m.uid, m);
+        if (m.messageId && !known.has(m.messageId)) {
+          known.add(m.messageId);
+          frontier.push(m.messageId);
+        }
+      }
+    }
+    const messages = Array.from(found.values());
+    for (const m of messages) {
+      m.snippet = await messageSnippet(client, m.uid, m.bodyStructure).catch(() => null);
+    }
+    return messages;
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// رسالة جذر معرّفة بـ UID (uid:<uid>:<folder>)؛ null إن لم تعد موجودة
+async function threadMessageByUid(client, folder, uid) {
+  const lock = await lockFolder(client, folder);
+  try {
+    const msg = await client.fetchOne(uid, THREAD_FETCH, { uid: true });
+    if (!msg) return null;
+    const m = threadMessage(msg, folder);
+    m.snippet = await messageSnippet(client, m.uid, m.bodyStructure).catch(() => null);
+    return m;
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// ------------------------- Cursor pagination -------------------------
+// Cursor معتم (base64url) يحمل المجلد و UIDVALIDITY وآخر UID واتجاه الصفحة
+function encodeCursor(folder, uidValidity, uid, dir) {
+  const raw = JSON.stringify({ f: folder, v: String(uidValidity), u: uid, d: dir });
+  return Buffer.from(raw, "utf8").toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof c.f !== "string" || typeof c.v !== "string" || !Number.isInteger(c.u) || !["older", "newer"].includes(c.d)) {
+      throw new Error("bad cursor");
+    }
+    return { folder: c.f, uidValidity: c.v, uid: c.u, dir: c.d };
+  } catch {
+    const err = new Error("Invalid cursor");
+    err.code = "INVALID_CURSOR";
+    throw err;
+  }
+}
+
+function uidValidityChanged(folder) {
+  const err = new Error(`UIDVALIDITY of ${folder} changed; discard cached messages and restart without a cursor`);
+  err.code = "UIDVALIDITY_CHANGED";
+  err.status = 409;
+  return err;
+}
+
+// يجمع حتى limit+1 UID في اتجاه معيّن بنوافذ UID متزايدة، حتى لا نفوّت رسائل عند تباعد الـ UIDs
+async function collectUidPage(client, { criteria, dir, anchor, limit, lastUid }) {
+  const found = [];
+  let window = Math.max(limit * 4, 50);
+  if (dir === "older") {
+    let hi = Math.min(anchor - 1, lastUid);
+    while (hi >= 1 && found.length <= limit) {
+      const lo = Math.max(1, hi - window + 1);
+      const uids = (await client.search({ ...criteria, uid: `${lo}:${hi}` }, { uid: true })) || [];
+      found.push(...uids.filter((u) => u >= lo && u <= hi).sort((a, b) => b - a));
+      hi = lo - 1;
+      window *= 4;
+    }
+  } else {
+    let lo = anchor + 1;
+    while (lo <= lastUid && found.length <= limit) {
+      const hi = Math.min(lastUid, lo + window - 1);
+      const uids = (await client.search({ ...criteria, uid: `${lo}:${hi}` }, { uid: true })) || [];
+      found.push(...uids.filter((u) => u >= lo && u <= hi).sort((a, b) => a - b));
+      lo = hi + 1;
+      window *= 4;
+    }
+  }
+  return { uids: found.slice(0, limit), hasMore: found.length > limit };
+}
+
+// ------------------------- Mail cache (sync engine) -------------------------
+// envelopes و flags لكل مجلد (مرتبطة بـ UIDVALIDITY) في مخزن قابل للاستبدال؛ المزامنة تزايدية عبر
+// CONDSTORE (CHANGEDSINCE) أو مقارنة UIDs، والقوائم والبحث تُخدم منه ما لم يُطلب fresh=true
+const CACHE_MODE = (process.env.MAILBOX_CACHE || "memory").toLowerCase(); // memory | redis | off
+const CACHE_MAX_AGE_MS = parseInt(process.env.MAILBOX_CACHE_MAX_AGE_MS || "30000", 10) || 30_000;
+const CACHE_MAX_MESSAGES = parseInt(process.env.MAILBOX_CACHE_MAX_MESSAGES || "2000", 10) || 2000;
+const CACHE_BODIES = process.env.MAILBOX_CACHE_BODIES === "true";
+const CACHE_BODY_MAX_BYTES = 512 * 1024;
+const CACHE_TTL_SEC = 7 * 24 * 60 * 60;
+
+const kFolderCache = (accountId, folder) => `mail:cache:${accountId}:folder:${folder}`;
+const kBodyCache = (accountId, folder, uid) => `mail:cache:${accountId}:body:${folder}:${uid}`;
+
+function memoryCacheStore({ maxEntries = parseInt(process.env.MAILBOX_CACHE_MAX_ENTRIES || "1000", 10) || 1000 } = {}) {
+  const map = new Map(); // ترتيب الإدراج = LRU
+  return {
+    async get(key) {
+      if (!map.has(key)) return null;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    async set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async del(key) {
+      map.delete(key);
+    },
+    async clear(prefix) {
+      for (const key of Array.from(map.keys())) {
+        if (key.startsWith(prefix)) map.delete(key);
+      }
+    },
+  };
+}
+
+function redisCacheStore() {
+  return {
+    get: (key) => redis.get(key),
+    set: (key, value) => redis.set(key, value, { ex: CACHE_TTL_SEC }),
+    del: (key) => redis.del(key),
+    async clear(prefix) {
+      let cursor = "0";
+      do {
+        const [next, keys] = await redis.scan(cursor, { match: `${prefix}*`, count: 500 });
+        if (keys.length) await redis.del(...keys);
+        cursor = String(next);
+      } while (cursor !== "0");
+    },
+  };
+}
+
+// قابل للاستبدال: mailboxRouter.mailCache.store = { get, set, del, clear } (null يعطّل الـ cache)
+const mailCache = {
+  store: CACHE_MODE === "off" ? null : CACHE_MODE === "redis" ? redisCacheStore() : memoryCacheStore(),
+};
+
+const cacheSyncs = new Map(); // key -> Promise<entry>
+
+const addressIndex = (list) =>
+  (list || []).map((a) => `${a.name || ""} <${a.address || ""}>`.toLowerCase()).join(", ");
+
+// ملخص الرسالة كما في summarizeEnvelope مع فهرس لأسماء المرسل/المستلمين (للبحث فقط)
+function cacheMessage(msg) {
+  return {
+    ...summarizeEnvelope(msg),
+    index: { from: addressIndex(msg.envelope?.from), to: addressIndex(msg.envelope?.to) },
+  };
+}
+
+const publicMessage = ({ index, ...m }) => m;
+
+async function fetchCacheMessages(client, range) {
+  const out = [];
+  for await (const msg of client.fetch(range, { envelope: true, flags: true, internalDate: true, uid: true }, { uid: true })) {
+    out.push(cacheMessage(msg));
+  }
+  return out;
+}
+
+const sameFlags = (a, b) => [...a].sort().join(" ") === [...b].sort().join(" ");
+
+// مزامنة كاملة عند الغياب أو تغيّر UIDVALIDITY، وإلا: الجديد من uidNext، والمحذوف من فرق العدد
+// (exists السابق + الجديد - الحالي) ثم UID SEARCH، والأعلام عبر CHANGEDSINCE أو مقارنة النافذة كلها
+async function syncFolderCache(client, accountId, folder) {
+  const key = kFolderCache(accountId, folder);
+  const lock = await lockFolder(client, folder);
+  try {
+    const box = client.mailbox;
+    const uidValidity = String(box.uidValidity);
+    const uidNext = box.uidNext || 1;
+    const highestModseq = box.highestModseq ? String(box.highestModseq) : null;
+    const condstore = Boolean(highestModseq) && client.enabled.has("CONDSTORE") && !box.noModseq;
+    const cached = await mailCache.store.get(key);
+
+    let entry;
+    if (!cached || cached.uidValidity !== uidValidity) {
+      const all = ((await client.search({ all: true }, { uid: true })) || []).sort((a, b) => b - a);
+      const window = all.slice(0, CACHE_MAX_MESSAGES);
+      const messages = window.length ? await fetchCacheMessages(client, window) : [];
+      entry = {
+        uidValidity,
+        highestModseq,
+        uidNext,
+        exists: box.exists,
+        complete: all.length <= CACHE_MAX_MESSAGES,
+        messages: messages.sort((a, b) => b.uid - a.uid),
+        lastSync: { mode: "full", added: messages.length, removed: 0, flagsChanged: 0 },
+      };
+    } else if (condstore && cached.highestModseq === highestModseq && cached.uidNext === uidNext && cached.exists === box.exists) {
+      entry = { ...cached, lastSync: { mode: "unchanged", added: 0, removed: 0, flagsChanged: 0 } };
+    } else {
+      const byUid = new Map(cached.messages.map((m) => [m.uid, m]));
+      const cachedUids = Array.from(byUid.keys());
+      const minUid = cachedUids.length ? Math.min(...cachedUids) : null;
+
+      const added =
+        uidNext > cached.uidNext
+          ? (await fetchCacheMessages(client, `${cached.uidNext}:*`)).filter((m) => m.uid >= cached.uidNext)
+          : [];
+
+      let removed = 0;
+      if (cached.exists + added.length !== box.exists) {
+        const present = new Set((await client.search({ all: true }, { uid: true })) || []);
+        for (const uid of cachedUids) {
+          if (!present.has(uid)) {
+            byUid.delete(uid);
+            removed += 1;
           }
-        } catch (e) {
-          broadcast(accountId, { type: "Error", message: e?.message || String(e) });
         }
-      });
+      }
 
-      keepAliveWatcher(w);
-      broadcast(accountId, { type: "WatcherReady", accountId });
-    } catch (err) {
-      broadcast(accountId, { type: "Error", message: err?.message || String(err) });
-      await stopWatcher(accountId);
+      let flagsChanged = 0;
+      if (minUid !== null && byUid.size) {
+        const options = condstore && cached.highestModseq ? { uid: true, changedSince: BigInt(cached.highestModseq) } : { uid: true };
+        for await (const msg of client.fetch(`${minUid}:${cached.uidNext - 1}`, { uid: true, flags: true }, options)) {
+          const current = byUid.get(msg.uid);
+          const flags = Array.from(msg.flags || []);
+          if (!current || sameFlags(current.flags, flags)) continue;
+          byUid.set(msg.uid, { ...current, flags });
+          flagsChanged += 1;
+        }
+      }
+
+      added.forEach((m) => byUid.set(m.uid, m));
+      const messages = Array.from(byUid.values()).sort((a, b) => b.uid - a.uid);
+      entry = {
+        uidValidity,
+        highestModseq,
+        uidNext,
+        exists: box.exists,
+        complete: messages.length <= CACHE_MAX_MESSAGES && messages.length === box.exists,
+        messages: messages.slice(0, CACHE_MAX_MESSAGES),
+        lastSync: { mode: "incremental", added: added.length, removed, flagsChanged },
+      };
     }
-  })();
 
-  return w;
+    entry.syncedAt = Date.now();
+    await mailCache.store.set(key, entry);
+    return entry;
+  } finally {
+    releaseLock(lock);
+  }
 }
 
-// ------------------------- Router -------------------------
-const mailboxRouter = Router();
+// watcher متصل منذ ما قبل آخر مزامنة يطبّق تغييرات المجلد على الـ cache مباشرة
+function cacheIsFresh(accountId, folder, entry) {
+  if (Date.now() - entry.syncedAt < CACHE_MAX_AGE_MS) return true;
+  const w = watchers.get(watcherKey(accountId, folder));
+  return Boolean(
+    w && w.state === "ready" && w.uidValidity === entry.uidValidity && Date.parse(w.connectedAt) <= entry.syncedAt
+  );
+}
+
+// entry المجلد إن كان حديثاً، دون فتح اتصال
+async function peekFolderCache(accountId, folder) {
+  if (!mailCache.store) return null;
+  const entry = await mailCache.store.get(kFolderCache(accountId, folder));
+  return entry && cacheIsFresh(accountId, folder, entry) ? entry : null;
+}
+
+// يزامن عند الحاجة فقط؛ الطلبات المتزامنة على نفس المجلد تنتظر مزامنة واحدة
+async function cachedFolder(acc, folder) {
+  const fresh = await peekFolderCache(acc.id, folder);
+  if (fresh) return fresh;
+
+  const key = kFolderCache(acc.id, folder);
+  if (!cacheSyncs.has(key)) {
+    const run = (async () => {
+      let client = null;
+      try {
+        client = await connectImap(await accountSecret(acc), "cache sync", acc.id);
+        return await syncFolderCache(client, acc.id, folder);
+      } finally {
+        await disconnectImap(client);
+        cacheSyncs.delete(key);
+      }
+    })();
+    cacheSyncs.set(key, run);
+  }
+  return cacheSyncs.get(key);
+}
+
+// بعد تعديل عبر الـ API: المزامنة التالية تزايدية بدل انتظار CACHE_MAX_AGE_MS
+async function invalidateFolderCache(accountId, folder) {
+  if (!mailCache.store) return;
+  const key = kFolderCache(accountId, folder);
+  try {
+    const entry = await mailCache.store.get(key);
+    if (entry) await mailCache.store.set(key, { ...entry, syncedAt: 0 });
+  } catch (err) {
+    console.warn("Failed to invalidate mail cache:", err.message);
+  }
+}
+
+async function dropAccountCache(accountId) {
+  if (mailCache.store) await mailCache.store.clear(`mail:cache:${accountId}:`);
+}
+
+// أحداث الـ watcher (النسخة التي أنشأتها فقط) تُطبَّق على entry المجلد
+// cached: رسالة EmailReceived كما يبنيها cacheMessage من الـ envelope، ليطابق فهرسها فهرس المزامنة
+async function applyCacheEvent(w, data, cached) {
+  if (!data.uid || !["EmailReceived", "EmailFlagsChanged", "EmailDeleted"].includes(data.type)) return;
+  const key = kFolderCache(w.accountId, w.folder);
+  const entry = await mailCache.store.get(key);
+  if (!entry || entry.uidValidity !== w.uidValidity) return;
+
+  const i = entry.messages.findIndex((m) => m.uid === data.uid);
+  if (data.type === "EmailReceived") {
+    if (!cached || i >= 0 || data.uid < entry.uidNext) return; // موجودة أو أقدم من المزامنة الأخيرة
+    entry.messages = [cached, ...entry.messages].sort((a, b) => b.uid - a.uid).slice(0, CACHE_MAX_MESSAGES);
+    entry.uidNext = data.uid + 1;
+    entry.exists += 1;
+    entry.complete = entry.complete && entry.messages.length === entry.exists;
+  } else if (data.type === "EmailFlagsChanged") {
+    if (i < 0) return;
+    entry.messages[i] = { ...entry.messages[i], flags: data.flags };
+  } else {
+    if (i < 0) return;
+    entry.messages.splice(i, 1);
+    entry.exists -= 1;
+    entry.complete = entry.messages.length === entry.exists;
+  }
+  await mailCache.store.set(key, entry);
+}
+
+function startOfDay(date) {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// صفحة من الـ cache بنفس دلالات collectUidPage؛ null عندما تتجاوز الصفحة نافذة الـ cache
+function cachedPage(entry, { since, dir, anchor, limit }) {
+  const sinceDay = since ? startOfDay(since) : null; // SINCE في IMAP يقارن اليوم فقط
+  const list = sinceDay === null ? entry.messages : entry.messages.filter((m) => new Date(m.date).getTime() >= sinceDay);
+  if (dir === "older") {
+    const older = list.filter((m) => m.uid < anchor);
+    if (older.length < limit && !entry.complete) return null;
+    return { messages: older.slice(0, limit), hasMore: older.length > limit || !entry.complete };
+  }
+  const newer = list.filter((m) => m.uid > anchor);
+  return { messages: newer.slice(-limit), hasMore: newer.length > limit };
+}
+
+const CACHE_SEARCH_FLAGS = { seen: "\\Seen", flagged: "\\Flagged", answered: "\\Answered", draft: "\\Draft", deleted: "\\Deleted" };
+
+// مفاتيح يمكن تقييمها من الـ envelope المخزَّن؛ غيرها (body، header، المرفقات...) يذهب إلى IMAP
+function cacheSearchable(query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (value === undefined) return true;
+    if (key === "and" || key === "or") return value.every(cacheSearchable);
+    if (key === "not") return cacheSearchable(value);
+    return ["from", "to", "subject", "since", "before", "keyword"].includes(key) || key in CACHE_SEARCH_FLAGS;
+  });
+}
+
+// نفس دلالات IMAP SEARCH: نص جزئي دون حساسية لحالة الأحرف، والتواريخ باليوم
+function matchesCached(query, m) {
+  const has = (field, value) => field.toLowerCase().includes(value.toLowerCase());
+  const day = startOfDay(new Date(m.date));
+  if (query.from !== undefined && !has(m.index.from, query.from)) return false;
+  if (query.to !== undefined && !has(m.index.to, query.to)) return false;
+  if (query.subject !== undefined && !has(m.subject || "", query.subject)) return false;
+  if (query.since !== undefined && day < startOfDay(query.since)) return false;
+  if (query.before !== undefined && day >= startOfDay(query.before)) return false;
+  if (query.keyword !== undefined && !m.flags.includes(query.keyword)) return false;
+  for (const [key, flag] of Object.entries(CACHE_SEARCH_FLAGS)) {
+    if (query[key] !== undefined && m.flags.includes(flag) !== query[key]) return false;
+  }
+  if (query.and && !query.and.every((sub) => matchesCached(sub, m))) return false;
+  if (query.or && !query.or.some((sub) => matchesCached(sub, m))) return false;
+  if (query.not && matchesCached(query.not, m)) return false;
+  return true;
+}
+
+// ------------------------- Message actions -------------------------
+// Handler مشترك لعمليات flags/move/copy/delete مع نتيجة لكل UID
+// نتيجة لكل UID؛ المشترك بين مسارات HTTP وأوامر WebSocket
+async function runMessageAction(accountId, folder, body, context, action) {
+  let client = null;
+  let lock = null;
+  try {
+    const acc = await loadAccount(accountId);
+    const secret = await accountSecret(acc);
+
+    client = await connectImap(secret, context, acc.id);
+    lock = await lockFolder(client, folder);
+
+    const found = new Set((await client.search({ uid: body.uids.join(",") }, { uid: true })) || []);
+    const results = new Map(
+      body.uids.map((uid) => [uid, found.has(uid) ? { uid, ok: true } : { uid, ok: false, error: "Message not found" }])
+    );
+    const present = body.uids.filter((uid) => found.has(uid));
+    if (present.length) {
+      await action(client, present, body, results);
+      await invalidateFolderCache(accountId, folder);
+      if (body.destination) await invalidateFolderCache(accountId, body.destination);
+    }
+    return Array.from(results.values());
+  } finally {
+    releaseLock(lock);
+    await disconnectImap(client);
+  }
+}
+
+function messageActionHandler(schema, context, action) {
+  return async (req, res) => {
+    try {
+      const input = { folder: req.query.folder, ...(req.body || {}) };
+      if (req.params.uid !== undefined) input.uids = [Number(req.params.uid)];
+      const body = schema.parse(input);
+      const folder = folderFrom(body.folder);
+      const results = await runMessageAction(req.params.id, folder, body, context, action);
+      res.json({ folder, results });
+    } catch (err) {
+      console.error(`Message ${context} error:`, err.message);
+      res.status(400).json({
+        error: err?.message || `Failed to ${context} messages`,
+        code: err?.code || "UNKNOWN_ERROR"
+      });
+    }
+  };
+}
+
+function failAll(uids, results, error) {
+  for (const uid of uids) results.set(uid, { uid, ok: false, error });
+}
+
+async function applyFlags(client, uids, body, results) {
+  const opts = { uid: true };
+  let ok = true;
+  if (body.set) ok = (await client.messageFlagsSet(uids, body.set, opts)) && ok;
+  if (body.add) ok = (await client.messageFlagsAdd(uids, body.add, opts)) && ok;
+  if (body.remove) ok = (await client.messageFlagsRemove(uids, body.remove, opts)) && ok;
+  if (!ok) return failAll(uids, results, "Flag update failed");
+
+  for await (const msg of client.fetch(uids, { uid: true, flags: true }, { uid: true })) {
+    const r = results.get(msg.uid);
+    if (r) r.flags = Array.from(msg.flags || []);
+  }
+}
+
+function transferMessages(method) {
+  return async (client, uids, body, results) => {
+    const info = await client[method](uids, body.destination, { uid: true });
+    if (!info) return failAll(uids, results, `Failed to ${method === "messageMove" ? "move" : "copy"} to ${body.destination}`);
+    for (const uid of uids) {
+      results.get(uid).destinationUid = info.uidMap?.get(uid) ?? null;
+    }
+  };
+}
+
+async function deleteMessages(client, uids, body, results) {
+  const ok = await client.messageDelete(uids, { uid: true });
+  if (!ok) failAll(uids, results, "Delete failed");
+}
+
+// ------------------------- Search -------------------------
+// ImapFlow يكتب NOT/OR بدون أقواس، لذلك كل معامل لهما يجب أن يكون مفتاح بحث واحد.
+// searchTerms() تُرجع قائمة مفاتيح (AND ضمني) و singleTerm() تدمجها بقانون De Morgan.
+const SEARCH_PASSTHROUGH = [
+  "from", "to", "cc", "bcc", "subject", "body", "text",
+  "since", "before", "sentSince", "sentBefore",
+  "seen", "flagged", "answered", "draft", "deleted",
+  "keyword", "larger", "smaller",
+];
+
+function searchTerms(query, caps) {
+  const terms = [];
+  for (const key of SEARCH_PASSTHROUGH) {
+    if (query[key] !== undefined) terms.push({ [key]: query[key] });
+  }
+  for (const [name, value] of Object.entries(query.header || {})) {
+    terms.push({ header: { [name]: value } });
+  }
+  if (query.hasAttachment !== undefined) {
+    // لا يوجد معيار IMAP قياسي للمرفقات: Gmail يدعم X-GM-RAW، وإلا نقرّب بـ multipart/mixed
+    const has = caps.gmail
+      ? { gmraw: "has:attachment" }
+      : { header: { "content-type": "multipart/mixed" } };
+    terms.push(query.hasAttachment ? has : { not: has });
+  }
+  for (const sub of query.and || []) {
+    terms.push(...searchTerms(sub, caps));
+  }
+  if (query.or) {
+    terms.push({ or: query.or.map((sub) => singleTerm(searchTerms(sub, caps))) });
+  }
+  if (query.not) {
+    terms.push({ not: singleTerm(searchTerms(query.not, caps)) });
+  }
+  return terms;
+}
+
+function singleTerm(terms) {
+  if (terms.length === 0) return { all: true };
+  if (terms.length === 1) return terms[0];
+  return { not: { or: terms.map((t) => ({ not: t })) } };
+}
+
+function toImapSearch(query, caps = {}) {
+  const terms = searchTerms(query, caps);
+  if (terms.length === 0) return { all: true };
+  const keys = terms.map((t) => Object.keys(t)[0]);
+  if (new Set(keys).size === keys.length) return Object.assign({}, ...terms);
+  return singleTerm(terms);
+}
+
+// ------------------------- Outgoing mail -------------------------
+async function resolveSpecialFolder(client, specialUse, override) {
+  if (override) return override;
+  const list = await client.list();
+  return list.find((f) => f.specialUse === specialUse)?.path || null;
+}
+
+// RFC822 من MailComposer؛ keepBcc للمسودّات فقط حتى لا يتسرّب Bcc في الرسائل المرسلة
+async function composeRaw(mail, { keepBcc = false } = {}) {
+  const node = new MailComposer(mail).compile();
+  node.keepBcc = keepBcc;
+  const raw = await node.build();
+  return { raw, envelope: node.getEnvelope(), messageId: node.messageId() };
+}
+
+async function appendToSent(accountId, secret, settings, raw, client) {
+  const own = !client;
+  try {
+    if (own) client = await connectImap(secret, "sent append", accountId);
+    const folder = await resolveSpecialFolder(client, "\\Sent", settings.sentFolder);
+    if (!folder) {
+      console.warn("No Sent folder found; skipping IMAP APPEND");
+      return null;
+    }
+    const result = await client.append(folder, raw, ["\\Seen"]);
+    if (!result) throw new Error(`APPEND to ${folder} failed`);
+    return { folder, uid: result.uid ?? null };
+  } finally {
+    if (own) await disconnectImap(client);
+  }
+}
+
+// يبني الرسالة مرة واحدة بـ MailComposer، يرسلها عبر SMTP ثم يضيف نفس البايتات إلى Sent
+async function deliverMail(acc, secret, mail, client = null) {
+  const { raw, envelope, messageId } = await composeRaw(mail);
+
+  const transporter = smtpTransportFromSecret(secret);
+  const info = await transporter.sendMail({ envelope, raw });
+
+  const settings = accountSettings(acc);
+  let savedTo = null;
+  if (settings.saveToSent) {
+    try {
+      savedTo = await appendToSent(acc.id, secret, settings, raw, client);
+      if (savedTo) await invalidateFolderCache(acc.id, savedTo.folder);
+    } catch (appendError) {
+      // الرسالة أُرسلت بالفعل؛ لا نفشل الطلب بسبب نسخة Sent
+      console.warn("Failed to save message to Sent folder:", appendError.message);
+    }
+  }
+
+  return { messageId, accepted: info.accepted, rejected: info.rejected, savedTo };
+}
+
+// ------------------------- Drafts -------------------------
+// المسودّة تُعرَّف بـ X-Omni-Draft-Id ثابت عبر التحديثات؛ UID رقمي يعمل أيضاً لمسودّات من عملاء آخرين
+const DRAFT_ID_HEADER = "X-Omni-Draft-Id";
+
+async function findDraftUids(client, draftId) {
+  const query = /^\d+$/.test(draftId) ? { uid: draftId } : { header: { [DRAFT_ID_HEADER.toLowerCase()]: draftId } };
+  return ((await client.search(query, { uid: true })) || []).sort((a, b) => a - b);
+}
+
+async function lockedDraftUids(client, folder, draftId) {
+  const lock = await lockFolder(client, folder);
+  try {
+    return await findDraftUids(client, draftId);
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+function draftMail(secret, draftId, draft) {
+  return {
+    from: secret.smtp.username,
+    to: draft.to,
+    cc: draft.cc,
+    bcc: draft.bcc,
+    subject: draft.subject,
+    text: draft.text,
+    html: draft.html,
+    attachments: toMailAttachments(draft.attachments),
+    headers: { [DRAFT_ID_HEADER]: draftId },
+  };
+}
+
+async function appendDraft(client, folder, secret, draftId, draft) {
+  const { raw, messageId } = await composeRaw(draftMail(secret, draftId, draft), { keepBcc: true });
+  const result = await client.append(folder, raw, ["\\Draft", "\\Seen"]);
+  if (!result) throw new Error(`APPEND to ${folder} failed`);
+  return { draftId, folder, uid: result.uid ?? null, messageId };
+}
+
+async function loadDraft(client, folder, draftId) {
+  const lock = await lockFolder(client, folder);
+  try {
+    const uids = await findDraftUids(client, draftId);
+    if (!uids.length) return null;
+    const uid = uids[uids.length - 1];
+    const meta = await client.fetchOne(String(uid), { uid: true, source: true, flags: true, internalDate: true }, { uid: true });
+    if (!meta?.source) return null;
+    return { uid, meta, parsed: await simpleParser(meta.source) };
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+// نفس شكل SendSchema حتى يستأنف الـ UI التحرير مباشرة
+function draftView(draftId, folder, draft) {
+  const { uid, meta, parsed } = draft;
+  return {
+    draftId,
+    folder,
+    uid,
+    updatedAt: meta.internalDate || null,
+    to: addressList(parsed.to),
+    cc: addressList(parsed.cc),
+    bcc: addressList(parsed.bcc),
+    subject: parsed.subject || "",
+    text: parsed.text || undefined,
+    html: parsed.html || undefined,
+    attachments: (parsed.attachments || []).map((a) => ({
+      filename: a.filename,
+      contentBase64: a.content.toString("base64"),
+      contentType: a.contentType,
+    })),
+  };
+}
+
+async function deleteDraftUids(client, folder, uids) {
+  if (!uids.length) return false;
+  const lock = await lockFolder(client, folder);
+  try {
+    return !!(await client.messageDelete(uids, { uid: true }));
+  } finally {
+    releaseLock(lock);
+  }
+}
+
+function draftsHandler(context, fn) {
+  return async (req, res) => {
+    let client = null;
+    try {
+      const acc = await loadAccount(req.params.id);
+      const secret = await accountSecret(acc);
+      client = await connectImap(secret, context, acc.id);
+      const folder = await resolveSpecialFolder(client, "\\Drafts", accountSettings(acc).draftsFolder);
+      if (!folder) throw new Error("No Drafts folder found; set the account's draftsFolder setting");
+      await fn({ req, res, acc, secret, client, folder });
+      if (!["list", "get"].includes(context)) await invalidateFolderCache(acc.id, folder);
+    } catch (err) {
+      console.error(`Draft ${context} error:`, err.message);
+      res.status(400).json({
+        error: err?.message || `Failed to ${context} draft`,
+        code: err?.code || "UNKNOWN_ERROR"
+      });
+    } finally {
+      await disconnectImap(client);
+    }
+  };
+}
+
+// ------------------------- Event log (SSE replay) -------------------------
+// ring buffer لكل حساب بمعرّفات متزايدة؛ نسخة اختيارية في Redis لتبقى بعد إعادة التشغيل
+const EVENT_BUFFER_SIZE = Math.max(1, parseInt(process.env.MAILBOX_EVENT_BUFFER_SIZE || "500", 10) || 500);
+const EVENT_REDIS_MIRROR = process.env.MAILBOX_EVENT_REDIS_MIRROR === "true";
+const EVENT_REDIS_TTL_SEC = 24 * 60 * 60;
+const SSE_RETRY_MS = parseInt(process.env.MAILBOX_SSE_RETRY_MS || "3000", 10) || 3000;
+
+const eventLogs = new Map(); // accountId -> { lastId, events: [{ id, data }], loaded, pending, seqSeeded }
+const kEventLog = (accountId) => `mail:events:${accountId}`;
+const kEventSeq = (accountId) => `mail:eventseq:${accountId}`;
+
+function eventLog(accountId) {
+  let log = eventLogs.get(accountId);
+  if (!log) {
+    log = { lastId: 0, events: [], loaded: false };
+    eventLogs.set(accountId, log);
+  }
+  return log;
+}
+
+// يُستدعى قبل أول حدث للحساب حتى تستمر المعرّفات من النسخة المحفوظة
+async function loadEventLog(accountId) {
+  const log = eventLog(accountId);
+  if (!EVENT_REDIS_MIRROR || log.loaded) return log;
+  try {
+    const stored = ((await redis.lrange(kEventLog(accountId), 0, -1)) || [])
+      .filter((e) => e && Number.isInteger(e.id) && e.id > log.lastId)
+      .sort((a, b) => a.id - b.id);
+    if (stored.length) {
+      log.events = [...log.events, ...stored].sort((a, b) => a.id - b.id).slice(-EVENT_BUFFER_SIZE);
+      log.lastId = log.events[log.events.length - 1].id;
+    }
+    log.loaded = true;
+  } catch (err) {
+    console.warn("Failed to load event log:", err.message);
+  }
+  return log;
+}
+
+// في الـ cluster قد يكون leader كل مجلد من الحساب على نسخة مختلفة، فالمعرّفات من عدّاد Redis مشترك لكل حساب
+async function nextEventId(accountId) {
+  const log = eventLog(accountId);
+  if (!log.seqSeeded) {
+    // أول استخدام للعدّاد: يبدأ بعد آخر معرّف معروف حتى لا تتراجع المعرّفات
+    await redis.set(kEventSeq(accountId), log.lastId, { nx: true });
+    log.seqSeeded = true;
+  }
+  return Number(await redis.incr(kEventSeq(accountId)));
+}
+
+// id يأتي من nextEventId أو مع أحداث نسخة أخرى (relayed) حتى تبقى المعرّفات واحدة في كل النسخ
+function recordEvent(accountId, data, { id = null, relayed = false } = {}) {
+  const log = eventLog(accountId);
+  const entry = { id: id ?? ++log.lastId, data };
+  log.lastId = Math.max(log.lastId, entry.id);
+  // أحداث مجلد آخر من نسخة أخرى قد تصل بعد أحداث محلية أحدث منها
+  let i = log.events.length;
+  while (i > 0 && log.events[i - 1].id > entry.id) i--;
+  log.events.splice(i, 0, entry);
+  if (log.events.length > EVENT_BUFFER_SIZE) log.events.splice(0, log.events.length - EVENT_BUFFER_SIZE);
+
+  // النسخة التي أنشأت الحدث وحدها تكتبه في Redis
+  if (EVENT_REDIS_MIRROR && !relayed) {
+    const key = kEventLog(accountId);
+    redis
+      .rpush(key, entry)
+      .then(() => Promise.all([redis.ltrim(key, -EVENT_BUFFER_SIZE, -1), redis.expire(key, EVENT_REDIS_TTL_SEC)]))
+      .catch((err) => console.warn("Failed to mirror event:", err.message));
+  }
+  return entry;
+}
+
+// أحداث المجلد بعد lastEventId؛ gap عندما سقطت أحداث من الـ buffer أو أُعيد ترقيم المعرّفات
+function eventsSince(accountId, folder, lastEventId) {
+  const log = eventLog(accountId);
+  const oldestId = log.events.length ? log.events[0].id : log.lastId + 1;
+  const gap = lastEventId > log.lastId || lastEventId < oldestId - 1;
+  const entries = log.events.filter((e) => e.id > lastEventId && (!e.data.folder || e.data.folder === folder));
+  return { entries, gap: gap ? { lastEventId, oldestEventId: log.events.length ? oldestId : null } : null };
+}
+
+async function dropEventLog(accountId) {
+  eventLogs.delete(accountId);
+  if (EVENT_REDIS_MIRROR) await redis.del(kEventLog(accountId));
+  if (CLUSTER_ENABLED) await redis.del(kEventSeq(accountId));
+}
+
+const sseFrame = (entry) => `id: ${entry.id}\ndata: ${JSON.stringify(entry.data)}\n\n`;
+
+// ------------------------- Cluster (multi-instance) -------------------------
+// عند تشغيل عدة نسخ: lease في Redis لكل حساب/مجلد حتى تحمل نسخة واحدة اتصال IMAP (leader)،
+// والأحداث تُنشر في Redis stream فتخدم أي نسخة (follower) عملاء /stream و WebSocket
+const CLUSTER_ENABLED = process.env.MAILBOX_CLUSTER === "true";
+const INSTANCE_ID = process.env.MAILBOX_INSTANCE_ID || `${os.hostname()}:${process.pid}:${ulid()}`;
+const LEASE_TTL_MS = Math.max(3000, parseInt(process.env.MAILBOX_LEASE_TTL_MS || "30000", 10) || 30000);
+const LEASE_RENEW_MS = Math.round(LEASE_TTL_MS / 3);
+const CLUSTER_POLL_MS = Math.max(100, parseInt(process.env.MAILBOX_CLUSTER_POLL_MS || "1000", 10) || 1000);
+const CLUSTER_STREAM_MAXLEN = 10_000;
+const CLUSTER_BATCH = 200;
+if (CLUSTER_ENABLED && redis.kind === "memory") {
+  console.warn("MAILBOX_CLUSTER=true has no effect with the in-memory store; instances cannot see each other");
+}
+const WATCH_STATE_TTL_SEC = 7 * 24 * 60 * 60;
+
+const kLease = (accountId, folder) => `mail:lease:${accountId}:${folder}`;
+const kWatchState = (accountId, folder) => `mail:watchstate:${accountId}:${folder}`;
+const kClusterStream = "mail:cluster:events";
+
+// التجديد والتحرير فقط إن كانت الـ lease ما زالت لهذه النسخة
+async function renewLease(accountId, folder) {
+  return (await redis.pexpireIfEquals(kLease(accountId, folder), INSTANCE_ID, LEASE_TTL_MS)) === 1;
+}
+
+async function acquireLease(accountId, folder) {
+  const ok = await redis.set(kLease(accountId, folder), INSTANCE_ID, { nx: true, px: LEASE_TTL_MS });
+  return ok === "OK" || renewLease(accountId, folder); // بعد إعادة تشغيل بنفس MAILBOX_INSTANCE_ID
+}
+
+async function releaseLease(accountId, folder) {
+  await redis.delIfEquals(kLease(accountId, folder), INSTANCE_ID);
+}
+
+// حالة المزامنة المشتركة: الـ leader الجديد يكمل من حيث توقف السابق بدل إعادة البدء
+function saveWatchState(w) {
+  if (!CLUSTER_ENABLED || w.role !== "leader" || !w.uidValidity) return;
+  const state = {
+    uidValidity: w.uidValidity,
+    lastUid: w.lastUid,
+    highestModseq: w.highestModseq ? String(w.highestModseq) : null,
+  };
+  const serialized = JSON.stringify(state);
+  if (serialized === w.savedState) return;
+  w.savedState = serialized;
+  redis
+    .set(kWatchState(w.accountId, w.folder), state, { ex: WATCH_STATE_TTL_SEC })
+    .catch((err) => console.warn("Failed to save watch state:", err.message));
+}
+
+async function loadWatchState(w) {
+  const state = await redis.get(kWatchState(w.accountId, w.folder));
+  if (!state?.uidValidity) return;
+  w.uidValidity = String(state.uidValidity);
+  w.lastUid = Number(state.lastUid) || 0;
+  w.highestModseq = state.highestModseq ? BigInt(state.highestModseq) : null;
+  w.savedState = JSON.stringify(state);
+}
+
+// يُستدعى كل LEASE_RENEW_MS: الـ leader يجدّد، والـ follower يحاول الاستلام عند انتهاء الـ lease
+async function checkLease(w) {
+  if (w.stopping || w.leaseBusy) return;
+  w.leaseBusy = true;
+  try {
+    if (w.role === "leader") {
+      if (await renewLease(w.accountId, w.folder)) {
+        w.leaseExpiresAt = Date.now() + LEASE_TTL_MS;
+      } else {
+        demoteWatcher(w, "Lease lost");
+      }
+    } else if (await acquireLease(w.accountId, w.folder)) {
+      if (w.stopping) return;
+      w.role = "leader";
+      w.leader = INSTANCE_ID;
+      w.leaseExpiresAt = Date.now() + LEASE_TTL_MS;
+      await loadWatchState(w).catch((err) => console.warn("Failed to load watch state:", err.message));
+      connectWatcher(w);
+    } else {
+      const holder = await redis.get(kLease(w.accountId, w.folder));
+      w.leader = holder == null ? null : String(holder);
+      w.state = "follower";
+    }
+  } catch (err) {
+    console.warn("Lease check failed:", err.message);
+    // Redis غير متاح: بعد انتهاء مدة الـ lease قد تستلمها نسخة أخرى، فلا نبقي اتصالين
+    if (w.role === "leader" && Date.now() >= w.leaseExpiresAt) demoteWatcher(w, "Lease expired");
+  } finally {
+    w.leaseBusy = false;
+  }
+}
+
+// يترك اتصال IMAP ويستمر في خدمة عملائه المحليين من الـ stream
+function demoteWatcher(w, reason) {
+  const old = w.client;
+  w.client = null;
+  clearTimeout(w.reconnectTimer);
+  clearTimeout(w.countsTimer);
+  w.role = "follower";
+  w.state = "follower";
+  w.leader = null;
+  w.attempt = 0;
+  w.nextRetryAt = null;
+  w.lastError = reason;
+  if (old) {
+    try {
+      old.close();
+    } catch {}
+  }
+}
+
+// النشر بالترتيب: طلبات REST المتوازية قد تصل بغير ترتيبها
+let clusterPublish = Promise.resolve();
+
+function publishEvent(w, entry) {
+  clusterPublish = clusterPublish
+    .then(() =>
+      redis.xadd(
+        kClusterStream,
+        "*",
+        { origin: INSTANCE_ID, key: w.key, accountId: w.accountId, entry: JSON.stringify(entry) },
+        { trim: { type: "MAXLEN", comparison: "~", threshold: CLUSTER_STREAM_MAXLEN } }
+      )
+    )
+    .catch((err) => console.warn("Failed to publish event:", err.message));
+}
+
+let clusterRelay = null; // { lastId, timer }
+
+// أحداث النسخ الأخرى: تُسجَّل بنفس المعرّف (لـ Last-Event-ID) وتُسلَّم لعملاء الـ follower
+async function pollClusterEvents() {
+  for (;;) {
+    const batch = (await redis.xrange(kClusterStream, `(${clusterRelay.lastId}`, "+", CLUSTER_BATCH)) || {};
+    const ids = Object.keys(batch);
+    for (const streamId of ids) {
+      clusterRelay.lastId = streamId;
+      const fields = batch[streamId] || {};
+      if (String(fields.origin) === INSTANCE_ID) continue;
+      const accountId = String(fields.accountId);
+      if (fields.restart) {
+        restartAccountWatchers(accountId);
+        continue;
+      }
+      if (!eventLogs.has(accountId)) continue; // لا watcher لهذا الحساب على هذه النسخة
+      const entry = typeof fields.entry === "string" ? JSON.parse(fields.entry) : fields.entry;
+      if (!entry || !Number.isInteger(entry.id)) continue;
+      const local = recordEvent(accountId, entry.data, { id: entry.id, relayed: true });
+      const w = watchers.get(String(fields.key));
+      if (w && w.role === "follower") deliverEvent(w, local);
+    }
+    if (ids.length < CLUSTER_BATCH) return;
+  }
+}
+
+function startClusterRelay() {
+  if (clusterRelay) return;
+  clusterRelay = { lastId: null, timer: undefined };
+  const tick = async () => {
+    try {
+      if (clusterRelay.lastId === null) {
+        // نبدأ من آخر حدث منشور؛ ما قبله متاح عبر نسخة Redis من سجل الأحداث
+        const last = (await redis.xrevrange(kClusterStream, "+", "-", 1)) || {};
+        clusterRelay.lastId = Object.keys(last)[0] || "0-0";
+      } else {
+        await pollClusterEvents();
+      }
+    } catch (err) {
+      console.warn("Cluster relay failed:", err.message);
+    }
+    clusterRelay.timer = setTimeout(tick, CLUSTER_POLL_MS);
+    clusterRelay.timer.unref?.();
+  };
+  tick();
+}
+
+// ------------------------- Live Watch/SSE -------------------------
+const watchers = new Map(); // accountId:folder -> Watcher
+const watcherKey = (accountId, folder) => `${accountId}:${folder}`;
+
+function broadcast(key, data, cached) {
+  const w = watchers.get(key);
+  if (!w) return;
+  if (mailCache.store) applyCacheEvent(w, data, cached).catch((err) => console.warn("Failed to update mail cache:", err.message));
+  if (!CLUSTER_ENABLED) {
+    emitEvent(w, recordEvent(w.accountId, data));
+    return;
+  }
+  // المعرّف من Redis غير متزامن؛ سلسلة لكل حساب تحفظ ترتيب الأحداث
+  const log = eventLog(w.accountId);
+  log.pending = (log.pending || Promise.resolve())
+    .then(() => nextEventId(w.accountId))
+    .then((id) => emitEvent(w, recordEvent(w.accountId, data, { id })))
+    .catch((err) => console.warn(`Failed to record ${data.type} event:`, err.message));
+}
+
+function emitEvent(w, entry) {
+  deliverEvent(w, entry);
+  if (CLUSTER_ENABLED) publishEvent(w, entry);
+  if (WEBHOOK_EVENTS.includes(entry.data.type)) {
+    dispatchWebhooks(w, entry).catch((err) => console.warn("Webhook dispatch failed:", err.message));
+  }
+}
+
+function deliverEvent(w, entry) {
+  const { data } = entry;
+  w.lastEvent = { type: data.type, at: new Date().toISOString() };
+  const payload = sseFrame(entry);
+  const message = JSON.stringify({ id: entry.id, ...data });
+  for (const socket of w.wsClients) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(message);
+  }
+  for (const res of w.sseClients) {
+    try {
+      res.write(payload);
+    } catch {}
+  }
+}
+
+async function stopWatcher(key) {
+  const w = watchers.get(key);
+  if (!w) return;
+  if (w.stopping) return;
+  w.stopping = true;
+  try {
+    if (w.client) {
+      try {
+        if (w.client.mailbox) {
+          try {
+            await w.client.mailboxClose();
+          } catch {}
+        }
+        await w.client.logout();
+      } catch {}
+    }
+  } finally {
+    clearTimeout(w.idleTimer);
+    clearTimeout(w.reconnectTimer);
+    clearTimeout(w.countsTimer);
+    clearInterval(w.leaseTimer);
+    w.client = null;
+    w.state = "stopped";
+    watchers.delete(key);
+    if (w.role === "leader") {
+      saveWatchState(w);
+      await releaseLease(w.accountId, w.folder).catch((err) => console.warn("Failed to release lease:", err.message));
+    }
+  }
+}
+
+// يوقف كل watchers الحساب (كل المجلدات)
+async function stopAccountWatchers(accountId) {
+  const keys = Array.from(watchers.values())
+    .filter((w) => w.accountId === accountId)
+    .map((w) => w.key);
+  for (const key of keys) await stopWatcher(key);
+}
+
+function keepAliveWatcher(w) {
+  clearTimeout(w.idleTimer);
+  if (w.sseClients.size === 0 && w.wsClients.size === 0 && !w.pinned) {
+    w.idleTimer = setTimeout(() => stopWatcher(w.key), 60_000);
+    return;
+  }
+  w.idleTimer = setTimeout(() => keepAliveWatcher(w), 5 * 60_000);
+}
+
+// Backoff أسّي مع jitter (equal jitter) لإعادة الاتصال
+const WATCHER_BACKOFF_BASE_MS = 1000;
+const WATCHER_BACKOFF_MAX_MS = 5 * 60_000;
+
+function backoffDelay(attempt, baseMs = WATCHER_BACKOFF_BASE_MS, maxMs = WATCHER_BACKOFF_MAX_MS) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// أحداث الـ watcher تُعالَج بالترتيب حتى تبقى w.uids (خريطة seq -> uid) متسقة
+function queueSync(w, client, fn) {
+  w.queue = w.queue
+    .then(() => (w.client === client ? fn() : undefined))
+    .then(() => saveWatchState(w))
+    .catch((e) => broadcast(w.key, { type: "Error", folder: w.folder, message: e?.message || String(e) }));
+  return w.queue;
+}
+
+// يبث الرسائل الأحدث من w.lastUid؛ يُستخدم عند EXISTS وبعد استعادة الاتصال
+async function emitNewMessages(w, client) {
+  const fresh = [];
+  for await (const msg of client.fetch({ uid: `${w.lastUid + 1}:*` }, {
+    envelope: true,
+    flags: true,
+    internalDate: true,
+    bodyStructure: true,
+    uid: true,
+  })) {
+    if (msg.uid > w.lastUid) fresh.push(msg); // "N:*" يعيد آخر رسالة حتى لو لم توجد أحدث
+  }
+  fresh.sort((a, b) => a.uid - b.uid);
+
+  // download لا يُنفَّذ داخل حلقة fetch
+  for (const msg of fresh) {
+    const ev = {
+      type: "EmailReceived",
+      accountId: w.accountId,
+      folder: w.folder,
+      uid: msg.uid,
+      subject: msg.envelope?.subject ?? null,
+      from: (msg.envelope?.from || []).map((a) => a.address).filter(Boolean),
+      to: (msg.envelope?.to || []).map((a) => a.address).filter(Boolean),
+      date: msg.internalDate || null,
+      flags: Array.from(msg.flags || []),
+      hasAttachments: attachmentParts(msg.bodyStructure).length > 0,
+      snippet: await messageSnippet(client, msg.uid, msg.bodyStructure).catch(() => null),
+    };
+    w.lastUid = Math.max(w.lastUid, msg.uid);
+    if (!(w.uids[w.uids.length - 1] >= msg.uid)) w.uids.push(msg.uid);
+    broadcast(w.key, ev, cacheMessage(msg));
+  }
+  if (fresh.length) scheduleCounts(w, client);
+  return fresh.length;
+}
+
+function trackModseq(w, modseq) {
+  if (modseq && (!w.highestModseq || BigInt(modseq) > w.highestModseq)) w.highestModseq = BigInt(modseq);
+}
+
+function emitFlagsChanged(w, uid, flags, modseq) {
+  trackModseq(w, modseq);
+  const list = Array.from(flags || []);
+  broadcast(w.key, {
+    type: "EmailFlagsChanged",
+    accountId: w.accountId,
+    folder: w.folder,
+    uid: uid ?? null,
+    flags: list,
+    seen: list.includes("\\Seen"),
+    flagged: list.includes("\\Flagged"),
+    modseq: modseq ? String(modseq) : null,
+  });
+}
+
+function emitDeleted(w, uid, seq = null) {
+  if (uid) {
+    const i = w.uids.indexOf(uid);
+    if (i >= 0) w.uids.splice(i, 1);
+  }
+  broadcast(w.key, { type: "EmailDeleted", accountId: w.accountId, folder: w.folder, uid: uid ?? null, seq });
+}
+
+// عدّادات المجلد بعد دفعة من التغييرات (debounce)
+function scheduleCounts(w, client) {
+  clearTimeout(w.countsTimer);
+  w.countsTimer = setTimeout(() => {
+    queueSync(w, client, async () => {
+      const unseen = (await client.search({ seen: false }, { uid: true })) || [];
+      const counts = { messages: client.mailbox?.exists ?? w.uids.length, unseen: unseen.length };
+      if (w.counts && w.counts.messages === counts.messages && w.counts.unseen === counts.unseen) return;
+      w.counts = counts;
+      broadcast(w.key, { type: "MailboxCountsChanged", accountId: w.accountId, folder: w.folder, ...counts });
+    });
+  }, 300);
+}
+
+// بعد إعادة الاتصال: الحذف بمقارنة UIDs، وتغييرات الأعلام عبر CONDSTORE CHANGEDSINCE
+async function resyncAfterReconnect(w, client) {
+  const current = ((await client.search({ all: true }, { uid: true })) || []).sort((a, b) => a - b);
+  const present = new Set(current);
+  const deleted = w.uids.filter((uid) => !present.has(uid));
+  const sinceModseq = w.highestModseq;
+  w.uids = current.filter((uid) => uid <= w.lastUid);
+  deleted.forEach((uid) => emitDeleted(w, uid));
+
+  let flagsChanged = 0;
+  if (sinceModseq && client.enabled.has("CONDSTORE") && !client.mailbox.noModseq && w.uids.length) {
+    const changed = [];
+    for await (const msg of client.fetch(`1:${w.lastUid}`, { uid: true, flags: true }, { uid: true, changedSince: sinceModseq })) {
+      changed.push(msg);
+    }
+    changed.forEach((msg) => emitFlagsChanged(w, msg.uid, msg.flags, msg.modseq));
+    flagsChanged = changed.length;
+  }
+  return { deleted: deleted.length, flagsChanged };
+}
+
+function scheduleReconnect(w, reason) {
+  if (w.stopping || w.state === "reconnecting" || w.role === "follower") return;
+  const old = w.client;
+  w.client = null;
+  if (old) {
+    try {
+      old.close();
+    } catch {}
+  }
+  w.state = "reconnecting";
+  w.disconnectedAt = w.disconnectedAt || Date.now();
+  const delayMs = backoffDelay(w.attempt);
+  w.attempt += 1;
+  w.reconnects += 1;
+  w.nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+  broadcast(w.key, {
+    type: "WatcherReconnecting",
+    accountId: w.accountId,
+    folder: w.folder,
+    attempt: w.attempt,
+    delayMs,
+    reason,
+  });
+  w.reconnectTimer = setTimeout(() => {
+    w.nextRetryAt = null;
+    connectWatcher(w);
+  }, delayMs);
+}
+
+async function connectWatcher(w) {
+  if (w.stopping || w.role === "follower") return;
+  w.state = "connecting";
+  let client = null;
+  try {
+    const acc = await loadAccount(w.accountId);
+    const secret = await accountSecret(acc); // يجدّد OAuth2 token عند كل اتصال
+    if (w.stopping) return;
+
+    // QRESYNC: أحداث الحذف (VANISHED) تحمل uid بدل seq
+    client = new ImapFlow({ ...imapConfigFromSecret(secret), qresync: true });
+    w.client = client;
+    // الأحداث من client قديم (بعد الاستبدال) تُتجاهل
+    client.on("error", (err) => {
+      if (w.client !== client) return;
+      w.lastError = err?.message || String(err);
+      broadcast(w.key, { type: "Error", folder: w.folder, message: w.lastError });
+      scheduleReconnect(w, w.lastError);
+    });
+    client.on("close", () => {
+      if (w.client !== client) return;
+      scheduleReconnect(w, "Connection closed");
+    });
+
+    await client.connect();
+    const mailbox = await client.mailboxOpen(w.folder);
+    if (w.client !== client) return client.close(); // فقد الـ lease أثناء الاتصال
+    const uidValidity = String(mailbox.uidValidity);
+    const resumed = Boolean(w.uidValidity);
+    const uidValidityChanged = resumed && w.uidValidity !== uidValidity;
+
+    let missed = 0;
+    let changes = { deleted: 0, flagsChanged: 0 };
+    if (resumed && !uidValidityChanged) {
+      changes = await resyncAfterReconnect(w, client);
+      missed = await emitNewMessages(w, client);
+    } else {
+      // أول اتصال أو تغيّر UIDVALIDITY: UIDs القديمة لم تعد صالحة
+      w.lastUid = Math.max(0, (mailbox.uidNext || 1) - 1);
+      w.uids = ((await client.search({ all: true }, { uid: true })) || []).sort((a, b) => a - b);
+    }
+    w.uidValidity = uidValidity;
+    trackModseq(w, mailbox.highestModseq);
+    if (!w.counts) {
+      const unseen = (await client.search({ seen: false }, { uid: true })) || [];
+      w.counts = { messages: mailbox.exists, unseen: unseen.length };
+    } else {
+      scheduleCounts(w, client);
+    }
+
+    client.on("exists", () => {
+      queueSync(w, client, () => emitNewMessages(w, client));
+    });
+    client.on("expunge", (ev) => {
+      queueSync(w, client, async () => {
+        const uid = ev.uid || w.uids[ev.seq - 1];
+        emitDeleted(w, uid, ev.seq ?? null);
+        scheduleCounts(w, client);
+      });
+    });
+    client.on("flags", (ev) => {
+      queueSync(w, client, async () => {
+        emitFlagsChanged(w, ev.uid || w.uids[ev.seq - 1], ev.flags, ev.modseq);
+        scheduleCounts(w, client);
+      });
+    });
+
+    const recovering = w.attempt > 0;
+    w.state = "ready";
+    w.connectedAt = new Date().toISOString();
+    if (recovering) {
+      broadcast(w.key, {
+        type: "WatcherRecovered",
+        accountId: w.accountId,
+        folder: w.folder,
+        attempts: w.attempt,
+        downtimeMs: Date.now() - w.disconnectedAt,
+        missed,
+        deleted: changes.deleted,
+        flagsChanged: changes.flagsChanged,
+        uidValidityChanged,
+      });
+    } else {
+      broadcast(w.key, { type: "WatcherReady", accountId: w.accountId, folder: w.folder, ...w.counts });
+    }
+    w.attempt = 0;
+    w.disconnectedAt = null;
+    w.lastError = null;
+    saveWatchState(w);
+  } catch (err) {
+    if (w.stopping || w.role === "follower") return;
+    if (client && w.client !== client) return; // استُبدل بمحاولة أحدث
+    w.lastError = err?.message || String(err);
+    broadcast(w.key, { type: "Error", folder: w.folder, message: w.lastError });
+    // حذف الحساب خطأ نهائي، ما عداه يُعاد المحاولة
+    if (w.lastError === "Account not found") return stopWatcher(w.key);
+    scheduleReconnect(w, w.lastError);
+  }
+}
+
+// بعد تغيير بيانات الاعتماد: اتصال جديد فوراً دون فصل عملاء SSE/WS
+function restartAccountWatchers(accountId) {
+  for (const w of watchers.values()) {
+    if (w.accountId !== accountId || w.stopping || w.role === "follower") continue;
+    const old = w.client;
+    w.client = null;
+    clearTimeout(w.reconnectTimer);
+    clearTimeout(w.countsTimer);
+    w.attempt = 0;
+    w.nextRetryAt = null;
+    // قد يكون خادماً أو صندوقاً آخر: لا يُستأنف من UIDs القديمة
+    w.uidValidity = null;
+    w.lastUid = 0;
+    w.uids = [];
+    w.highestModseq = null;
+    w.counts = null;
+    if (old) {
+      try {
+        old.close();
+      } catch {}
+    }
+    connectWatcher(w);
+  }
+}
+
+// الـ leader قد يكون على نسخة أخرى
+function publishAccountRestart(accountId) {
+  if (!CLUSTER_ENABLED) return;
+  clusterPublish = clusterPublish
+    .then(() =>
+      redis.xadd(
+        kClusterStream,
+        "*",
+        { origin: INSTANCE_ID, accountId, restart: "1" },
+        { trim: { type: "MAXLEN", comparison: "~", threshold: CLUSTER_STREAM_MAXLEN } }
+      )
+    )
+    .catch((err) => console.warn("Failed to publish watcher restart:", err.message));
+}
+
+// pinned: لا يتوقف عند غياب العملاء (alwaysWatch)
+async function ensureWatcher(accountId, folder = DEFAULT_FOLDER, { pinned = false } = {}) {
+  const key = watcherKey(accountId, folder);
+  let w = watchers.get(key);
+  if (w && !w.stopping) {
+    if (pinned && !w.pinned) {
+      w.pinned = true;
+      keepAliveWatcher(w);
+    }
+    return w;
+  }
+
+  const acc = await loadAccount(accountId);
+  if (acc.settings?.webhookUrl) {
+    console.warn(`Account ${accountId} still has settings.webhookUrl, which is no longer delivered; create a signed subscription with POST /mailbox/accounts/${accountId}/webhooks`);
+  }
+  await loadEventLog(accountId);
+
+  const emitter = w?.emitter ?? new EventEmitter();
+
+  w = {
+    key,
+    accountId,
+    folder,
+    lastUid: 0,
+    uidValidity: null,
+    uids: [], // UIDs المجلد بالترتيب (seq = index + 1)
+    highestModseq: null, // CONDSTORE
+    counts: null, // { messages, unseen }
+    queue: Promise.resolve(),
+    countsTimer: undefined,
+    client: null,
+    emitter,
+    sseClients: w?.sseClients ?? new Set(),
+    wsClients: w?.wsClients ?? new Set(),
+    stopping: false,
+    pinned,
+    idleTimer: undefined,
+    reconnectTimer: undefined,
+    // الصحة: connecting | ready | reconnecting | follower
+    state: CLUSTER_ENABLED ? "follower" : "connecting",
+    // cluster: standalone | leader | follower
+    role: CLUSTER_ENABLED ? "follower" : "standalone",
+    leader: null, // INSTANCE_ID للنسخة الحاملة للـ lease
+    leaseTimer: undefined,
+    leaseBusy: false,
+    leaseExpiresAt: 0,
+    savedState: null,
+    attempt: 0, // محاولات متتالية منذ آخر انقطاع
+    reconnects: 0, // إجمالي محاولات إعادة الاتصال
+    connectedAt: null,
+    disconnectedAt: null,
+    nextRetryAt: null,
+    lastError: null,
+    lastEvent: null,
+  };
+  watchers.set(key, w);
+
+  keepAliveWatcher(w);
+  if (CLUSTER_ENABLED) {
+    startClusterRelay();
+    w.leaseTimer = setInterval(() => checkLease(w), LEASE_RENEW_MS);
+    await checkLease(w);
+  } else {
+    connectWatcher(w);
+  }
+
+  return w;
+}
+
+// ------------------------- Always-on watchers -------------------------
+// حسابات alwaysWatch أو ذات webhooks مفعّلة تُراقَب دون عملاء وتُستعاد عند الإقلاع
+const kAlwaysWatch = "mail:watch:always";
+const WATCH_SUPERVISOR_MS = parseInt(process.env.MAILBOX_WATCH_SUPERVISOR_MS || "60000", 10) || 60_000;
+
+async function wantsWatcher(acc) {
+  if (accountSettings(acc).alwaysWatch) return true;
+  return (await listWebhooks(acc.id)).some((h) => h.enabled);
+}
+
+// يطابق الفهرس والـ watcher بعد إنشاء الحساب أو تعديل alwaysWatch أو webhooks
+async function syncAlwaysWatch(acc) {
+  if (await wantsWatcher(acc)) {
+    await redis.sadd(kAlwaysWatch, acc.id);
+    await ensureWatcher(acc.id, DEFAULT_FOLDER, { pinned: true });
+    return;
+  }
+  await redis.srem(kAlwaysWatch, acc.id);
+  const w = watchers.get(watcherKey(acc.id, DEFAULT_FOLDER));
+  if (w?.pinned) {
+    w.pinned = false;
+    keepAliveWatcher(w);
+  }
+}
+
+async function superviseWatchers() {
+  const ids = (await redis.smembers(kAlwaysWatch)) || [];
+  for (const id of ids) {
+    try {
+      const acc = await loadAccount(id, false);
+      if (!acc || !(await wantsWatcher(acc))) {
+        await redis.srem(kAlwaysWatch, id);
+        continue;
+      }
+      await ensureWatcher(acc.id, DEFAULT_FOLDER, { pinned: true });
+    } catch (err) {
+      console.warn(`Failed to restore watcher for ${id}:`, err.message);
+    }
+  }
+}
+
+let watchSupervisor = null;
+
+// يُستدعى من bin/www؛ الدورة تعيد أيضاً ما توقف منها (حذف الحساب، إيقاف يدوي، فقد الـ lease)
+function startWatchSupervisor({ intervalMs = WATCH_SUPERVISOR_MS } = {}) {
+  if (watchSupervisor) return;
+  const tick = () =>
+    superviseWatchers()
+      .catch((err) => console.warn("Watch supervisor failed:", err.message))
+      .finally(() => {
+        watchSupervisor = setTimeout(tick, intervalMs);
+        watchSupervisor.unref?.();
+      });
+  watchSupervisor = setTimeout(tick, 0);
+}
+
+// ------------------------- Webhooks -------------------------
+// اشتراكات لكل حساب في Redis؛ التوقيع HMAC-SHA256 على `${timestamp}.${body}` والـ secret مشفّر مثل secrets الحساب
+const WEBHOOK_EVENTS = [
+  "EmailReceived",
+  "EmailFlagsChanged",
+  "EmailDeleted",
+  "MailboxCountsChanged",
+  "WatcherReady",
+  "WatcherReconnecting",
+  "WatcherRecovered",
+  "Error",
+];
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 5000;
+const WEBHOOK_RETRY_MAX_MS = 10 * 60_000;
+const WEBHOOK_MAX_DOWNLOAD = 10 * 1024 * 1024;
+const WEBHOOK_RETRY_SWEEP_MS = 60_000;
+const WEBHOOK_RETRY_KEEP_MS = 24 * 60 * 60_000; // بعد موعدها، إن كانت كل النسخ متوقفة
+const WEBHOOK_DEFAULTS = { events: ["EmailReceived"], includeContent: false, contentMaxLength: 20_000, enabled: true };
+
+const WebhookFields = z
+  .object({
+    url: z
+      .string()
+      .url()
+      .refine((u) => /^https?:\/\//i.test(u), "Webhook url must be http(s)"),
+    events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+    includeContent: z.boolean(), // محتوى الرسالة المحلَّل مع EmailReceived
+    contentMaxLength: z.number().int().min(0).max(1_000_000), // حد text و html بالأحرف
+    description: z.string().max(200).nullable(),
+    enabled: z.boolean(),
+  })
+  .partial()
+  .strict();
+
+const CreateWebhookSchema = WebhookFields.required({ url: true });
+const RotateWebhookSchema = z.object({
+  graceSeconds: z.number().int().min(0).max(7 * 24 * 60 * 60).default(24 * 60 * 60), // السر القديم يبقى صالحاً خلالها
+});
+
+const kWebhookIndex = (accountId) => `mail:acc:${accountId}:webhooks`;
+const kWebhook = (webhookId) => `mail:webhook:${webhookId}`;
+const kWebhookDelivery = (webhookId) => `mail:webhook:${webhookId}:last`;
+const kWebhookRetry = (deliveryId) => `mail:webhookretry:${deliveryId}`;
+const kWebhookRetries = "mail:webhookretries";
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+const webhookAad = (hook) => `${hook.id}:${hook.accountId}`;
+
+async function loadWebhook(accountId, webhookId) {
+  const hook = await redis.get(kWebhook(webhookId));
+  return hook && hook.accountId === accountId ? hook : null;
+}
+
+function webhooksHandler(context, fn) {
+  return async (req, res) => {
+    try {
+      const acc = await loadAccount(req.params.id);
+      await fn({ req, res, acc });
+    } catch (err) {
+      console.error(`Webhook ${context} error:`, err.message);
+      res.status(400).json({
+        error: err?.message || `Failed to ${context} webhook`,
+        code: err?.code || "UNKNOWN_ERROR"
+      });
+    }
+  };
+}
+
+async function listWebhooks(accountId) {
+  const ids = (await redis.smembers(kWebhookIndex(accountId))) || [];
+  const hooks = await Promise.all(ids.map((id) => redis.get(kWebhook(id))));
+  return hooks.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// الأسرار الصالحة للتوقيع: الحالي ثم السابق حتى انتهاء مهلة التدوير
+async function webhookSecrets(hook) {
+  const { secret, previous } = await decryptJSON(hook.enc, webhookAad(hook));
+  rewrapLater(kWebhook(hook.id), hook, webhookAad(hook));
+  return previous && previous.expiresAt > Date.now() ? [secret, previous.secret] : [secret];
+}
+
+function webhookView(hook, lastDelivery = null) {
+  const { enc, ...rest } = hook;
+  return { ...rest, lastDelivery };
+}
+
+async function dropAccountWebhooks(accountId) {
+  const ids = (await redis.smembers(kWebhookIndex(accountId))) || [];
+  if (ids.length) await redis.del(...ids.flatMap((id) => [kWebhook(id), kWebhookDelivery(id)]));
+  await redis.del(kWebhookIndex(accountId));
+}
+
+function truncate(value, max) {
+  if (typeof value !== "string" || value.length <= max) return { value: value || null, cut: false };
+  return { value: value.slice(0, max), cut: true };
+}
+
+// يُنفَّذ في طابور الـ watcher بعد المهمة الحالية (لا download داخل fetch) وعلى اتصاله نفسه
+async function webhookContent(w, uid) {
+  const client = w.client;
+  if (!client || !uid) return null;
+  let parsed = null;
+  await queueSync(w, client, async () => {
+    try {
+      const { content } = await client.download(String(uid), undefined, { uid: true, maxBytes: WEBHOOK_MAX_DOWNLOAD });
+      parsed = await simpleParser(content);
+    } catch (err) {
+      console.warn("Failed to load webhook content:", err.message);
+    }
+  });
+  return parsed;
+}
+
+function contentFor(parsed, maxLength) {
+  const text = truncate(parsed.text, maxLength);
+  const html = truncate(typeof parsed.html === "string" ? parsed.html : null, maxLength);
+  return {
+    messageId: parsed.messageId || null,
+    subject: parsed.subject || null,
+    from: parsed.from || null,
+    to: parsed.to || null,
+    cc: parsed.cc || null,
+    date: parsed.date || null,
+    text: text.value,
+    html: html.value,
+    truncated: text.cut || html.cut,
+    attachments: (parsed.attachments || []).map((a) => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      size: a.size,
+      contentId: a.contentId,
+    })),
+  };
+}
+
+// محاولة واحدة؛ retryable لأخطاء الشبكة و 408 و 429 و 5xx
+async function sendWebhook({ url, secrets, body, headers }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = secrets
+    .map((s) => `v1=${crypto.createHmac("sha256", s).update(`${timestamp}.${body}`).digest("hex")}`)
+    .join(",");
+  const started = Date.now();
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "omni-email-webhooks",
+        "X-Mailbox-Timestamp": timestamp,
+        ...(signature ? { "X-Mailbox-Signature": signature } : {}),
+        ...headers,
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      redirect: "manual",
+    });
+    const retryable = resp.status === 408 || resp.status === 429 || resp.status >= 500;
+    return {
+      ok: resp.ok,
+      status: resp.status,
+      retryable,
+      durationMs: Date.now() - started,
+      error: resp.ok ? null : `Webhook responded with HTTP ${resp.status}`,
+    };
+  } catch (err) {
+    return { ok: false, status: null, retryable: true, durationMs: Date.now() - started, error: err?.message || String(err) };
+  }
+}
+
+// target: { id, accountId } لاشتراك محفوظ؛ يُعاد تحميله كل محاولة
+async function deliverWebhook(target, event, deliveryId = ulid(), attempt = 1) {
+  const hook = await redis.get(kWebhook(target.id));
+  if (!hook || !hook.enabled) return; // حُذف أو عُطّل بين المحاولات
+  const secrets = await webhookSecrets(hook);
+
+  const result = await sendWebhook({
+    url: hook.url,
+    secrets,
+    body: JSON.stringify(event),
+    headers: {
+      "X-Mailbox-Event": event.type,
+      "X-Mailbox-Event-Id": String(event.id ?? ""),
+      "X-Mailbox-Delivery": deliveryId,
+      "X-Mailbox-Webhook-Id": target.id,
+    },
+  });
+
+  const retry = !result.ok && result.retryable && attempt < WEBHOOK_MAX_ATTEMPTS;
+  const delayMs = retry ? backoffDelay(attempt - 1, WEBHOOK_RETRY_BASE_MS, WEBHOOK_RETRY_MAX_MS) : null;
+  const delivery = {
+    deliveryId,
+    eventId: event.id ?? null,
+    type: event.type,
+    ok: result.ok,
+    status: result.status,
+    attempt,
+    durationMs: result.durationMs,
+    error: result.error,
+    at: new Date().toISOString(),
+    nextRetryAt: retry ? new Date(Date.now() + delayMs).toISOString() : null,
+  };
+  redis.set(kWebhookDelivery(target.id), delivery).catch(() => {});
+  if (!result.ok) console.warn(`Webhook delivery ${deliveryId} failed (attempt ${attempt}):`, result.error);
+
+  if (retry) {
+    await scheduleWebhookRetry({
+      deliveryId,
+      webhookId: target.id,
+      accountId: target.accountId,
+      event,
+      attempt: attempt + 1,
+      dueAt: Date.now() + delayMs,
+    });
+  }
+  return delivery;
+}
+
+// إعادات المحاولة محفوظة في الـ store حتى تبقى بعد إعادة التشغيل؛ أي نسخة قد تنفّذها، والتي تحذف السجل أولاً هي التي ترسل
+const armedRetries = new Map(); // deliveryId -> timer
+let webhookRetrySweep = null;
+
+const retryDelivery = (retry) =>
+  deliverWebhook({ id: retry.webhookId, accountId: retry.accountId }, retry.event, retry.deliveryId, retry.attempt);
+
+async function scheduleWebhookRetry(retry) {
+  try {
+    await redis.set(kWebhookRetry(retry.deliveryId), retry, { px: retry.dueAt - Date.now() + WEBHOOK_RETRY_KEEP_MS });
+    await redis.sadd(kWebhookRetries, retry.deliveryId);
+  } catch (err) {
+    // الـ store غير متاح: تبقى المحاولة في هذه العملية فقط
+    console.warn("Failed to persist webhook retry:", err.message);
+    const timer = setTimeout(() => {
+      retryDelivery(retry).catch((e) => console.warn("Webhook retry failed:", e.message));
+    }, Math.max(0, retry.dueAt - Date.now()));
+    timer.unref?.();
+    return;
+  }
+  armWebhookRetry(retry.deliveryId, retry.dueAt);
+}
+
+function armWebhookRetry(deliveryId, dueAt) {
+  if (armedRetries.has(deliveryId)) return;
+  const timer = setTimeout(() => {
+    armedRetries.delete(deliveryId);
+    runWebhookRetry(deliveryId).catch((err) => console.warn("Webhook retry failed:", err.message));
+  }, Math.max(0, dueAt - Date.now()));
+  timer.unref?.();
+  armedRetries.set(deliveryId, timer);
+}
+
+async function runWebhookRetry(deliveryId) {
+  const retry = await redis.get(kWebhookRetry(deliveryId));
+  const claimed = retry && (await redis.del(kWebhookRetry(deliveryId))) === 1;
+  await redis.srem(kWebhookRetries, deliveryId);
+  if (claimed) await retryDelivery(retry);
+}
+
+// عند التشغيل ثم كل WEBHOOK_RETRY_SWEEP_MS: يلتقط المحاولات المحفوظة، ومنها ما تركته نسخة توقفت
+async function sweepWebhookRetries() {
+  const ids = ((await redis.smembers(kWebhookRetries)) || []).map(String);
+  for (const id of ids) {
+    if (armedRetries.has(id)) continue;
+    const retry = await redis.get(kWebhookRetry(id));
+    if (retry) armWebhookRetry(id, retry.dueAt);
+    else await redis.srem(kWebhookRetries, id); // نُفّذت أو انتهت صلاحيتها
+  }
+}
+
+// يُستدعى من bin/www
+function startWebhookRetries({ intervalMs = WEBHOOK_RETRY_SWEEP_MS } = {}) {
+  if (webhookRetrySweep) return;
+  const tick = () =>
+    sweepWebhookRetries()
+      .catch((err) => console.warn("Webhook retry sweep failed:", err.message))
+      .finally(() => {
+        webhookRetrySweep = setTimeout(tick, intervalMs);
+        webhookRetrySweep.unref?.();
+      });
+  webhookRetrySweep = setTimeout(tick, 0);
+}
+
+// يُستدعى من broadcast على النسخة التي أنشأت الحدث فقط
+async function dispatchWebhooks(w, entry) {
+  const { data } = entry;
+  const event = { id: entry.id, ...data };
+  const hooks = (await listWebhooks(w.accountId)).filter((h) => h.enabled && h.events.includes(data.type));
+
+  let parsed = null;
+  if (data.type === "EmailReceived" && hooks.some((h) => h.includeContent)) parsed = await webhookContent(w, data.uid);
+  for (const hook of hooks) {
+    const payload = hook.includeContent && parsed ? { ...event, content: contentFor(parsed, hook.contentMaxLength) } : event;
+    deliverWebhook({ id: hook.id, accountId: hook.accountId }, payload);
+  }
+}
+
+// ------------------------- Key rotation -------------------------
+// يعيد تغليف كل السجلات المشفّرة (الحسابات والـ webhooks ومفاتيح Resend) بالمفتاح الأساسي؛ مهمة واحدة في كل instance
+const REWRAP_TARGETS = [
+  { prefix: "mail:acc:", pattern: /^mail:acc:[^:]+$/, aad: (acc) => `${acc.id}:${acc.integrationId}` },
+  { prefix: "mail:webhook:", pattern: /^mail:webhook:[^:]+$/, aad: webhookAad },
+  { prefix: "mail:resendkey:", pattern: /^mail:resendkey:/, aad: resendKeyAad },
+];
+const RewrapSchema = z.object({ dryRun: z.boolean().default(false) });
+const REWRAP_MAX_ERRORS = 50;
+const REWRAP_KEEP_JOBS = 20;
+const rewrapJobs = new Map(); // jobId -> job (الأحدث في النهاية)
+
+function activeRewrapJob() {
+  return Array.from(rewrapJobs.values()).find((job) => job.state === "running") || null;
+}
+
+async function runRewrap(job, onProgress) {
+  await activeKeyProvider().refresh?.();
+  for (const target of REWRAP_TARGETS) {
+    let cursor = "0";
+    do {
+      const [next, keys] = await redis.scan(cursor, { match: `${target.prefix}*`, count: 500 });
+      cursor = String(next);
+      for (const key of keys.filter((k) => target.pattern.test(k))) {
+        const record = await redis.get(key);
+        if (!record?.enc) continue;
+        const kid = record.enc.v === ENVELOPE_VERSION ? record.enc.kid : "v1";
+        job.scanned += 1;
+        job.byKeyId[kid] = (job.byKeyId[kid] || 0) + 1;
+        try {
+          const aad = target.aad(record);
+          // حتى في dry run: يتأكد أن الـ keyring الحالي يفتح السجل
+          await decryptJSON(record.enc, aad);
+          if (!needsRewrap(record.enc)) job.upToDate += 1;
+          else if (job.dryRun || (await rewrapRecord(key, record, aad))) job.rewrapped += 1;
+          else job.skipped += 1; // تغيّر أثناء المرور وكُتب بالمفتاح الأساسي
+        } catch (err) {
+          job.failed += 1;
+          if (job.errors.length < REWRAP_MAX_ERRORS) job.errors.push({ key, error: err.message, code: err.code || null });
+        }
+        onProgress?.(job);
+      }
+    } while (cursor !== "0");
+  }
+}
+
+// dryRun يعدّ ما سيُعاد تغليفه دون كتابة؛ onProgress يُستدعى بعد كل سجل
+function rewrapSecrets({ dryRun = false, onProgress = null } = {}) {
+  const running = activeRewrapJob();
+  if (running) {
+    const err = new Error(`Re-encryption job ${running.id} is already running`);
+    err.code = "REWRAP_RUNNING";
+    throw err;
+  }
+  const job = {
+    id: ulid(),
+    state: "running",
+    dryRun,
+    provider: activeKeyProvider().name,
+    primaryKeyId: activeKeyProvider().describe().primaryKeyId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: 0,
+    rewrapped: 0,
+    upToDate: 0,
+    skipped: 0,
+    failed: 0,
+    byKeyId: {},
+    errors: [],
+    error: null,
+  };
+  rewrapJobs.set(job.id, job);
+  for (const id of Array.from(rewrapJobs.keys()).slice(0, -REWRAP_KEEP_JOBS)) rewrapJobs.delete(id);
+
+  job.done = runRewrap(job, onProgress)
+    .then(() => {
+      job.state = "done";
+    })
+    .catch((err) => {
+      job.state = "failed";
+      job.error = err.message;
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+    })
+    .then(() => job);
+  return job;
+}
+
+function rewrapJobView(job) {
+  const { done, ...rest } = job;
+  return rest;
+}
+
+// ------------------------- Discovery -------------------------
+// كتالوج المزوّدين المعروفين؛ mx لمطابقة النطاقات المستضافة (Google Workspace / Microsoft 365)
+const MAIL_PRESETS = {
+  gmail: {
+    name: "Gmail",
+    domains: ["gmail.com", "googlemail.com"],
+    mx: ["google.com", "googlemail.com"],
+    imap: { server: "imap.gmail.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.gmail.com", port: 465, connection: "SSL/TLS" },
+    oauth2Provider: "google",
+    settings: { saveToSent: false }, // Gmail يحفظ المرسل تلقائياً
+  },
+  outlook: {
+    name: "Outlook / Microsoft 365",
+    domains: ["outlook.com", "hotmail.com", "live.com", "msn.com"],
+    mx: ["outlook.com"],
+    imap: { server: "outlook.office365.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.office365.com", port: 587, connection: "STARTTLS" },
+    oauth2Provider: "microsoft",
+    settings: {},
+  },
+  yahoo: {
+    name: "Yahoo Mail",
+    domains: ["yahoo.com", "ymail.com", "rocketmail.com"],
+    mx: ["yahoodns.net"],
+    imap: { server: "imap.mail.yahoo.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.mail.yahoo.com", port: 465, connection: "SSL/TLS" },
+    settings: {},
+  },
+  icloud: {
+    name: "iCloud Mail",
+    domains: ["icloud.com", "me.com", "mac.com"],
+    mx: ["icloud.com"],
+    imap: { server: "imap.mail.me.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.mail.me.com", port: 587, connection: "STARTTLS" },
+    settings: {},
+  },
+  zoho: {
+    name: "Zoho Mail",
+    domains: ["zoho.com", "zohomail.com"],
+    mx: ["zoho.com"],
+    imap: { server: "imap.zoho.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.zoho.com", port: 465, connection: "SSL/TLS" },
+    settings: {},
+  },
+  fastmail: {
+    name: "Fastmail",
+    domains: ["fastmail.com", "fastmail.fm"],
+    mx: ["messagingengine.com"],
+    imap: { server: "imap.fastmail.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.fastmail.com", port: 465, connection: "SSL/TLS" },
+    settings: {},
+  },
+  aol: {
+    name: "AOL Mail",
+    domains: ["aol.com"],
+    mx: [],
+    imap: { server: "imap.aol.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "smtp.aol.com", port: 465, connection: "SSL/TLS" },
+    settings: {},
+  },
+  gmx: {
+    name: "GMX",
+    domains: ["gmx.com", "gmx.net", "gmx.de"],
+    mx: ["gmx.net"],
+    imap: { server: "imap.gmx.com", port: 993, connection: "SSL/TLS" },
+    smtp: { server: "mail.gmx.com", port: 587, connection: "STARTTLS" },
+    settings: {},
+  },
+};
+
+const DiscoverSchema = z.object({
+  email: z.string().email(),
+  preset: z.string().min(1).optional(),
+  probe: z.boolean().default(true),
+});
+
+function probeServer({ server, port, connection }, protocol, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    const socket =
+      connection === "SSL/TLS"
+        ? tls.connect({ host: server, port, servername: net.isIP(server) ? undefined : server })
+        : net.connect({ host: server, port });
+    let settled = false;
+    const done = (ok) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once("error", () => done(false));
+    // خادم يقبل الاتصال ثم يغلقه دون تحية: المهلة لا تعمل على socket مغلق
+    socket.once("end", () => done(false));
+    socket.once("close", () => done(false));
+    socket.once("data", (chunk) => {
+      const greeting = chunk.toString("utf8");
+      done(protocol === "imap" ? /^\* (OK|PREAUTH)/i.test(greeting) : /^220/.test(greeting));
+    });
+  });
+}
+
+// نقاط الشبكة قابلة للاستبدال (اختبارات دون اتصال): mailboxRouter.discovery.resolveSrv = ...
+const discovery = {
+  resolveSrv: (name) => dns.promises.resolveSrv(name),
+  resolveMx: (domain) => dns.promises.resolveMx(domain),
+  fetchText: async (url) => {
+    const resp = await fetch(url, { signal: AbortSignal.timeout(5000), redirect: "follow" });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.text();
+  },
+  probe: probeServer,
+};
+
+function presetKeyOf(name) {
+  const key = String(name).toLowerCase();
+  if (!MAIL_PRESETS[key]) {
+    const err = new Error(`Unknown preset: ${name}`);
+    err.code = "UNKNOWN_PRESET";
+    throw err;
+  }
+  return key;
+}
+
+function presetCandidates(key, preset, source) {
+  return {
+    imap: [{ ...preset.imap, source, preset: key }],
+    smtp: [{ ...preset.smtp, source, preset: key }],
+  };
+}
+
+const xmlText = (xml, tag) => (xml.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`, "i")) || [])[1];
+
+// Mozilla autoconfig (config-v1.1.xml)؛ plain غير مدعوم في ConnType
+function parseAutoconfig(xml, email) {
+  const [localPart, domain] = email.split("@");
+  const expand = (v) =>
+    v && v.replace(/%EMAILADDRESS%/g, email).replace(/%EMAILLOCALPART%/g, localPart).replace(/%EMAILDOMAIN%/g, domain);
+  const out = { imap: [], smtp: [] };
+  const blocks = xml.match(/<(incomingServer|outgoingServer)\b[^>]*>[\s\S]*?<\/\1>/gi) || [];
+  for (const block of blocks) {
+    const type = ((block.match(/type\s*=\s*"([^"]+)"/i) || [])[1] || "").toLowerCase();
+    if (type !== "imap" && type !== "smtp") continue;
+    const socketType = (xmlText(block, "socketType") || "").toUpperCase();
+    const connection = socketType === "SSL" ? "SSL/TLS" : socketType === "STARTTLS" ? "STARTTLS" : null;
+    const server = expand(xmlText(block, "hostname"));
+    const port = parseInt(xmlText(block, "port") || "", 10);
+    if (!connection || !server || !port) continue;
+    out[type].push({ server, port, connection, username: expand(xmlText(block, "username")), source: "autoconfig" });
+  }
+  return out;
+}
+
+async function autoconfigCandidates(email, domain) {
+  const urls = [
+    `https://autoconfig.${domain}/mail/config-v1.1.xml?emailaddress=${encodeURIComponent(email)}`,
+    `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml?emailaddress=${encodeURIComponent(email)}`,
+    `https://autoconfig.thunderbird.net/v1.1/${domain}`,
+  ];
+  for (const url of urls) {
+    try {
+      const found = parseAutoconfig(await discovery.fetchText(url), email);
+      if (found.imap.length || found.smtp.length) return found;
+    } catch {}
+  }
+  return { imap: [], smtp: [] };
+}
+
+// RFC 6186 (+ RFC 8314 لـ _submissions)؛ الهدف "." يعني أن الخدمة غير متاحة
+async function srvCandidates(domain) {
+  const lookups = [
+    ["imap", "_imaps._tcp", "SSL/TLS"],
+    ["imap", "_imap._tcp", "STARTTLS"],
+    ["smtp", "_submissions._tcp", "SSL/TLS"],
+    ["smtp", "_submission._tcp", "STARTTLS"],
+  ];
+  const out = { imap: [], smtp: [] };
+  const results = await Promise.all(
+    lookups.map(([, prefix]) => discovery.resolveSrv(`${prefix}.${domain}`).catch(() => []))
+  );
+  results.forEach((records, i) => {
+    const [type, , connection] = lookups[i];
+    records
+      .filter((r) => r.name && r.name !== "." && r.port)
+      .sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+      .forEach((r) => out[type].push({ server: r.name.replace(/\.$/, ""), port: r.port, connection, source: "srv" }));
+  });
+  return out;
+}
+
+async function mxPreset(domain) {
+  const records = await discovery.resolveMx(domain).catch(() => []);
+  const hosts = records.map((r) => String(r.exchange).toLowerCase().replace(/\.$/, ""));
+  for (const [key, preset] of Object.entries(MAIL_PRESETS)) {
+    if (hosts.some((h) => preset.mx.some((m) => h === m || h.endsWith(`.${m}`)))) return key;
+  }
+  return null;
+}
+
+function guessCandidates(domain) {
+  return {
+    imap: [
+      { server: `imap.${domain}`, port: 993, connection: "SSL/TLS", source: "guess" },
+      { server: `mail.${domain}`, port: 993, connection: "SSL/TLS", source: "guess" },
+      { server: `imap.${domain}`, port: 143, connection: "STARTTLS", source: "guess" },
+    ],
+    smtp: [
+      { server: `smtp.${domain}`, port: 465, connection: "SSL/TLS", source: "guess" },
+      { server: `smtp.${domain}`, port: 587, connection: "STARTTLS", source: "guess" },
+      { server: `mail.${domain}`, port: 587, connection: "STARTTLS", source: "guess" },
+    ],
+  };
+}
+
+async function pickCandidate(list, protocol, probe, maxProbes = 6) {
+  if (!probe) return list[0] ? { ...list[0], verified: false } : null;
+  for (const candidate of list.slice(0, maxProbes)) {
+    if (await discovery.probe(candidate, protocol)) return { ...candidate, verified: true };
+  }
+  // إعدادات preset موثوقة حتى لو تعذّر الفحص من هذه الشبكة
+  const trusted = list.find((c) => c.source === "preset" || c.source === "preset-domain");
+  return trusted ? { ...trusted, verified: false } : null;
+}
+
+// الترتيب: preset صريح/بالنطاق ← autoconfig ← SRV ← preset عبر MX ← تخمين
+async function discoverSettings(email, { preset, probe = true } = {}) {
+  const domain = email.split("@")[1].toLowerCase();
+  let presetKey = preset ? presetKeyOf(preset) : null;
+  if (!presetKey) {
+    presetKey = Object.keys(MAIL_PRESETS).find((k) => MAIL_PRESETS[k].domains.includes(domain)) || null;
+  }
+
+  let candidates;
+  if (presetKey) {
+    candidates = presetCandidates(presetKey, MAIL_PRESETS[presetKey], preset ? "preset" : "preset-domain");
+  } else {
+    const [auto, srv, mxKey] = await Promise.all([autoconfigCandidates(email, domain), srvCandidates(domain), mxPreset(domain)]);
+    const mx = mxKey ? presetCandidates(mxKey, MAIL_PRESETS[mxKey], "preset-mx") : { imap: [], smtp: [] };
+    const guess = guessCandidates(domain);
+    candidates = { imap: [], smtp: [] };
+    for (const type of ["imap", "smtp"]) {
+      const seen = new Set();
+      for (const c of [...auto[type], ...srv[type], ...mx[type], ...guess[type]]) {
+        const key = `${c.server.toLowerCase()}:${c.port}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        candidates[type].push(c);
+      }
+    }
+    presetKey = mxKey;
+  }
+
+  const [imap, smtp] = await Promise.all([
+    pickCandidate(candidates.imap, "imap", probe),
+    pickCandidate(candidates.smtp, "smtp", probe),
+  ]);
+  const withUser = (c) => c && { ...c, username: c.username || email };
+  const matched = presetKey ? MAIL_PRESETS[presetKey] : null;
+  return {
+    email,
+    domain,
+    preset: presetKey,
+    imap: withUser(imap),
+    smtp: withUser(smtp),
+    oauth2Provider: matched?.oauth2Provider || null,
+    settings: matched?.settings || {},
+    candidates,
+  };
+}
+
+// ------------------------- Auth -------------------------
+// كل طلبات /mailbox تحمل Authorization: Bearer <token>؛ التوكن مفتاح API مخزَّن (mbx_...) أو JWT
+// الصلاحيات: read (القراءة والمراقبة)، send (الإرسال وتعديل الرسائل والمسودات)، admin (الحسابات والـ webhooks والمفاتيح؛ يشمل الاثنين)
+// integrationIds تحدد الحسابات المسموحة؛ "*" لكل الحسابات وهي مطلوبة لمسارات /admin و /pool
+//   MAILBOX_AUTH = off يعطّل التحقق (للتطوير فقط)
+const AUTH_ENABLED = process.env.MAILBOX_AUTH !== "off";
+const AUTH_SCOPES = ["read", "send", "admin"];
+const AUTH_CACHE_MS = parseInt(process.env.MAILBOX_AUTH_CACHE_MS || "15000", 10) || 15_000;
+const AUTH_CACHE_MAX = 1000;
+const JWT_CLOCK_SKEW_SEC = 30;
+const JWT_HMAC = { HS256: "sha256", HS384: "sha384", HS512: "sha512" };
+const JWT_PUBLIC = { RS256: "sha256", RS384: "sha384", RS512: "sha512", ES256: "sha256", ES384: "sha384", ES512: "sha512" };
+const API_KEY_PATTERN = /^mbx_([0-9A-HJKMNP-TV-Z]{26})_([A-Za-z0-9_-]{32})$/;
+const API_KEY_TOUCH_MS = 60_000;
+const API_KEY_USED_TTL_SEC = 90 * 24 * 60 * 60;
+const kApiKey = (keyId) => `mail:apikey:${keyId}`;
+const kApiKeyUsed = (keyId) => `mail:apikey:${keyId}:used`;
+const kApiKeyIndex = "mail:apikeys";
+
+const ApiKeySchema = z.object({
+  name: z.string().min(1).max(100),
+  integrationIds: z.array(z.string().min(1)).min(1),
+  scopes: z.array(z.enum(AUTH_SCOPES)).min(1),
+  expiresAt: z.string().datetime().optional(),
+});
+
+// عند تعطيل التحقق كل طلب يُعامل كمفتاح admin لكل الحسابات
+const OPEN_PRINCIPAL = Object.freeze({ type: "none", id: null, integrationIds: ["*"], scopes: ["admin"] });
+
+const sha256Hex = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const ADMIN_API_KEY_HASH = process.env.MAILBOX_ADMIN_API_KEY ? sha256Hex(process.env.MAILBOX_ADMIN_API_KEY) : null;
+
+if (!AUTH_ENABLED) {
+  console.warn("MAILBOX_AUTH=off: every /mailbox route is open to anyone who can reach the service");
+} else if (!ADMIN_API_KEY_HASH && !process.env.MAILBOX_JWT_SECRET && !process.env.MAILBOX_JWT_PUBLIC_KEY) {
+  console.warn("Mailbox auth: set MAILBOX_ADMIN_API_KEY or MAILBOX_JWT_SECRET to create the first API keys");
+}
+
+function authError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function sameDigest(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const isGlobalPrincipal = (principal) => principal.integrationIds.includes("*");
+
+function hasScope(principal, scope) {
+  return principal.scopes.includes(scope) || principal.scopes.includes("admin");
+}
+
+function canAccessIntegration(principal, integrationId) {
+  return isGlobalPrincipal(principal) || principal.integrationIds.includes(integrationId);
+}
+
+// الحساب غير الموجود يُترك للمسار نفسه؛ حساب integration آخر يُعامل كغير موجود
+async function canAccessAccount(principal, accountId) {
+  const acc = await loadAccount(accountId, false);
+  return !acc || canAccessIntegration(principal, acc.integrationId);
+}
+
+// مفتاح يُدار فقط ممن يملك كل الـ integrationIds المربوطة به
+function coversApiKey(principal, record) {
+  return isGlobalPrincipal(principal) || record.integrationIds.every((id) => principal.integrationIds.includes(id));
+}
+
+let jwtKeysCache = null;
+function jwtKeys() {
+  if (!jwtKeysCache) {
+    const pem = process.env.MAILBOX_JWT_PUBLIC_KEY;
+    jwtKeysCache = {
+      secret: process.env.MAILBOX_JWT_SECRET || null,
+      publicKey: pem ? crypto.createPublicKey(pem.replace(/\\n/g, "\n")) : null,
+    };
+  }
+  return jwtKeysCache;
+}
+
+// HS* مع MAILBOX_JWT_SECRET فقط و RS*/ES* مع MAILBOX_JWT_PUBLIC_KEY فقط (لا خلط بين الخوارزميات)
+function jwtSignatureValid(alg, signed, signature) {
+  const { secret, publicKey } = jwtKeys();
+  if (JWT_HMAC[alg] && secret) {
+    const expected = crypto.createHmac(JWT_HMAC[alg], secret).update(signed).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  if (JWT_PUBLIC[alg] && publicKey) {
+    const key = alg.startsWith("ES") ? { key: publicKey, dsaEncoding: "ieee-p1363" } : publicKey;
+    try {
+      return crypto.verify(JWT_PUBLIC[alg], signed, key, signature);
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+function verifyJwt(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw authError(401, "INVALID_TOKEN", "Malformed bearer token");
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    throw authError(401, "INVALID_TOKEN", "Malformed bearer token");
+  }
+  if (!jwtSignatureValid(header?.alg, Buffer.from(`${parts[0]}.${parts[1]}`), Buffer.from(parts[2], "base64url"))) {
+    throw authError(401, "INVALID_TOKEN", "Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number") throw authError(401, "INVALID_TOKEN", "Token has no exp claim");
+  if (payload.exp + JWT_CLOCK_SKEW_SEC <= now) throw authError(401, "TOKEN_EXPIRED", "Token has expired");
+  if (typeof payload.nbf === "number" && payload.nbf - JWT_CLOCK_SKEW_SEC > now) {
+    throw authError(401, "INVALID_TOKEN", "Token is not valid yet");
+  }
+  const issuer = process.env.MAILBOX_JWT_ISSUER;
+  if (issuer && payload.iss !== issuer) throw authError(401, "INVALID_TOKEN", "Unexpected token issuer");
+  const audience = process.env.MAILBOX_JWT_AUDIENCE;
+  if (audience && ![].concat(payload.aud ?? []).includes(audience)) {
+    throw authError(401, "INVALID_TOKEN", "Unexpected token audience");
+  }
+
+  const integrationIds = [].concat(payload.integrationIds ?? payload.integrationId ?? []).map(String);
+  const scopes = (Array.isArray(payload.scopes) ? payload.scopes : String(payload.scope || "").split(" ")).filter(
+    (scope) => AUTH_SCOPES.includes(scope)
+  );
+  if (!integrationIds.length || !scopes.length) {
+    throw authError(401, "INVALID_TOKEN", "Token grants no integrationIds or scopes");
+  }
+  return { type: "jwt", id: payload.sub ? String(payload.sub) : null, integrationIds, scopes };
+}
+
+// ------ مفاتيح API: يُخزَّن hash السر فقط؛ المفتاح الكامل يُعرض مرة واحدة عند الإنشاء
+const apiKeyCache = new Map(); // keyId -> { record, at }
+const apiKeyTouchedAt = new Map(); // keyId -> ms
+
+async function cachedApiKey(keyId) {
+  const hit = apiKeyCache.get(keyId);
+  if (hit && Date.now() - hit.at < AUTH_CACHE_MS) return hit.record;
+  const record = await redis.get(kApiKey(keyId));
+  apiKeyCache.delete(keyId);
+  apiKeyCache.set(keyId, { record, at: Date.now() });
+  if (apiKeyCache.size > AUTH_CACHE_MAX) apiKeyCache.delete(apiKeyCache.keys().next().value);
+  return record;
+}
+
+// lastUsedAt في مفتاح منفصل حتى لا تُعيد كتابةٌ متأخرة مفتاحاً أُلغي
+function touchApiKey(keyId) {
+  const last = apiKeyTouchedAt.get(keyId) || 0;
+  if (Date.now() - last < API_KEY_TOUCH_MS) return;
+  apiKeyTouchedAt.set(keyId, Date.now());
+  redis
+    .set(kApiKeyUsed(keyId), new Date().toISOString(), { ex: API_KEY_USED_TTL_SEC })
+    .catch((err) => console.warn(`API key ${keyId}: failed to record use:`, err.message));
+}
+
+async function verifyApiKey(token) {
+  const [, keyId, secret] = token.match(API_KEY_PATTERN) || [];
+  if (!keyId) throw authError(401, "INVALID_TOKEN", "Malformed API key");
+  const record = await cachedApiKey(keyId);
+  if (!record || !sameDigest(record.hash, sha256Hex(secret))) throw authError(401, "INVALID_TOKEN", "Invalid API key");
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    throw authError(401, "TOKEN_EXPIRED", "API key has expired");
+  }
+  touchApiKey(keyId);
+  return { type: "apiKey", id: keyId, name: record.name, integrationIds: record.integrationIds, scopes: record.scopes };
+}
+
+async function authenticateToken(token) {
+  if (!token) throw authError(401, "UNAUTHORIZED", "Authentication required");
+  if (ADMIN_API_KEY_HASH && sameDigest(sha256Hex(token), ADMIN_API_KEY_HASH)) {
+    return { type: "adminKey", id: "MAILBOX_ADMIN_API_KEY", integrationIds: ["*"], scopes: ["admin"] };
+  }
+  return token.startsWith("mbx_") ? verifyApiKey(token) : verifyJwt(token);
+}
+
+// access_token في الـ query فقط حيث لا يمكن للمتصفح إرسال headers (EventSource و WebSocket)
+function bearerToken(headers, queryToken = null) {
+  const [scheme, value] = String(headers.authorization || "").trim().split(/\s+/);
+  if (/^bearer$/i.test(scheme) && value) return value;
+  return queryToken ? String(queryToken) : null;
+}
+
+function sendAuthError(res, err) {
+  if (err.status === 401) res.set("WWW-Authenticate", `Bearer error="invalid_token"`);
+  res.status(err.status || 500).json({ error: err?.message || "Authentication failed", code: err?.code || "UNKNOWN_ERROR" });
+}
+
+async function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.principal = OPEN_PRINCIPAL;
+    return next();
+  }
+  try {
+    const queryToken = req.method === "GET" && req.path.endsWith("/stream") ? req.query.access_token : null;
+    req.principal = await authenticateToken(bearerToken(req.headers, queryToken));
+    next();
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+}
+
+// global: المسار يخص كل الحسابات (/admin، /pool) فيحتاج integrationIds ["*"]
+function requireScope(scope, { global = false } = {}) {
+  return (req, res, next) => {
+    if (!hasScope(req.principal, scope)) {
+      return sendAuthError(res, authError(403, "INSUFFICIENT_SCOPE", `This request needs the ${scope} scope`));
+    }
+    if (global && !isGlobalPrincipal(req.principal)) {
+      return sendAuthError(res, authError(403, "FORBIDDEN", `This request needs access to all integrations ("*")`));
+    }
+    next();
+  };
+}
+
+async function authorizeAccount(req, res, next, accountId) {
+  try {
+    if (await canAccessAccount(req.principal, accountId)) return next();
+    res.status(404).json({ error: "Account not found", code: "NOT_FOUND" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+function apiKeyView(record, lastUsedAt = null) {
+  const { hash, ...rest } = record;
+  return { ...rest, lastUsedAt };
+}
+
+const apiKeys = {
+  async create(input, principal) {
+    const keyId = ulid();
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const record = {
+      id: keyId,
+      name: input.name,
+      integrationIds: Array.from(new Set(input.integrationIds)),
+      scopes: Array.from(new Set(input.scopes)),
+      hash: sha256Hex(secret),
+      createdAt: new Date().toISOString(),
+      createdBy: principal.id ? `${principal.type}:${principal.id}` : principal.type,
+      expiresAt: input.expiresAt || null,
+    };
+    await redis.set(kApiKey(keyId), record);
+    await redis.sadd(kApiKeyIndex, keyId);
+    return { record, key: `mbx_${keyId}_${secret}` };
+  },
+  async get(keyId) {
+    const record = await redis.get(kApiKey(keyId));
+    return record && apiKeyView(record, await redis.get(kApiKeyUsed(keyId)));
+  },
+  async list() {
+    const ids = ((await redis.smembers(kApiKeyIndex)) || []).map(String);
+    const out = [];
+    for (const keyId of ids) {
+      const view = await apiKeys.get(keyId);
+      if (view) out.push(view);
+    }
+    return out.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+  // النسخ الأخرى تتوقف عن قبوله خلال MAILBOX_AUTH_CACHE_MS
+  async revoke(keyId) {
+    await redis.del(kApiKey(keyId));
+    await redis.del(kApiKeyUsed(keyId));
+    await redis.srem(kApiKeyIndex, keyId);
+    apiKeyCache.delete(keyId);
+  },
+};
+
+// ------------------------- Resend keys -------------------------
+// مفتاح Resend لكل integration مشفّر بنفس envelope أسرار البريد؛ مسارات /emails و /domains و /contacts
+// و /audiences و /broadcasts تأخذه من التوكن، وheader الـ resend_api_key يبقى تجاوزاً اختيارياً
+const kResendKey = (integrationId) => `mail:resendkey:${integrationId}`;
+const ResendKeySchema = z.object({ apiKey: z.string().startsWith("re_", "Resend API keys start with re_") });
+
+function resendKeyAad(record) {
+  return `resend:${record.integrationId}`;
+}
+
+function resendKeyView(record) {
+  const { enc, ...rest } = record;
+  return rest;
+}
+
+const resendKeys = {
+  get: (integrationId) => redis.get(kResendKey(integrationId)),
+  async save(integrationId, apiKey) {
+    const existing = await redis.get(kResendKey(integrationId));
+    const now = new Date().toISOString();
+    const record = {
+      integrationId,
+      keyHint: `re_...${apiKey.slice(-4)}`,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    record.enc = await encryptJSON({ apiKey }, resendKeyAad(record));
+    await redis.set(kResendKey(integrationId), record);
+    return record;
+  },
+  remove: (integrationId) => redis.del(kResendKey(integrationId)),
+  async reveal(record) {
+    const { apiKey } = await decryptJSON(record.enc, resendKeyAad(record));
+    rewrapLater(kResendKey(record.integrationId), record, resendKeyAad(record));
+    return apiKey;
+  },
+};
+
+// principal بـ integration واحدة لا يحتاج X-Integration-Id
+function resendIntegration(req, principal) {
+  const requested = req.headers["x-integration-id"];
+  if (requested) return String(requested);
+  return !isGlobalPrincipal(principal) && principal.integrationIds.length === 1 ? principal.integrationIds[0] : null;
+}
+
+// scope الافتراضي: read لطلبات GET و send لغيرها
+function resendApiKey(scope = null) {
+  return async (req, res, next) => {
+    const fail = (status, error, code) => res.status(status).json({ success: false, error, code });
+    if (req.headers["resend_api_key"]) {
+      req.resendApiKey = req.headers["resend_api_key"];
+      return next();
+    }
+    try {
+      const bearer = bearerToken(req.headers);
+      if (!bearer && AUTH_ENABLED) {
+        return fail(400, "Missing resend_api_key in headers or a bearer token of an integration with a stored Resend key", "MISSING_API_KEY");
+      }
+      const principal = AUTH_ENABLED ? await authenticateToken(bearer) : OPEN_PRINCIPAL;
+      const needed = scope || (req.method === "GET" ? "read" : "send");
+      if (!hasScope(principal, needed)) return fail(403, `This request needs the ${needed} scope`, "INSUFFICIENT_SCOPE");
+
+      const integrationId = resendIntegration(req, principal);
+      if (!integrationId) return fail(400, "X-Integration-Id header is required for tokens with several integrations", "INTEGRATION_REQUIRED");
+      if (!canAccessIntegration(principal, integrationId)) return fail(403, "Not allowed for this integrationId", "FORBIDDEN");
+      const record = await resendKeys.get(integrationId);
+      if (!record) return fail(400, `No Resend API key stored for integration ${integrationId}`, "RESEND_KEY_NOT_FOUND");
+
+      req.principal = principal;
+      req.integrationId = integrationId;
+      req.resendApiKey = await resendKeys.reveal(record);
+      next();
+    } catch (err) {
+      if (err.status === 401) res.set("WWW-Authenticate", `Bearer error="invalid_token"`);
+      fail(err.status || 500, err?.message || "Failed to resolve the Resend API key", err?.code || "UNKNOWN_ERROR");
+    }
+  };
+}
+
+// ------------------------- Router -------------------------
+const mailboxRouter = Router();
+mailboxRouter.use(authenticate);
+mailboxRouter.param("id", authorizeAccount);
+
+/**
+ * @swagger
+ * /mailbox/accounts/presets:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List built-in provider presets
+ *     description: Returns the provider catalog that can be passed as `preset` to account creation and discovery.
+ *     responses:
+ *       200:
+ *         description: Provider presets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 presets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxPreset'
+ */
+mailboxRouter.get("/accounts/presets", requireScope("read"), (req, res) => {
+  const presets = Object.entries(MAIL_PRESETS).map(([key, p]) => ({
+    key,
+    name: p.name,
+    domains: p.domains,
+    imap: p.imap,
+    smtp: p.smtp,
+    oauth2Provider: p.oauth2Provider || null,
+    settings: p.settings,
+  }));
+  res.json({ presets });
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/discover:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Discover IMAP/SMTP settings for an email address
+ *     description: |
+ *       Resolves server settings from the built-in preset catalog (by `preset` or by the address domain). Otherwise it
+ *       collects candidates from Mozilla-style autoconfig XML, SRV records (RFC 6186 / RFC 8314), MX records of known
+ *       providers and common host names. With `probe` (default) each candidate is checked by reading the server greeting;
+ *       the first reachable one is returned with `verified: true`. No credentials are sent.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxDiscoverRequest'
+ *           example:
+ *             email: 'user@company.com'
+ *     responses:
+ *       200:
+ *         description: Discovered settings (`imap`/`smtp` are null when nothing usable was found)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxDiscoverResponse'
+ *       400:
+ *         description: Bad request - validation error or unknown preset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/discover", requireScope("admin"), async (req, res) => {
+  try {
+    const body = DiscoverSchema.parse(req.body);
+    res.json(await discoverSettings(body.email, body));
+  } catch (err) {
+    res.status(400).json({
+      error: err?.message || "Discovery failed",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Create new mailbox account
+ *     description: |
+ *       Creates a new mailbox account with IMAP and SMTP configuration. Optionally tests connectivity before storing.
+ *       `imap`/`smtp` may be omitted: they are then resolved like POST /mailbox/accounts/discover (using `preset` when given)
+ *       with the email address as username and the top-level `password`. Preset settings (e.g. `saveToSent: false` for Gmail)
+ *       apply unless `settings` is given.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateMailboxAccountRequest'
+ *           example:
+ *             integrationId: 'user123'
+ *             label: 'Work Email'
+ *             primaryEmail: 'user@company.com'
+ *             imap:
+ *               server: 'imap.gmail.com'
+ *               port: 993
+ *               username: 'user@company.com'
+ *               password: 'app-password'
+ *               connection: 'SSL/TLS'
+ *             smtp:
+ *               server: 'smtp.gmail.com'
+ *               port: 587
+ *               username: 'user@company.com'
+ *               password: 'app-password'
+ *               connection: 'STARTTLS'
+ *             testConnection: true
+ *     responses:
+ *       200:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accountId:
+ *                   type: string
+ *                   description: Unique identifier for the created account
+ *                   example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *                 discovered:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Present when imap/smtp were resolved automatically
+ *                   properties:
+ *                     preset:
+ *                       type: string
+ *                       nullable: true
+ *                     imap:
+ *                       $ref: '#/components/schemas/MailboxDiscoveredServer'
+ *                     smtp:
+ *                       $ref: '#/components/schemas/MailboxDiscoveredServer'
+ *       403:
+ *         description: The token is not bound to this integrationId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error or connectivity test failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts", requireScope("admin"), async (req, res) => {
+  try {
+    const body = CreateAccountSchema.parse(req.body);
+    if (!canAccessIntegration(req.principal, body.integrationId)) {
+      return res.status(403).json({ error: "Not allowed for this integrationId", code: "FORBIDDEN" });
+    }
+    const accountId = ulid();
+
+    let discovered = null;
+    if (!body.imap || !body.smtp) {
+      discovered = await discoverSettings(body.primaryEmail, { preset: body.preset });
+      const missing = ["imap", "smtp"].filter((k) => !body[k] && !discovered[k]);
+      if (missing.length) {
+        const err = new Error(`Could not discover ${missing.join(" and ")} settings for ${body.primaryEmail}`);
+        err.code = "DISCOVERY_FAILED";
+        throw err;
+      }
+    }
+    const fromDiscovery = (found) => ({
+      server: found.server,
+      port: found.port,
+      username: found.username,
+      ...(body.password ? { password: body.password } : {}),
+      connection: found.connection,
+    });
+
+    const secret = {
+      label: body.label,
+      primaryEmail: body.primaryEmail,
+      imap: body.imap || fromDiscovery(discovered.imap),
+      smtp: body.smtp || fromDiscovery(discovered.smtp),
+      ...(body.oauth2 ? { oauth2: body.oauth2 } : {}),
+    };
+
+    // اختياري: اختبار اتصال قبل التخزين
+    if (body.testConnection) {
+      if (secret.oauth2) secret.oauth2 = await refreshAccessToken(secret.oauth2);
+      const transporter = smtpTransportFromSecret(secret);
+      await transporter.verify();
+      const client = new ImapFlow(imapConfigFromSecret(secret));
+      await client.connect();
+      await client.logout();
+    }
+
+    const aad = `${accountId}:${body.integrationId}`;
+    const enc = await encryptJSON(secret, aad);
+    const now = new Date().toISOString();
+    const record = {
+      id: accountId,
+      integrationId: body.integrationId,
+      createdAt: now,
+      updatedAt: now,
+      settings: body.settings || discovered?.settings || {},
+      enc,
+    };
+
+    await accounts.create(record);
+    if (record.settings.alwaysWatch) await syncAlwaysWatch(record);
+
+    res.json({
+      accountId,
+      discovered: discovered && { preset: discovered.preset, imap: discovered.imap, smtp: discovered.smtp },
+    });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request", ...(err?.code ? { code: err.code } : {}) });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List mailbox accounts for a user
+ *     description: Retrieves all mailbox accounts for a specific user with masked email addresses for security.
+ *     parameters:
+ *       - in: query
+ *         name: integrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User identifier
+ *         example: 'user123'
+ *     responses:
+ *       200:
+ *         description: List of user's mailbox accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxAccount'
+ *       403:
+ *         description: The token is not bound to this integrationId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - missing integrationId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts", requireScope("read"), async (req, res) => {
+  try {
+    const integrationId = String(req.query.integrationId || "");
+    if (!integrationId) throw new Error("integrationId is required");
+    if (!canAccessIntegration(req.principal, integrationId)) {
+      return res.status(403).json({ error: "Not allowed for this integrationId", code: "FORBIDDEN" });
+    }
+    const ids = await accounts.listIds(integrationId);
+    const out = [];
+    for (const id of ids) {
+      const rec = await loadAccount(id, false);
+      if (!rec) continue;
+      const secret = await decryptAccount(rec);
+      out.push({
+        id: rec.id,
+        integrationId: rec.integrationId,
+        label: secret.label || null,
+        primaryEmailMasked: maskEmail(secret.primaryEmail),
+        settings: accountSettings(rec),
+        createdAt: rec.createdAt,
+        updatedAt: rec.updatedAt,
+      });
+    }
+    res.json({ accounts: out });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get detailed mailbox account information
+ *     description: Retrieves full account details including server settings. Passwords are redacted by default unless explicitly requested with a key that has the `admin` scope.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: includePasswords
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Whether to include passwords in response (requires the `admin` scope)
+ *         example: 'false'
+ *     responses:
+ *       200:
+ *         description: Account details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxAccountDetail'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id", requireScope("read"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    if (!acc) return res.status(404).json({ error: "Not found" });
+    const includePw = String(req.query.includePasswords || "false") === "true";
+    if (includePw && !hasScope(req.principal, "admin")) {
+      return res.status(403).json({ error: "includePasswords needs the admin scope", code: "INSUFFICIENT_SCOPE" });
+    }
+    const secret = await decryptAccount(acc);
+    const redact = (s) => (includePw ? s : { ...s, password: undefined, hasPassword: Boolean(s.password) });
+    const redactOAuth2 = (o) =>
+      includePw
+        ? o
+        : {
+            provider: o.provider,
+            clientId: o.clientId,
+            tokenEndpoint: o.tokenEndpoint || null,
+            scope: o.scope || null,
+            expiresAt: o.expiresAt || null,
+            hasRefreshToken: Boolean(o.refreshToken),
+          };
+    res.json({
+      id: acc.id,
+      integrationId: acc.integrationId,
+      createdAt: acc.createdAt,
+      updatedAt: acc.updatedAt,
+      settings: accountSettings(acc),
+      secret: {
+        label: secret.label || null,
+        primaryEmail: secret.primaryEmail,
+        imap: redact(secret.imap),
+        smtp: redact(secret.smtp),
+        oauth2: secret.oauth2 ? redactOAuth2(secret.oauth2) : null,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}:
+ *   put:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Update mailbox account configuration
+ *     description: Updates the account's server settings and configuration. This replaces the entire secret configuration. Pooled IMAP connections are closed and the account's active watchers reconnect with the new configuration; SSE and WebSocket clients stay connected.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMailboxAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Account updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.put("/accounts/:id", requireScope("admin"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    if (!acc) return res.status(404).json({ error: "Not found" });
+    const body = SecretPayload.parse(req.body);
+    const aad = `${acc.id}:${acc.integrationId}`;
+    const enc = await encryptJSON(body, aad);
+    const updated = {
+      ...acc,
+      enc,
+      updatedAt: new Date().toISOString(),
+    };
+    await accounts.save(updated);
+    drainImapPool(acc.id);
+    restartAccountWatchers(acc.id);
+    publishAccountRestart(acc.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/settings:
+ *   patch:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Update mailbox account settings
+ *     description: Merges the given non-secret settings into the account record. Omitted keys keep their current value.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxAccountSettings'
+ *           example:
+ *             saveToSent: false
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/MailboxAccountSettings'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.patch("/accounts/:id/settings", requireScope("admin"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    const patch = AccountSettings.parse(req.body);
+    const updated = {
+      ...acc,
+      settings: { ...(acc.settings || {}), ...patch },
+      updatedAt: new Date().toISOString(),
+    };
+    await accounts.save(updated);
+    if ("alwaysWatch" in patch) await syncAlwaysWatch(updated);
+    res.json({ settings: accountSettings(updated) });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}:
+ *   delete:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Delete mailbox account
+ *     description: Permanently deletes a mailbox account and all its associated data.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully (or didn't exist)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.delete("/accounts/:id", requireScope("admin"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id, false);
+    if (!acc) return res.json({ ok: true });
+    await accounts.remove(acc);
+    await redis.srem(kAlwaysWatch, acc.id);
+    await dropAccountWebhooks(acc.id);
+    await stopAccountWatchers(acc.id);
+    await dropEventLog(acc.id);
+    await dropAccountCache(acc.id);
+    drainImapPool(acc.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/test:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Test IMAP and SMTP connectivity
+ *     description: Tests both IMAP and SMTP connectivity for the specified account to verify credentials and server settings.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     responses:
+ *       200:
+ *         description: Connectivity test passed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Connectivity test failed or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/test", requireScope("admin"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+    const transporter = smtpTransportFromSecret(secret);
+    await transporter.verify();
+    // اتصال جديد خارج الـ pool: اتصال مفتوح مسبقاً لا يثبت أن بيانات الدخول ما زالت صالحة
+    const client = await openImap(secret, "connection test");
+    await closeImap(client);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/pool:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get IMAP connection pool metrics
+ *     description: Returns the per-account IMAP connection pools of this instance. Request handlers share these connections; watchers keep their own IDLE connection and are not counted. A pool is `saturated` when every connection is busy and it is at `MAILBOX_POOL_MAX`; further requests queue in order until one is released or `MAILBOX_POOL_ACQUIRE_TIMEOUT_MS` passes.
+ *     responses:
+ *       200:
+ *         description: Pool metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxPoolMetrics'
+ */
+mailboxRouter.get("/pool", requireScope("admin", { global: true }), (req, res) => {
+  res.json({ instanceId: INSTANCE_ID, ...poolMetrics() });
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/pool:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get the account's IMAP connection pool
+ *     description: Same as `/mailbox/pool` for a single account. `pool` is null when the account has no open connections on this instance.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     responses:
+ *       200:
+ *         description: Pool metrics for the account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accountId:
+ *                   type: string
+ *                 instanceId:
+ *                   type: string
+ *                 maxPerAccount:
+ *                   type: integer
+ *                 pool:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/MailboxPoolAccount'
+ *                   nullable: true
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/pool", requireScope("read"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    const { maxPerAccount, accounts: [pool = null] } = poolMetrics(acc.id);
+    res.json({ accountId: acc.id, instanceId: INSTANCE_ID, maxPerAccount, pool });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to get pool status" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/send:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Send email via SMTP
+ *     description: Sends an email using the account's SMTP configuration. Supports attachments and both plain text and HTML content. Unless the account's `saveToSent` setting is off, the exact bytes sent are also appended to the Sent folder.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxSendRequest'
+ *     responses:
+ *       200:
+ *         description: Email sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxSendResponse'
+ *       400:
+ *         description: Bad request - validation error or send failure
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/send", requireScope("send"), async (req, res) => {
+  try {
+    const msg = SendSchema.parse(req.body);
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+    const info = await deliverMail(acc, secret, {
+      from: secret.smtp.username, // أو استخدم secret.primaryEmail حسب مزوّدك
+      to: msg.to,
+      cc: msg.cc,
+      bcc: msg.bcc,
+      subject: msg.subject,
+      text: msg.text,
+      html: msg.html,
+      attachments: toMailAttachments(msg.attachments),
+    });
+
+    res.json({ messageId: info.messageId, accepted: info.accepted, rejected: info.rejected, savedTo: info.savedTo });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Bad Request" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Create a draft
+ *     description: Stores a new draft as a `\Draft`-flagged message in the Drafts folder (special-use `\Drafts` unless the account overrides it). Recipients may be empty.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxSendRequest'
+ *     responses:
+ *       200:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxDraftRef'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/drafts", requireScope("send"), draftsHandler("create", async ({ req, res, secret, client, folder }) => {
+  const draft = DraftSchema.parse(req.body);
+  res.json(await appendDraft(client, folder, secret, ulid(), draft));
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List drafts
+ *     description: Lists the messages in the Drafts folder, newest first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     responses:
+ *       200:
+ *         description: Drafts in the folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folder:
+ *                   type: string
+ *                 drafts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxMessage'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/drafts", requireScope("read"), draftsHandler("list", async ({ res, client, folder }) => {
+  const lock = await lockFolder(client, folder);
+  const drafts = [];
+  try {
+    if (client.mailbox.exists) {
+      for await (const msg of client.fetch("1:*", {
+        uid: true,
+        envelope: true,
+        flags: true,
+        internalDate: true,
+        headers: [DRAFT_ID_HEADER],
+      })) {
+        const header = msg.headers ? msg.headers.toString("utf8") : "";
+        const match = header.match(/:\s*(\S+)/);
+        drafts.push({ draftId: match ? match[1] : String(msg.uid), ...summarizeEnvelope(msg) });
+      }
+    }
+  } finally {
+    releaseLock(lock);
+  }
+  drafts.sort((a, b) => b.uid - a.uid);
+  res.json({ folder, drafts });
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts/{draftId}:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get a draft
+ *     description: Returns the latest version of the draft in the same shape as the send request, so the UI can resume editing.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Draft ID returned on create, or the UID of a draft created by another client
+ *         example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
+ *     responses:
+ *       200:
+ *         description: Draft content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxDraft'
+ *       404:
+ *         description: Draft not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/drafts/:draftId", requireScope("read"), draftsHandler("get", async ({ req, res, client, folder }) => {
+  const draft = await loadDraft(client, folder, req.params.draftId);
+  if (!draft) return res.status(404).json({ error: "Draft not found" });
+  res.json(draftView(req.params.draftId, folder, draft));
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts/{draftId}:
+ *   put:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Update a draft
+ *     description: Appends the new version of the draft and then removes the previous one. The draft ID stays the same; the UID changes.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Draft ID returned on create, or the UID of a draft created by another client
+ *         example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxSendRequest'
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxDraftRef'
+ *       404:
+ *         description: Draft not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.put("/accounts/:id/drafts/:draftId", requireScope("send"), draftsHandler("update", async ({ req, res, secret, client, folder }) => {
+  const draft = DraftSchema.parse(req.body);
+  const previous = await lockedDraftUids(client, folder, req.params.draftId);
+  if (!previous.length) return res.status(404).json({ error: "Draft not found" });
+
+  // مسودّة من عميل آخر (UID رقمي) تحصل على draftId جديد ثابت
+  const draftId = /^\d+$/.test(req.params.draftId) ? ulid() : req.params.draftId;
+  const saved = await appendDraft(client, folder, secret, draftId, draft);
+  await deleteDraftUids(client, folder, previous);
+  res.json(saved);
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts/{draftId}:
+ *   delete:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Delete a draft
+ *     description: Permanently removes every stored version of the draft.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Draft ID returned on create, or the UID of a draft created by another client
+ *         example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *       404:
+ *         description: Draft not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.delete("/accounts/:id/drafts/:draftId", requireScope("send"), draftsHandler("delete", async ({ req, res, client, folder }) => {
+  const uids = await lockedDraftUids(client, folder, req.params.draftId);
+  if (!uids.length) return res.status(404).json({ error: "Draft not found" });
+  await deleteDraftUids(client, folder, uids);
+  res.json({ ok: true });
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/drafts/{draftId}/send:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Send a draft
+ *     description: Validates the draft like a send request, delivers it through the account's SMTP server (saving to Sent like /send) and removes the draft.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Draft ID returned on create, or the UID of a draft created by another client
+ *         example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
+ *     responses:
+ *       200:
+ *         description: Draft sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxSendResponse'
+ *       404:
+ *         description: Draft not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error, missing Drafts folder or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/drafts/:draftId/send", requireScope("send"), draftsHandler("send", async ({ req, res, acc, secret, client, folder }) => {
+  const draft = await loadDraft(client, folder, req.params.draftId);
+  if (!draft) return res.status(404).json({ error: "Draft not found" });
+
+  const view = draftView(req.params.draftId, folder, draft);
+  const msg = SendSchema.parse(view);
+  const { headers, ...mail } = draftMail(secret, view.draftId, msg);
+  const info = await deliverMail(acc, secret, mail, client);
+
+  await deleteDraftUids(client, folder, await lockedDraftUids(client, folder, req.params.draftId));
+
+  res.json({ messageId: info.messageId, accepted: info.accepted, rejected: info.rejected, savedTo: info.savedTo });
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/folders:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List IMAP folders
+ *     description: Lists the account's IMAP folders with special-use flags and message counts from STATUS.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Return folders nested under their parents instead of a flat list
+ *         example: 'false'
+ *     responses:
+ *       200:
+ *         description: Folders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxFolder'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/folders", requireScope("read"), async (req, res) => {
+  const asTree = String(req.query.tree || "false") === "true";
+  let client = null;
+
+  try {
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+
+    client = await connectImap(secret, "folders list", acc.id);
+    const list = await client.list({ statusQuery: { messages: true, unseen: true } });
+    const folders = list.map(summarizeFolder);
+
+    if (!asTree) return res.json({ folders });
+
+    const byPath = new Map(folders.map((f) => [f.path, { ...f, folders: [] }]));
+    const roots = [];
+    for (const node of byPath.values()) {
+      const parent = node.parentPath ? byPath.get(node.parentPath) : null;
+      if (parent) parent.folders.push(node);
+      else roots.push(node);
+    }
+    res.json({ folders: roots });
+  } catch (err) {
+    console.error("Folders list error:", err.message);
+    res.status(400).json({
+      error: err?.message || "Failed to list folders",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/reply:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Reply or reply-all to a message
+ *     description: |
+ *       Loads the original message over IMAP and sends a reply through the account's SMTP server.
+ *       Recipients default to the original Reply-To/From; `all: true` adds the original To and Cc minus the account's own addresses.
+ *       In-Reply-To and References are set for threading, the subject gets a `Re:` prefix and the original text/HTML is quoted unless `quote: false`.
+ *       The original message is flagged `\Answered`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: UID of the original message
+ *         example: 12345
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxReplyRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             all: true
+ *             text: 'Thanks, we are looking into it.'
+ *     responses:
+ *       200:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxRespondResponse'
+ *       404:
+ *         description: Original message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error or send failure
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/:uid/reply", requireScope("send"), respondHandler(ReplySchema, "reply", buildReply, "\\Answered"));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/forward:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Forward a message
+ *     description: |
+ *       Loads the original message over IMAP and forwards it through the account's SMTP server with a `Fwd:` subject and the original headers and body inlined.
+ *       Original attachments are carried over unless `includeAttachments: false`. The original message is flagged `$Forwarded`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: UID of the original message
+ *         example: 12345
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxForwardRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             to: ['colleague@example.com']
+ *             text: 'FYI'
+ *             includeAttachments: true
+ *     responses:
+ *       200:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxRespondResponse'
+ *       404:
+ *         description: Original message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request - validation error or send failure
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/:uid/forward", requireScope("send"), respondHandler(ForwardSchema, "forward", buildForward, "$Forwarded"));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List messages in a folder
+ *     description: |
+ *       Retrieves messages from the given folder (INBOX by default), newest first, one page at a time.
+ *       Pass `nextCursor` back as `cursor` to load older messages, or `prevCursor` to load messages that arrived since.
+ *       Cursors are tied to the folder's UIDVALIDITY; when it changes the route answers 409 `UIDVALIDITY_CHANGED`
+ *       and the client must discard its cached messages and start again without a cursor.
+ *       Pages are served from the server-side mail cache, which is synced incrementally (CONDSTORE or UID diff) when it is older
+ *       than `MAILBOX_CACHE_MAX_AGE_MS` or kept current by a running watcher; pass `fresh=true` to read straight from IMAP.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path (see /mailbox/accounts/{id}/folders)
+ *         example: 'INBOX'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of messages to retrieve
+ *         example: 20
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only retrieve messages newer than this date (ISO 8601 format)
+ *         example: '2024-01-01T00:00:00.000Z'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous `nextCursor` or `prevCursor`; it carries the folder
+ *       - in: query
+ *         name: fresh
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Bypass the mail cache and fetch from IMAP
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folder:
+ *                   type: string
+ *                   example: 'INBOX'
+ *                 uidValidity:
+ *                   type: string
+ *                   description: UIDVALIDITY of the folder
+ *                   example: '1700000000'
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxMessage'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next (older) page, null when there are no older messages
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for newer messages than this page, null on the first page
+ *                 cached:
+ *                   type: boolean
+ *                   description: Whether the page came from the mail cache
+ *                 syncedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Last sync of the cached folder (null when served from IMAP)
+ *       409:
+ *         description: UIDVALIDITY changed since the cursor was issued (code UIDVALIDITY_CHANGED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/messages", requireScope("read"), async (req, res) => {
+  const limit = Math.min(parseInt(String(req.query.limit || "20"), 10) || 20, 100);
+  const sinceStr = String(req.query.since || "");
+  const fresh = String(req.query.fresh || "false") === "true";
+  let client = null;
+  let lock = null;
+  
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (cursor && req.query.folder && folderFrom(req.query.folder) !== cursor.folder) {
+      const err = new Error("Cursor does not belong to the requested folder");
+      err.code = "INVALID_CURSOR";
+      throw err;
+    }
+    const folder = cursor ? cursor.folder : folderFrom(req.query.folder);
+    const acc = await loadAccount(req.params.id);
+    const dir = cursor ? cursor.dir : "older";
+
+    let out = null;
+    let page;
+    let uidValidity;
+    let syncedAt = null;
+
+    // من الـ cache أولاً؛ الصفحات الأقدم من نافذته تُجلب من IMAP
+    if (mailCache.store && !fresh) {
+      const entry = await cachedFolder(acc, folder);
+      if (cursor && cursor.uidValidity !== entry.uidValidity) throw uidValidityChanged(folder);
+      const cachedResult = cachedPage(entry, {
+        since: sinceStr ? new Date(sinceStr) : null,
+        dir,
+        anchor: cursor ? cursor.uid : entry.uidNext,
+        limit,
+      });
+      if (cachedResult) {
+        out = cachedResult.messages.map(publicMessage);
+        page = { hasMore: cachedResult.hasMore };
+        uidValidity = entry.uidValidity;
+        syncedAt = new Date(entry.syncedAt).toISOString();
+      }
+    }
+
+    if (!out) {
+      const secret = await accountSecret(acc);
+      client = await connectImap(secret, "messages list", acc.id);
+      lock = await lockFolder(client, folder);
+
+      out = [];
+      uidValidity = String(client.mailbox.uidValidity);
+      try {
+        if (cursor && cursor.uidValidity !== uidValidity) throw uidValidityChanged(folder);
+
+        const lastUid = (client.mailbox.uidNext || 1) - 1;
+        const criteria = sinceStr ? { since: new Date(sinceStr) } : {};
+        const anchor = cursor ? cursor.uid : lastUid + 1;
+        page = await collectUidPage(client, { criteria, dir, anchor, limit, lastUid });
+        
+        // Add timeout for fetch operation
+        const fetchTimeout = setTimeout(() => {
+          throw new Error("Messages fetch operation timed out");
+        }, 45000); // 45 second timeout for list operation
+        
+        try {
+          if (page.uids.length) {
+            for await (const msg of client.fetch(page.uids, {
+              envelope: true,
+              flags: true,
+              internalDate: true,
+              source: false,
+              uid: true,
+            }, { uid: true })) {
+              out.push(summarizeEnvelope(msg));
+            }
+          }
+          clearTimeout(fetchTimeout);
+        } catch (fetchError) {
+          clearTimeout(fetchTimeout);
+          throw fetchError;
+        }
+        
+      } finally {
+        // Always release the lock
+        releaseLock(lock);
+      }
+    }
+
+    // الأحدث أولاً؛ nextCursor للأقدم و prevCursor للأحدث
+    out.sort((a, b) => b.uid - a.uid);
+    const newest = out.length ? out[0].uid : cursor ? cursor.uid : null;
+    const oldest = out.length ? out[out.length - 1].uid : cursor ? cursor.uid : null;
+    const hasOlder = dir === "older" ? page.hasMore : oldest !== null && oldest > 1;
+    const hasNewer = dir === "newer" ? page.hasMore : !!cursor;
+
+    res.json({
+      folder,
+      uidValidity,
+      messages: out,
+      nextCursor: hasOlder && oldest !== null ? encodeCursor(folder, uidValidity, oldest, "older") : null,
+      prevCursor: (hasNewer || dir === "newer") && newest !== null ? encodeCursor(folder, uidValidity, newest, "newer") : null,
+      cached: syncedAt !== null,
+      syncedAt,
+    });
+  } catch (err) {
+    console.error("Messages list error:", err.message);
+    res.status(err?.status || 400).json({ 
+      error: err?.message || "Failed to fetch messages",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    // Always cleanup the client connection
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/attachments/{partId}:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Download a single attachment
+ *     description: |
+ *       Streams one body part of a message, decoded from its transfer encoding, without loading the whole message.
+ *       Part IDs come from the `attachments` list of GET /mailbox/accounts/{id}/messages/{uid}.
+ *       Content-Length is only sent when the decoded size is known exactly (no base64/quoted-printable, no charset conversion); `X-Part-Size` always carries the encoded size from BODYSTRUCTURE.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *       - in: path
+ *         name: partId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: BODYSTRUCTURE part number
+ *         example: '2'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path
+ *         example: 'INBOX'
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Send `Content-Disposition inline` instead of `attachment`
+ *         example: 'false'
+ *     responses:
+ *       200:
+ *         description: Attachment content
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Message or part not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/messages/:uid/attachments/:partId", requireScope("read"), async (req, res) => {
+  let client = null;
+  let lock = null;
+  let broken = false;
+
+  try {
+    const uid = Number(req.params.uid);
+    const partId = String(req.params.partId);
+    const folder = folderFrom(req.query.folder);
+    const inline = String(req.query.inline || "false") === "true";
+    if (!Number.isInteger(uid) || uid <= 0) throw new Error("Invalid uid");
+    if (!/^\d+(\.\d+)*$/.test(partId)) throw new Error("Invalid partId");
+
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+
+    client = await connectImap(secret, "attachment download", acc.id);
+    lock = await lockFolder(client, folder);
+
+    try {
+      const meta = await client.fetchOne(String(uid), { uid: true, bodyStructure: true }, { uid: true });
+      if (!meta) return res.status(404).json({ error: "Message not found" });
+
+      const node = flattenParts(meta.bodyStructure).find((p) => p.part === partId);
+      if (!node) return res.status(404).json({ error: "Attachment part not found" });
+
+      const { content } = await client.download(String(uid), partId, { uid: true });
+      if (!content) return res.status(404).json({ error: "Attachment part not found" });
+
+      const filename = partFilename(node);
+      const encoding = String(node.encoding || "").toLowerCase();
+      const charset = String(node.parameters?.charset || "utf-8").toLowerCase();
+      // الحجم في BODYSTRUCTURE مُرمَّز؛ يطابق الناتج فقط بدون base64/QP وبدون تحويل charset للنصوص
+      const exactSize =
+        node.size != null &&
+        !["base64", "quoted-printable"].includes(encoding) &&
+        (!String(node.type).startsWith("text/") || ["utf-8", "us-ascii"].includes(charset));
+      res.setHeader("Content-Type", node.type || "application/octet-stream");
+      res.setHeader("Content-Disposition", contentDispositionHeader(inline ? "inline" : "attachment", filename));
+      if (node.size != null) res.setHeader("X-Part-Size", String(node.size));
+      if (exactSize) res.setHeader("Content-Length", String(node.size));
+
+      await pipeline(content, res);
+    } finally {
+      releaseLock(lock);
+    }
+  } catch (err) {
+    console.error("Attachment download error:", err.message);
+    if (res.headersSent) {
+      // FETCH قد يكون ما زال يُرسل بقية الجزء؛ لا يعود هذا الاتصال إلى الـ pool
+      broken = true;
+      res.destroy(err);
+      return;
+    }
+    res.status(400).json({
+      error: err?.message || "Failed to download attachment",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    await disconnectImap(client, { discard: broken });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/threads:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List conversations in a folder
+ *     description: |
+ *       Groups the most recent messages of a folder into conversations using Message-ID, In-Reply-To and References.
+ *       Uses the server's `THREAD=REFERENCES` extension when available and a JWZ-style algorithm otherwise (`method` in the response).
+ *       Threads are ordered by their latest message; `snippet` is taken from that message.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path
+ *         example: 'INBOX'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Maximum number of threads to return
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 300
+ *         description: Number of most recent messages to group
+ *     responses:
+ *       200:
+ *         description: Thread summaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folder:
+ *                   type: string
+ *                 method:
+ *                   type: string
+ *                   enum: ['THREAD=REFERENCES', 'JWZ']
+ *                 threads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxThreadSummary'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/threads", requireScope("read"), async (req, res) => {
+  const limit = Math.min(parseInt(String(req.query.limit || "20"), 10) || 20, 50);
+  const windowSize = Math.min(parseInt(String(req.query.window || "300"), 10) || 300, 1000);
+  const folder = folderFrom(req.query.folder);
+  let client = null;
+  let lock = null;
+
+  try {
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+
+    client = await connectImap(secret, "threads list", acc.id);
+    lock = await lockFolder(client, folder);
+
+    try {
+      const lastUid = (client.mailbox.uidNext || 1) - 1;
+      const { uids } = await collectUidPage(client, { criteria: {}, dir: "older", anchor: lastUid + 1, limit: windowSize, lastUid });
+
+      const byUid = new Map();
+      if (uids.length) {
+        for await (const msg of client.fetch(uids, THREAD_FETCH, { uid: true })) {
+          byUid.set(msg.uid, threadMessage(msg, folder));
+        }
+      }
+
+      let method = "THREAD=REFERENCES";
+      let groups = null;
+      const serverGroups = await serverThreads(client, uids);
+      if (serverGroups) {
+        groups = serverGroups
+          .map((members) => members.map((u) => byUid.get(u)).filter(Boolean))
+          .filter((members) => members.length)
+          .map((members) => {
+            const root = members[0];
+            const rootId = root.references[0] || root.inReplyTo || root.messageId || uidRootId(root.uid, folder);
+            return { rootId, messages: members };
+          });
+      } else {
+        method = "JWZ";
+        groups = jwzThreads(Array.from(byUid.values()));
+      }
+
+      const threads = groups
+        .map(threadSummary)
+        .sort((a, b) => new Date(b.lastDate) - new Date(a.lastDate))
+        .slice(0, limit);
+      for (const t of threads) {
+        t.snippet = await messageSnippet(client, t.lastUid, byUid.get(t.lastUid)?.bodyStructure).catch(() => null);
+      }
+
+      res.json({ folder, method, threads });
+    } finally {
+      releaseLock(lock);
+    }
+  } catch (err) {
+    console.error("Threads list error:", err.message);
+    res.status(400).json({
+      error: err?.message || "Failed to list threads",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/threads/{threadId}:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get a conversation across INBOX and Sent
+ *     description: |
+ *       Collects every message of the thread from INBOX and the Sent folder (special-use `\Sent` unless the account overrides it),
+ *       following Message-ID, In-Reply-To and References, ordered oldest first. Use the `folder` and `uid` of each message
+ *       with GET /mailbox/accounts/{id}/messages/{uid} to load bodies. A thread whose root has no (or a duplicate) Message-ID
+ *       also includes the folder it was listed from; a root without a Message-ID is returned as a thread of one message.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Thread ID from the thread list
+ *     responses:
+ *       200:
+ *         description: Thread messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxThread'
+ *       404:
+ *         description: No messages of the thread were found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/threads/:threadId", requireScope("read"), async (req, res) => {
+  let client = null;
+
+  try {
+    const { rootId, uid, folder: rootFolder } = decodeThreadId(req.params.threadId);
+    const acc = await loadAccount(req.params.id);
+    const secret = await accountSecret(acc);
+
+    client = await connectImap(secret, "thread fetch", acc.id);
+    const sent = await resolveSpecialFolder(client, "\\Sent", accountSettings(acc).sentFolder);
+    const folders = [...new Set([DEFAULT_FOLDER, ...(sent ? [sent] : []), ...(rootFolder ? [rootFolder] : [])])];
+
+    // الجذر المعرّف بـ UID: رسالة بلا Message-ID محادثة وحدها، وإلا نتوسّع من Message-ID الخاص بها
+    const root = uid ? await threadMessageByUid(client, rootFolder, uid) : null;
+    const messages = [];
+    if (root && !root.messageId) {
+      messages.push(root);
+    } else if (!uid || root) {
+      for (const folder of folders) {
+        messages.push(...(await threadMessagesIn(client, folder, root?.messageId || rootId)));
+      }
+    }
+    if (!messages.length) return res.status(404).json({ error: "Thread not found" });
+
+    messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+    const summary = threadSummary({ rootId, messages });
+    res.json({
+      threadId: summary.threadId,
+      subject: summary.subject,
+      participants: summary.participants,
+      messageCount: summary.messageCount,
+      unreadCount: summary.unreadCount,
+      lastDate: summary.lastDate,
+      messages: messages.map(({ bodyStructure, references, ...m }) => m),
+    });
+  } catch (err) {
+    console.error("Thread fetch error:", err.message);
+    res.status(400).json({
+      error: err?.message || "Failed to fetch thread",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/search:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Search messages in a folder
+ *     description: |
+ *       Runs a server-side IMAP SEARCH with a structured query and returns a page of envelopes, newest first.
+ *       Conditions in one object are combined with AND; use `and`, `or` and `not` to nest.
+ *       `hasAttachment` uses X-GM-RAW on Gmail and a `multipart/mixed` Content-Type match elsewhere.
+ *       Queries that only use from, to, subject, since, before, keyword and flag conditions are answered from the mail cache
+ *       when it holds the whole folder; set `fresh` to force an IMAP SEARCH.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxSearchRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             query:
+ *               from: 'customer@example.com'
+ *               since: '2024-01-01T00:00:00.000Z'
+ *               or:
+ *                 - subject: 'invoice'
+ *                 - hasAttachment: true
+ *             limit: 20
+ *             page: 1
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folder:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of matching messages
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxMessage'
+ *                 cached:
+ *                   type: boolean
+ *                   description: Whether the results came from the mail cache
+ *       400:
+ *         description: Bad request - invalid query or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/search", requireScope("read"), async (req, res) => {
+  let client = null;
+  let lock = null;
+
+  try {
+    const body = SearchSchema.parse(req.body);
+    const folder = folderFrom(body.folder);
+    const acc = await loadAccount(req.params.id);
+    const offset = (body.page - 1) * body.limit;
+
+    // الـ cache يكفي عندما يحوي المجلد كله وتكون كل شروط الاستعلام من الـ envelope
+    if (mailCache.store && !body.fresh && cacheSearchable(body.query)) {
+      const entry = await cachedFolder(acc, folder);
+      if (entry.complete) {
+        const matches = entry.messages.filter((m) => matchesCached(body.query, m));
+        const pageMessages = matches.slice(offset, offset + body.limit);
+        return res.json({
+          folder,
+          total: matches.length,
+          page: body.page,
+          limit: body.limit,
+          hasMore: offset + pageMessages.length < matches.length,
+          messages: pageMessages.map(publicMessage),
+          cached: true,
+        });
+      }
+    }
+
+    const secret = await accountSecret(acc);
+    client = await connectImap(secret, "search", acc.id);
+    lock = await lockFolder(client, folder);
+
+    try {
+      const criteria = toImapSearch(body.query, {
+        gmail: client.capabilities.has("X-GM-EXT-1"),
+      });
+      const uids = ((await client.search(criteria, { uid: true })) || []).sort((a, b) => b - a);
+      const pageUids = uids.slice(offset, offset + body.limit);
+
+      const out = [];
+      if (pageUids.length) {
+        for await (const msg of client.fetch(pageUids, {
+          envelope: true,
+          flags: true,
+          internalDate: true,
+          uid: true,
+        }, { uid: true })) {
+          out.push(summarizeEnvelope(msg));
+        }
+      }
+      out.sort((a, b) => b.uid - a.uid);
+
+      res.json({
+        folder,
+        total: uids.length,
+        page: body.page,
+        limit: body.limit,
+        hasMore: offset + pageUids.length < uids.length,
+        messages: out,
+        cached: false,
+      });
+    } finally {
+      releaseLock(lock);
+    }
+  } catch (err) {
+    console.error("Search error:", err.message);
+    res.status(400).json({
+      error: err?.message || "Search failed",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Fetch single message details
+ *     description: Retrieves detailed information for a specific message including metadata and raw RFC822 source.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path (see /mailbox/accounts/{id}/folders)
+ *         example: 'INBOX'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *       - in: query
+ *         name: includeRaw
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'true'
+ *         description: Whether to include raw RFC822 source in response
+ *         example: 'false'
+ *       - in: query
+ *         name: fresh
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *         description: Bypass the cached body (only used when MAILBOX_CACHE_BODIES is on)
+ *     responses:
+ *       200:
+ *         description: Message details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 uid:
+ *                   type: integer
+ *                   description: Message UID
+ *                 subject:
+ *                   type: string
+ *                   description: Message subject
+ *                 from:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Sender email addresses
+ *                 to:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Recipient email addresses
+ *                 date:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Message date
+ *                 flags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Message flags
+ *                 attachments:
+ *                   type: array
+ *                   description: Attachment parts from BODYSTRUCTURE
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxAttachmentPart'
+ *                 rfc822:
+ *                   type: string
+ *                   description: Raw RFC822 email source
+ *                 parsed:
+ *                   type: object
+ *                   description: Parsed and decoded email content
+ *                   properties:
+ *                     messageId:
+ *                       type: string
+ *                       description: Message ID
+ *                     subject:
+ *                       type: string
+ *                       description: Parsed subject
+ *                     from:
+ *                       type: object
+ *                       description: Parsed from field
+ *                     to:
+ *                       type: array
+ *                       description: Parsed to field
+ *                     text:
+ *                       type: string
+ *                       description: Plain text content
+ *                     html:
+ *                       type: string
+ *                       description: HTML content
+ *                     textAsHtml:
+ *                       type: string
+ *                       description: Plain text converted to HTML
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           filename:
+ *                             type: string
+ *                           contentType:
+ *                             type: string
+ *                           size:
+ *                             type: integer
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/messages/:uid", requireScope("read"), async (req, res) => {
+  let client = null;
+  let lock = null;
+  
+  try {
+    const uid = Number(req.params.uid);
+    const includeRaw = String(req.query.includeRaw || "true") === "true";
+    const fresh = String(req.query.fresh || "false") === "true";
+    const folder = folderFrom(req.query.folder);
+    const acc = await loadAccount(req.params.id);
+
+    // الـ body المخزَّن صالح ما دامت الرسالة في entry حديث بنفس UIDVALIDITY؛ الأعلام من الـ entry
+    if (CACHE_BODIES && !fresh) {
+      const entry = await peekFolderCache(acc.id, folder);
+      const cachedMsg = entry?.messages.find((m) => m.uid === uid);
+      const cachedBody = cachedMsg && (await mailCache.store.get(kBodyCache(acc.id, folder, uid)));
+      if (cachedBody && cachedBody.uidValidity === entry.uidValidity) {
+        const { rfc822, ...rest } = cachedBody.response;
+        return res.json({ ...rest, flags: cachedMsg.flags, ...(includeRaw ? { rfc822 } : {}) });
+      }
+    }
+
+    const secret = await accountSecret(acc);
+    client = await connectImap(secret, "message fetch", acc.id);
+    lock = await lockFolder(client, folder);
+    
+    try {
+      // fetchOne بدل كسر حلقة fetch: الخروج المبكر منها يعلّق الأمر التالي على نفس الاتصال المُعاد من الـ pool
+      const meta = await client.fetchOne(
+        String(uid),
+        { envelope: true, flags: true, internalDate: true, source: true, bodyStructure: true },
+        { uid: true }
+      );
+      
+      if (!meta) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      
+      // Parse the RFC822 content to make it readable
+      const rfc822Source = meta.source?.toString("utf8") || null;
+      let parsedEmail = null;
+      
+      if (rfc822Source) {
+        try {
+          parsedEmail = await simpleParser(rfc822Source);
+        } catch (parseError) {
+          console.warn("Failed to parse email:", parseError.message);
+        }
+      }
+      
+      const response = {
+        folder,
+        uid: meta.uid,
+        subject: meta.envelope?.subject,
+        from: (meta.envelope?.from || []).map((a) => a.address).filter(Boolean),
+        to: (meta.envelope?.to || []).map((a) => a.address).filter(Boolean),
+        date: meta.internalDate,
+        flags: Array.from(meta.flags || []),
+        // partId لكل مرفق لاستخدامه مع /attachments/:partId
+        attachments: attachmentParts(meta.bodyStructure),
+        parsed: parsedEmail ? {
+          messageId: parsedEmail.messageId,
+          subject: parsedEmail.subject,
+          from: parsedEmail.from,
+          to: parsedEmail.to,
+          cc: parsedEmail.cc,
+          bcc: parsedEmail.bcc,
+          date: parsedEmail.date,
+          text: parsedEmail.text,
+          html: parsedEmail.html ? parsedEmail.html.replace(/[\r\n\t]+/g, '').replace(/\s+/g, ' ').replace(/\\"/g, '"').trim() : null,
+          textAsHtml: parsedEmail.textAsHtml,
+          attachments: parsedEmail.attachments ? parsedEmail.attachments.map(att => ({
+            filename: att.filename,
+            contentType: att.contentType,
+            size: att.size,
+            contentId: att.contentId,
+            contentDisposition: att.contentDisposition
+          })) : []
+        } : null
+      };
+      
+      if (CACHE_BODIES && mailCache.store && rfc822Source && rfc822Source.length <= CACHE_BODY_MAX_BYTES) {
+        await mailCache.store
+          .set(kBodyCache(acc.id, folder, uid), { uidValidity: String(client.mailbox.uidValidity), response: { ...response, rfc822: rfc822Source } })
+          .catch((err) => console.warn("Failed to cache message body:", err.message));
+      }
+
+      // Only include raw RFC822 if requested
+      if (includeRaw) {
+        response.rfc822 = rfc822Source;
+      }
+      
+      res.json(response);
+      
+    } finally {
+      // Always release the lock
+      releaseLock(lock);
+    }
+    
+  } catch (err) {
+    console.error("Message fetch error:", err.message);
+    res.status(400).json({ 
+      error: err?.message || "Failed to fetch message",
+      code: err?.code || "UNKNOWN_ERROR"
+    });
+  } finally {
+    // Always cleanup the client connection
+    await disconnectImap(client);
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/flags:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Add, remove or replace flags on messages
+ *     description: Updates flags (for example `\Seen` to mark read or `\Flagged` to star) on a set of UIDs. `set` replaces all flags and cannot be combined with `add`/`remove`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxFlagsRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             uids: [12345, 12346]
+ *             add: ['\Seen']
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/flags", requireScope("send"), messageActionHandler(FlagsActionSchema, "flags", applyFlags));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/flags:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Add, remove or replace flags on one message
+ *     description: Single-message variant of /messages/flags; `uids` is taken from the path.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxFlagsRequest'
+ *           example:
+ *             add: ['\Flagged']
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/:uid/flags", requireScope("send"), messageActionHandler(FlagsActionSchema, "flags", applyFlags));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/move:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Move messages to another folder
+ *     description: Moves a set of UIDs to the destination folder. `destinationUid` is reported when the server supports UIDPLUS.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxTransferRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             uids: [12345, 12346]
+ *             destination: 'Archive'
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/move", requireScope("send"), messageActionHandler(TransferActionSchema, "move", transferMessages("messageMove")));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/move:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Move one message to another folder
+ *     description: Single-message variant of /messages/move.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxTransferRequest'
+ *           example:
+ *             destination: 'Archive'
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/:uid/move", requireScope("send"), messageActionHandler(TransferActionSchema, "move", transferMessages("messageMove")));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/copy:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Copy messages to another folder
+ *     description: Copies a set of UIDs to the destination folder. `destinationUid` is reported when the server supports UIDPLUS.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxTransferRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             uids: [12345]
+ *             destination: 'Archive'
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/copy", requireScope("send"), messageActionHandler(TransferActionSchema, "copy", transferMessages("messageCopy")));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}/copy:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Copy one message to another folder
+ *     description: Single-message variant of /messages/copy.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxTransferRequest'
+ *           example:
+ *             destination: 'Archive'
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/:uid/copy", requireScope("send"), messageActionHandler(TransferActionSchema, "copy", transferMessages("messageCopy")));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/delete:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Permanently delete messages
+ *     description: Flags a set of UIDs as `\Deleted` and expunges them (UID EXPUNGE when UIDPLUS is available). Move to the Trash folder instead for a recoverable delete.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxDeleteRequest'
+ *           example:
+ *             folder: 'INBOX'
+ *             uids: [12345, 12346]
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/accounts/:id/messages/delete", requireScope("send"), messageActionHandler(DeleteActionSchema, "delete", deleteMessages));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/messages/{uid}:
+ *   delete:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Permanently delete one message
+ *     description: Flags the message as `\Deleted` and expunges it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Message UID
+ *         example: 12345
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path
+ *         example: 'INBOX'
+ *     responses:
+ *       200:
+ *         description: Per-UID results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxMessageActionResponse'
+ *       400:
+ *         description: Bad request - validation error or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.delete("/accounts/:id/messages/:uid", requireScope("send"), messageActionHandler(DeleteActionSchema, "delete", deleteMessages));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/watch:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get watcher health
+ *     description: Returns the state of the account's watchers on this instance (one per folder), including the last event, last error and reconnect counters. With `MAILBOX_CLUSTER=true` only the lease holder (role `leader`) keeps the IMAP connection; followers relay its events to their own clients.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *         description: Only return the watcher of this folder
+ *         example: 'INBOX'
+ *     responses:
+ *       200:
+ *         description: Watcher status (empty list when nothing is being watched)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accountId:
+ *                   type: string
+ *                 instanceId:
+ *                   type: string
+ *                   description: Id of the instance that answered
+ *                 watchers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxWatcherStatus'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/watch", requireScope("read"), async (req, res) => {
+  try {
+    const acc = await loadAccount(req.params.id);
+    const folder = req.query.folder ? folderFrom(req.query.folder) : null;
+    const list = Array.from(watchers.values())
+      .filter((w) => w.accountId === acc.id && (!folder || w.folder === folder))
+      .map((w) => ({
+        folder: w.folder,
+        state: w.state,
+        role: w.role,
+        leader: w.leader,
+        pinned: w.pinned,
+        lastUid: w.lastUid,
+        uidValidity: w.uidValidity,
+        highestModseq: w.highestModseq ? String(w.highestModseq) : null,
+        counts: w.counts,
+        connectedAt: w.connectedAt,
+        lastEvent: w.lastEvent,
+        lastError: w.lastError,
+        attempt: w.attempt,
+        reconnects: w.reconnects,
+        nextRetryAt: w.nextRetryAt,
+        clients: w.sseClients.size,
+        wsClients: w.wsClients.size,
+      }));
+    res.json({ accountId: acc.id, instanceId: INSTANCE_ID, watchers: list });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Failed to get watcher status" });
+  }
+});
 
 /**
  * @swagger
- * /mailbox/accounts:
+ * /mailbox/accounts/{id}/watch/start:
  *   post:
  *     tags: [Mailbox]
- *     summary: Create new mailbox account
- *     description: Creates a new mailbox account with IMAP and SMTP configuration. Optionally tests connectivity before storing.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CreateMailboxAccountRequest'
- *           example:
- *             integrationId: 'user123'
- *             label: 'Work Email'
- *             primaryEmail: 'user@company.com'
- *             imap:
- *               server: 'imap.gmail.com'
- *               port: 993
- *               username: 'user@company.com'
- *               password: 'app-password'
- *               connection: 'SSL/TLS'
- *             smtp:
- *               server: 'smtp.gmail.com'
- *               port: 587
- *               username: 'user@company.com'
- *               password: 'app-password'
- *               connection: 'STARTTLS'
- *             testConnection: true
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Start email watcher
+ *     description: Starts the real-time email watcher for the account. This enables live monitoring of new incoming emails.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path (see /mailbox/accounts/{id}/folders)
+ *         example: 'INBOX'
  *     responses:
  *       200:
- *         description: Account created successfully
+ *         description: Watcher started successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 accountId:
- *                   type: string
- *                   description: Unique identifier for the created account
- *                   example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
  *       400:
- *         description: Bad request - validation error or connectivity test failed
+ *         description: Failed to start watcher
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.post("/accounts", async (req, res) => {
+mailboxRouter.post("/accounts/:id/watch/start", requireScope("read"), async (req, res) => {
   try {
-    const body = CreateAccountSchema.parse(req.body);
-    const accountId = ulid();
-    const secret = {
-      label: body.label,
-      primaryEmail: body.primaryEmail,
-      imap: body.imap,
-      smtp: body.smtp,
-    };
-
-    // اختياري: اختبار اتصال قبل التخزين
-    if (body.testConnection) {
-      const transporter = smtpTransportFromSecret(secret);
-      await transporter.verify();
-      const client = new ImapFlow(imapConfigFromSecret(secret));
-      await client.connect();
-      await client.logout();
-    }
-
-    const aad = `${accountId}:${body.integrationId}`;
-    const enc = encryptJSON(secret, aad);
-    const now = new Date().toISOString();
-    const record = {
-      id: accountId,
-      integrationId: body.integrationId,
-      createdAt: now,
-      updatedAt: now,
-      enc,
-    };
-
-    await redis.set(kAccount(accountId), record);
-    await redis.sadd(kUserIndex(body.integrationId), accountId);
-
-    res.json({ accountId });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
+    await ensureWatcher(req.params.id, folderFrom(req.query.folder));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Failed to start watcher" });
   }
 });
 
 /**
  * @swagger
- * /mailbox/accounts:
- *   get:
+ * /mailbox/accounts/{id}/watch/stop:
+ *   post:
  *     tags: [Mailbox]
- *     summary: List mailbox accounts for a user
- *     description: Retrieves all mailbox accounts for a specific user with masked email addresses for security.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Stop email watcher
+ *     description: Stops the real-time email watcher for the given folder, or every watcher of the account when no folder is given. Watchers are shared by every stream, WebSocket and webhook of the account, so this needs the `admin` scope. Accounts with the `alwaysWatch` setting are restarted by the watch supervisor within a minute; turn the setting off to stop them for good.
  *     parameters:
- *       - in: query
- *         name: integrationId
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: User identifier
- *         example: 'user123'
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *         description: IMAP folder path; omit to stop all folders
+ *         example: 'INBOX'
  *     responses:
  *       200:
- *         description: List of user's mailbox accounts
+ *         description: Watcher stopped successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 accounts:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/MailboxAccount'
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *       403:
+ *         description: Missing admin scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       400:
- *         description: Bad request - missing integrationId
+ *         description: Failed to stop watcher
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.get("/accounts", async (req, res) => {
+mailboxRouter.post("/accounts/:id/watch/stop", requireScope("admin"), async (req, res) => {
   try {
-    const integrationId = String(req.query.integrationId || "");
-    if (!integrationId) throw new Error("integrationId is required");
-    const ids = await redis.smembers(kUserIndex(integrationId));
-    const out = [];
-    for (const id of ids) {
-      const rec = await loadAccount(id, false);
-      if (!rec) continue;
-      const secret = decryptJSON(rec.enc, `${rec.id}:${rec.integrationId}`);
-      out.push({
-        id: rec.id,
-        integrationId: rec.integrationId,
-        label: secret.label || null,
-        primaryEmailMasked: maskEmail(secret.primaryEmail),
-        createdAt: rec.createdAt,
-        updatedAt: rec.updatedAt,
-      });
+    if (req.query.folder) {
+      await stopWatcher(watcherKey(req.params.id, folderFrom(req.query.folder)));
+    } else {
+      await stopAccountWatchers(req.params.id);
     }
-    res.json({ accounts: out });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Failed to stop watcher" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/stream:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Real-time email events stream (SSE)
+ *     description: |
+ *       Establishes a Server-Sent Events (SSE) connection for real-time email notifications.
+ *       The stream will send events when new emails are received.
+ *       
+ *       **Usage Example:**
+ *       ```javascript
+ *       const es = new EventSource('/mailbox/accounts/YOUR_ACCOUNT_ID/stream?access_token=YOUR_TOKEN');
+ *       es.onmessage = ev => console.log(JSON.parse(ev.data));
+ *       ```
+ *       
+ *       **Event Types:**
+ *       - `SSEReady`: Connection established
+ *       - `WatcherReady`: Email watcher is ready (includes `messages` and `unseen` counts)
+ *       - `WatcherReconnecting`: Connection dropped; retrying with exponential backoff
+ *       - `WatcherRecovered`: Reconnected; messages missed while down are sent as `EmailReceived` first
+ *       - `EmailReceived`: New email received, with `snippet` and `hasAttachments`
+ *       - `EmailFlagsChanged`: Flags changed in any client (full flag set)
+ *       - `EmailDeleted`: Message expunged or moved away
+ *       - `MailboxCountsChanged`: Total/unseen counts changed
+ *       - `ReplayGap`: Some events after `Last-Event-ID` are no longer buffered; refetch state
+ *       - `Error`: Error occurred
+ *
+ *       **Replay:** watcher events carry a per-account, increasing `id:` and the stream starts with a `retry:` hint.
+ *       When `EventSource` reconnects it sends `Last-Event-ID`, and buffered events of the folder after that id are
+ *       replayed before `SSEReady`. The buffer keeps the last `MAILBOX_EVENT_BUFFER_SIZE` (default 500) events per
+ *       account and is mirrored to Redis when `MAILBOX_EVENT_REDIS_MIRROR=true`. With `MAILBOX_CLUSTER=true` the ids come from
+ *       a shared counter per account, so they stay unique when different instances lead different folders of it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           default: 'INBOX'
+ *         description: IMAP folder path (see /mailbox/accounts/{id}/folders)
+ *         example: 'INBOX'
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Last event id received (sent automatically by EventSource on reconnect)
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: API key or JWT, for EventSource which cannot send an Authorization header. It is redacted from this service's request log, but proxies and load balancers in front of it may log full URLs, so prefer a short-lived JWT.
+      *     responses:
+     *       200:
+ *         description: SSE stream established
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/MailboxSSEEvent'
+ *                 - $ref: '#/components/schemas/MailboxEmailReceivedEvent'
+ *                 - $ref: '#/components/schemas/MailboxWatcherReconnectingEvent'
+ *                 - $ref: '#/components/schemas/MailboxWatcherRecoveredEvent'
+ *                 - $ref: '#/components/schemas/MailboxEmailFlagsChangedEvent'
+ *                 - $ref: '#/components/schemas/MailboxEmailDeletedEvent'
+ *                 - $ref: '#/components/schemas/MailboxCountsChangedEvent'
+ *             examples:
+ *               SSEReady:
+ *                 summary: Stream connection ready
+ *                 value: |
+ *                   data: {"type":"SSEReady","accountId":"01ARZ3NDEKTSV4RRFFQ69G5FAV"}
+ *               EmailReceived:
+ *                 summary: New email received
+ *                 value: |
+ *                   data: {"type":"EmailReceived","accountId":"01ARZ3NDEKTSV4RRFFQ69G5FAV","uid":12345,"subject":"New Message","from":["sender@example.com"],"to":["user@example.com"],"date":"2024-01-01T12:00:00.000Z","flags":["\\\\Recent"]}
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/stream", requireScope("read"), async (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  const accountId = req.params.id;
+  const folder = folderFrom(req.query.folder);
+  // EventSource يرسل Last-Event-ID عند إعادة الاتصال؛ query لأول اتصال من عميل يتذكّر آخر id
+  const lastEventId = parseInt(String(req.get("Last-Event-ID") || req.query.lastEventId || ""), 10);
+
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  try {
+    await ensureWatcher(accountId, folder);
+  } catch (e) {
+    res.write(`data: ${JSON.stringify({ type: "Error", message: e?.message || "Watcher failed" })}\n\n`);
   }
+
+  const w = watchers.get(watcherKey(accountId, folder));
+  if (!w) {
+    res.write(`data: ${JSON.stringify({ type: "Error", message: "Watcher unavailable" })}\n\n`);
+  } else {
+    // replay والإضافة لـ sseClients في نفس الدورة حتى لا يضيع أو يتكرر حدث
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+      const { entries, gap } = eventsSince(accountId, folder, lastEventId);
+      if (gap) res.write(`data: ${JSON.stringify({ type: "ReplayGap", accountId, folder, ...gap })}\n\n`);
+      for (const entry of entries) res.write(sseFrame(entry));
+    }
+    w.sseClients.add(res);
+  }
+
+  res.write(`data: ${JSON.stringify({ type: "SSEReady", accountId, folder })}\n\n`);
+
+  const ping = setInterval(() => {
+    try {
+      res.write(`event: ping\ndata: {}\n\n`);
+    } catch {}
+  }, 25_000);
+
+  req.on("close", () => {
+    clearInterval(ping);
+    if (w) {
+      w.sseClients.delete(res);
+      keepAliveWatcher(w); // قد يوقف بعد دقيقة إذا ما بقي مستمعين
+    }
+    try {
+      res.end();
+    } catch {}
+  });
 });
 
 /**
  * @swagger
- * /mailbox/accounts/{id}:
- *   get:
+ * /mailbox/accounts/{id}/webhooks:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: List webhooks
+ *     description: Returns the account's webhook subscriptions with the outcome of their last delivery. Secrets are never returned here.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *     responses:
+ *       200:
+ *         description: Webhook subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxWebhook'
+ *       400:
+ *         description: Bad request or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/accounts/:id/webhooks", requireScope("admin"), webhooksHandler("list", async ({ res, acc }) => {
+  const hooks = await listWebhooks(acc.id);
+  const deliveries = await Promise.all(hooks.map((h) => redis.get(kWebhookDelivery(h.id))));
+  res.json({ webhooks: hooks.map((h, i) => webhookView(h, deliveries[i])) });
+}));
+
+/**
+ * @swagger
+ * /mailbox/accounts/{id}/webhooks:
+ *   post:
  *     tags: [Mailbox]
- *     summary: Get detailed mailbox account information
- *     description: Retrieves full account details including server settings. Passwords are redacted by default unless explicitly requested.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Create a webhook
+ *     description: |
+ *       Subscribes a URL to the account's mailbox events and starts an always-on INBOX watcher for the account.
+ *       Each delivery is a JSON POST of the event (same shape as the SSE/WebSocket event, plus `content` when `includeContent` is on) with these headers:
+ *       `X-Mailbox-Event`, `X-Mailbox-Event-Id`, `X-Mailbox-Delivery` (stable across retries), `X-Mailbox-Webhook-Id`, `X-Mailbox-Timestamp` (unix seconds) and
+ *       `X-Mailbox-Signature: v1=<hex>` where the hex is HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the secret. During a secret rotation grace period the header carries one `v1=` per valid secret, comma separated.
+ *       Failed deliveries (network errors, 408, 429, 5xx) are retried with exponential backoff, up to 6 attempts.
+ *       The secret is only returned in this response and by the rotate endpoint.
  *     parameters:
  *       - in: path
  *         name: id
@@ -449,65 +7167,62 @@ mailboxRouter.get("/accounts", async (req, res) => {
  *           type: string
  *         description: Account ID
  *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
- *       - in: query
- *         name: includePasswords
- *         schema:
- *           type: string
- *           enum: ['true', 'false']
- *           default: 'false'
- *         description: Whether to include passwords in response
- *         example: 'false'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MailboxWebhookRequest'
+ *           example:
+ *             url: 'https://example.com/hooks/mail'
+ *             events: ['EmailReceived']
+ *             includeContent: true
+ *             contentMaxLength: 5000
  *     responses:
  *       200:
- *         description: Account details retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/MailboxAccountDetail'
- *       404:
- *         description: Account not found
+ *         description: Webhook created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               $ref: '#/components/schemas/MailboxWebhookWithSecret'
  *       400:
- *         description: Bad request
+ *         description: Bad request - validation error or account not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.get("/accounts/:id", async (req, res) => {
-  try {
-    const acc = await loadAccount(req.params.id);
-    if (!acc) return res.status(404).json({ error: "Not found" });
-    const includePw = String(req.query.includePasswords || "false") === "true";
-    const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
-    const redact = (s) => (includePw ? s : { ...s, password: undefined, hasPassword: true });
-    res.json({
-      id: acc.id,
-      integrationId: acc.integrationId,
-      createdAt: acc.createdAt,
-      updatedAt: acc.updatedAt,
-      secret: {
-        label: secret.label || null,
-        primaryEmail: secret.primaryEmail,
-        imap: redact(secret.imap),
-        smtp: redact(secret.smtp),
-      },
-    });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
-  }
-});
+mailboxRouter.post("/accounts/:id/webhooks", requireScope("admin"), webhooksHandler("create", async ({ req, res, acc }) => {
+  const body = CreateWebhookSchema.parse(req.body);
+  const now = new Date().toISOString();
+  const secret = newWebhookSecret();
+  const hook = {
+    ...WEBHOOK_DEFAULTS,
+    description: null,
+    ...body,
+    id: ulid(),
+    accountId: acc.id,
+    previousSecretExpiresAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  hook.enc = await encryptJSON({ secret, previous: null }, webhookAad(hook));
+
+  await redis.set(kWebhook(hook.id), hook);
+  await redis.sadd(kWebhookIndex(acc.id), hook.id);
+  await syncAlwaysWatch(acc);
+  res.json({ ...webhookView(hook), secret });
+}));
 
 /**
  * @swagger
- * /mailbox/accounts/{id}:
- *   put:
+ * /mailbox/accounts/{id}/webhooks/{webhookId}:
+ *   patch:
  *     tags: [Mailbox]
- *     summary: Update mailbox account configuration
- *     description: Updates the account's server settings and configuration. This replaces the entire secret configuration.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Update a webhook
+ *     description: Changes the URL, event filter, content options or enabled state. Omitted keys keep their current value.
  *     parameters:
  *       - in: path
  *         name: id
@@ -516,62 +7231,59 @@ mailboxRouter.get("/accounts/:id", async (req, res) => {
  *           type: string
  *         description: Account ID
  *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateMailboxAccountRequest'
+ *             $ref: '#/components/schemas/MailboxWebhookRequest'
+ *           example:
+ *             enabled: false
  *     responses:
  *       200:
- *         description: Account updated successfully
+ *         description: Webhook updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 ok:
- *                   type: boolean
- *                   example: true
+ *               $ref: '#/components/schemas/MailboxWebhook'
  *       404:
- *         description: Account not found
+ *         description: Webhook not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       400:
- *         description: Bad request - validation error
+ *         description: Bad request - validation error or account not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.put("/accounts/:id", async (req, res) => {
-  try {
-    const acc = await loadAccount(req.params.id);
-    if (!acc) return res.status(404).json({ error: "Not found" });
-    const body = SecretPayload.parse(req.body);
-    const aad = `${acc.id}:${acc.integrationId}`;
-    const enc = encryptJSON(body, aad);
-    const updated = {
-      ...acc,
-      enc,
-      updatedAt: new Date().toISOString(),
-    };
-    await redis.set(kAccount(acc.id), updated);
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
-  }
-});
+mailboxRouter.patch("/accounts/:id/webhooks/:webhookId", requireScope("admin"), webhooksHandler("update", async ({ req, res, acc }) => {
+  const patch = WebhookFields.parse(req.body);
+  const hook = await loadWebhook(acc.id, req.params.webhookId);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+  const updated = { ...hook, ...patch, updatedAt: new Date().toISOString() };
+  await redis.set(kWebhook(hook.id), updated);
+  if ("enabled" in patch) await syncAlwaysWatch(acc);
+  res.json(webhookView(updated, await redis.get(kWebhookDelivery(hook.id))));
+}));
 
 /**
  * @swagger
- * /mailbox/accounts/{id}:
+ * /mailbox/accounts/{id}/webhooks/{webhookId}:
  *   delete:
  *     tags: [Mailbox]
- *     summary: Delete mailbox account
- *     description: Permanently deletes a mailbox account and all its associated data.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Delete a webhook
+ *     description: Removes the subscription. Pending retries for it are dropped.
  *     parameters:
  *       - in: path
  *         name: id
@@ -580,9 +7292,15 @@ mailboxRouter.put("/accounts/:id", async (req, res) => {
  *           type: string
  *         description: Account ID
  *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
  *     responses:
  *       200:
- *         description: Account deleted successfully (or didn't exist)
+ *         description: Webhook deleted (also when it did not exist)
  *         content:
  *           application/json:
  *             schema:
@@ -592,31 +7310,31 @@ mailboxRouter.put("/accounts/:id", async (req, res) => {
  *                   type: boolean
  *                   example: true
  *       400:
- *         description: Bad request
+ *         description: Bad request or account not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.delete("/accounts/:id", async (req, res) => {
-  try {
-    const acc = await loadAccount(req.params.id, false);
-    if (!acc) return res.json({ ok: true });
-    await redis.del(kAccount(acc.id));
-    await redis.srem(kUserIndex(acc.integrationId), acc.id);
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
+mailboxRouter.delete("/accounts/:id/webhooks/:webhookId", requireScope("admin"), webhooksHandler("delete", async ({ req, res, acc }) => {
+  const hook = await loadWebhook(acc.id, req.params.webhookId);
+  if (hook) {
+    await redis.del(kWebhook(hook.id), kWebhookDelivery(hook.id));
+    await redis.srem(kWebhookIndex(acc.id), hook.id);
+    await syncAlwaysWatch(acc);
   }
-});
+  res.json({ ok: true });
+}));
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/test:
+ * /mailbox/accounts/{id}/webhooks/{webhookId}/test:
  *   post:
  *     tags: [Mailbox]
- *     summary: Test IMAP and SMTP connectivity
- *     description: Tests both IMAP and SMTP connectivity for the specified account to verify credentials and server settings.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Send a test delivery
+ *     description: Sends one signed `WebhookTest` event to the webhook URL and reports the outcome. Test deliveries are not retried.
  *     parameters:
  *       - in: path
  *         name: id
@@ -625,46 +7343,66 @@ mailboxRouter.delete("/accounts/:id", async (req, res) => {
  *           type: string
  *         description: Account ID
  *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
  *     responses:
  *       200:
- *         description: Connectivity test passed
+ *         description: Delivery outcome (ok is false when the endpoint failed)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 ok:
- *                   type: boolean
- *                   example: true
+ *               $ref: '#/components/schemas/MailboxWebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       400:
- *         description: Connectivity test failed or account not found
+ *         description: Bad request or account not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.post("/accounts/:id/test", async (req, res) => {
-  try {
-    const acc = await loadAccount(req.params.id);
-    const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
-    const transporter = smtpTransportFromSecret(secret);
-    await transporter.verify();
-    const client = new ImapFlow(imapConfigFromSecret(secret));
-    await client.connect();
-    await client.logout();
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
-  }
-});
+mailboxRouter.post("/accounts/:id/webhooks/:webhookId/test", requireScope("admin"), webhooksHandler("test", async ({ req, res, acc }) => {
+  const hook = await loadWebhook(acc.id, req.params.webhookId);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+  const event = { id: null, type: "WebhookTest", accountId: acc.id, webhookId: hook.id, at: new Date().toISOString() };
+  const deliveryId = ulid();
+  const result = await sendWebhook({
+    url: hook.url,
+    secrets: await webhookSecrets(hook),
+    body: JSON.stringify(event),
+    headers: { "X-Mailbox-Event": event.type, "X-Mailbox-Delivery": deliveryId, "X-Mailbox-Webhook-Id": hook.id },
+  });
+  res.json({
+    deliveryId,
+    eventId: null,
+    type: event.type,
+    ok: result.ok,
+    status: result.status,
+    attempt: 1,
+    durationMs: result.durationMs,
+    error: result.error,
+    at: new Date().toISOString(),
+    nextRetryAt: null,
+  });
+}));
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/send:
+ * /mailbox/accounts/{id}/webhooks/{webhookId}/rotate:
  *   post:
  *     tags: [Mailbox]
- *     summary: Send email via SMTP
- *     description: Sends an email using the account's SMTP configuration. Supports attachments and both plain text and HTML content.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Rotate a webhook secret
+ *     description: Generates a new signing secret. Until the grace period ends, deliveries are signed with both the new and the previous secret so receivers can switch without dropping events.
  *     parameters:
  *       - in: path
  *         name: id
@@ -673,529 +7411,430 @@ mailboxRouter.post("/accounts/:id/test", async (req, res) => {
  *           type: string
  *         description: Account ID
  *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/MailboxSendRequest'
+ *             type: object
+ *             properties:
+ *               graceSeconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 604800
+ *                 default: 86400
+ *                 description: How long the previous secret keeps signing deliveries (0 = revoke immediately)
+ *           example:
+ *             graceSeconds: 3600
  *     responses:
  *       200:
- *         description: Email sent successfully
+ *         description: New secret
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MailboxSendResponse'
+ *               $ref: '#/components/schemas/MailboxWebhookWithSecret'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       400:
- *         description: Bad request - validation error or send failure
+ *         description: Bad request or account not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.post("/accounts/:id/send", async (req, res) => {
-  try {
-    const msg = SendSchema.parse(req.body);
-    const acc = await loadAccount(req.params.id);
-    const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
-    const transporter = smtpTransportFromSecret(secret);
-
-    const info = await transporter.sendMail({
-      from: secret.smtp.username, // أو استخدم secret.primaryEmail حسب مزوّدك
-      to: msg.to,
-      cc: msg.cc,
-      bcc: msg.bcc,
-      subject: msg.subject,
-      text: msg.text,
-      html: msg.html,
-      attachments: (msg.attachments || []).map((a) => ({
-        filename: a.filename,
-        content: Buffer.from(a.contentBase64, "base64"),
-        contentType: a.contentType,
-      })),
-    });
-
-    res.json({ messageId: info.messageId, accepted: info.accepted, rejected: info.rejected });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || "Bad Request" });
-  }
-});
+mailboxRouter.post("/accounts/:id/webhooks/:webhookId/rotate", requireScope("admin"), webhooksHandler("rotate", async ({ req, res, acc }) => {
+  const { graceSeconds } = RotateWebhookSchema.parse(req.body || {});
+  const hook = await loadWebhook(acc.id, req.params.webhookId);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+  const { secret: current } = await decryptJSON(hook.enc, webhookAad(hook));
+  const secret = newWebhookSecret();
+  const previous = graceSeconds > 0 ? { secret: current, expiresAt: Date.now() + graceSeconds * 1000 } : null;
+  const updated = {
+    ...hook,
+    enc: await encryptJSON({ secret, previous }, webhookAad(hook)),
+    previousSecretExpiresAt: previous ? new Date(previous.expiresAt).toISOString() : null,
+    updatedAt: new Date().toISOString(),
+  };
+  await redis.set(kWebhook(hook.id), updated);
+  res.json({ ...webhookView(updated, await redis.get(kWebhookDelivery(hook.id))), secret });
+}));
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/messages:
+ * /mailbox/admin/keys:
  *   get:
  *     tags: [Mailbox]
- *     summary: List recent INBOX messages
- *     description: Retrieves recent messages from the account's INBOX. Can be filtered by date and limited in count.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Account ID
- *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Maximum number of messages to retrieve
- *         example: 20
- *       - in: query
- *         name: since
- *         schema:
- *           type: string
- *           format: date-time
- *         description: Only retrieve messages newer than this date (ISO 8601 format)
- *         example: '2024-01-01T00:00:00.000Z'
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get the encryption key provider and keyring
+ *     description: |
+ *       Shows which key provider (`MAILBOX_KEY_PROVIDER`) seals new secrets, its key ids (never the key material) and the running re-encryption job, if any. New secrets are encrypted with the primary key; the other keys only decrypt records that have not been re-encrypted yet.
+ *
+ *       - `local`: master keys from `CONFIG_MASTER_KEYS` / `CONFIG_MASTER_KEY_BASE64`.
+ *       - `file`: a single key read from `MAILBOX_KEY_FILE`, created on first use outside production. For development.
+ *       - `vault`: per-record data keys from a HashiCorp Vault transit engine; only the wrapped data key is stored. Records wrapped with an older transit key version count as outdated.
+ *
+ *       Records sealed by another provider stay readable as long as that provider is still configured, and are moved to the active one by lazy or bulk re-encryption.
  *     responses:
  *       200:
- *         description: Messages retrieved successfully
+ *         description: Keyring status
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 messages:
+ *                 provider:
+ *                   type: string
+ *                   enum: [local, file, vault]
+ *                   example: 'local'
+ *                 primaryKeyId:
+ *                   type: string
+ *                   example: '2026-10'
+ *                 keyIds:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/MailboxMessage'
+ *                     type: string
+ *                   example: ['2026-10', 'default']
+ *                 latestVersion:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Latest transit key version (vault provider only)
+ *                 envelopeVersion:
+ *                   type: integer
+ *                   example: 2
+ *                 activeJob:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/MailboxRewrapJob'
+ *                   nullable: true
  *       400:
- *         description: Bad request or account not found
+ *         description: Key provider misconfigured or unreachable
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.get("/accounts/:id/messages", async (req, res) => {
-  const limit = Math.min(parseInt(String(req.query.limit || "20"), 10) || 20, 100);
-  const sinceStr = String(req.query.since || "");
-  let client = null;
-  let lock = null;
-  
+mailboxRouter.get("/admin/keys", requireScope("admin", { global: true }), async (req, res) => {
   try {
-    const acc = await loadAccount(req.params.id);
-    const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
-
-    client = new ImapFlow(imapConfigFromSecret(secret));
-    
-    // Add error handler for the client
-    client.on('error', (error) => {
-      console.error('IMAP Client Error in messages list:', error.message);
+    const provider = activeKeyProvider();
+    await provider.refresh?.();
+    const active = activeRewrapJob();
+    res.json({
+      provider: provider.name,
+      ...provider.describe(),
+      envelopeVersion: ENVELOPE_VERSION,
+      activeJob: active && rewrapJobView(active),
     });
-    
-    try {
-      await client.connect();
-    } catch (connectError) {
-      throw new Error(`Failed to connect to IMAP server: ${connectError.message}`);
-    }
-    
-    try {
-      lock = await client.getMailboxLock("INBOX");
-    } catch (lockError) {
-      throw new Error(`Failed to acquire mailbox lock: ${lockError.message}`);
-    }
-    
-    const out = [];
-    try {
-      let seq = [];
-      if (sinceStr) {
-        const since = new Date(sinceStr);
-        seq = await client.search({ since });
-      } else {
-        const status = await client.status("INBOX", { messages: true, uidNext: true });
-        const lastUid = (status.uidNext || 1) - 1;
-        const start = Math.max(1, lastUid - limit * 5);
-        seq = await client.search({ uid: `${start}:${lastUid}` });
-      }
-      const uids = seq.slice(-limit);
-      
-      // Add timeout for fetch operation
-      const fetchTimeout = setTimeout(() => {
-        throw new Error("Messages fetch operation timed out");
-      }, 45000); // 45 second timeout for list operation
-      
-      try {
-        for await (const msg of client.fetch(uids, {
-          envelope: true,
-          flags: true,
-          internalDate: true,
-          source: false,
-          uid: true,
-        })) {
-          out.push({
-            uid: msg.uid,
-            subject: msg.envelope?.subject,
-            from: (msg.envelope?.from || []).map((a) => a.address).filter(Boolean),
-            to: (msg.envelope?.to || []).map((a) => a.address).filter(Boolean),
-            date: msg.internalDate,
-            flags: Array.from(msg.flags || []),
-          });
-        }
-        clearTimeout(fetchTimeout);
-      } catch (fetchError) {
-        clearTimeout(fetchTimeout);
-        throw fetchError;
-      }
-      
-    } finally {
-      // Always release the lock
-      if (lock) {
-        try {
-          lock.release();
-        } catch (lockReleaseError) {
-          console.warn("Failed to release mailbox lock:", lockReleaseError.message);
-        }
-      }
-    }
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to read keyring", code: err?.code || "UNKNOWN_ERROR" });
+  }
+});
 
-    res.json({ messages: out });
+/**
+ * @swagger
+ * /mailbox/admin/keys/rewrap:
+ *   post:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Re-encrypt stored secrets with the primary key
+ *     description: |
+ *       Starts a background job that re-encrypts every account (`mail:acc:*`), webhook secret and stored Resend key not yet sealed with the primary key. Poll `/mailbox/admin/keys/rewrap/{jobId}` for progress. With `dryRun` nothing is written; the job only counts the records that would change and checks that every record can be decrypted with the current keyring.
+ *
+ *       Records are also re-encrypted lazily when they are read. Remove an old key only after a job reports `failed: 0` and `byKeyId` no longer lists it on a second run. The same job can be run from the command line with `npm run keys:rewrap -- [--dry-run]`.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       202:
+ *         description: Job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxRewrapJob'
+ *       409:
+ *         description: A job is already running on this instance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Bad request or keyring misconfigured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/admin/keys/rewrap", requireScope("admin", { global: true }), (req, res) => {
+  try {
+    const { dryRun } = RewrapSchema.parse(req.body || {});
+    res.status(202).json(rewrapJobView(rewrapSecrets({ dryRun })));
   } catch (err) {
-    console.error("Messages list error:", err.message);
-    res.status(400).json({ 
-      error: err?.message || "Failed to fetch messages",
+    res.status(err?.code === "REWRAP_RUNNING" ? 409 : 400).json({
+      error: err?.message || "Failed to start re-encryption",
       code: err?.code || "UNKNOWN_ERROR"
     });
-  } finally {
-    // Always cleanup the client connection
-    if (client) {
-      try {
-        if (client.connection) {
-          await client.logout();
-        }
-      } catch (logoutError) {
-        console.warn("Failed to logout IMAP client:", logoutError.message);
-        // Force close if logout fails
-        try {
-          if (client.connection && client.connection.destroy) {
-            client.connection.destroy();
-          }
-        } catch (destroyError) {
-          console.warn("Failed to destroy IMAP connection:", destroyError.message);
-        }
-      }
-    }
   }
 });
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/messages/{uid}:
+ * /mailbox/admin/keys/rewrap/{jobId}:
  *   get:
  *     tags: [Mailbox]
- *     summary: Fetch single message details
- *     description: Retrieves detailed information for a specific message including metadata and raw RFC822 source.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Get re-encryption job progress
+ *     description: Jobs are kept in memory on the instance that started them (the last 20).
  *     parameters:
  *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Account ID
- *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
- *       - in: path
- *         name: uid
+ *         name: jobId
  *         required: true
  *         schema:
- *           type: integer
- *         description: Message UID
- *         example: 12345
- *       - in: query
- *         name: includeRaw
- *         schema:
  *           type: string
- *           enum: ['true', 'false']
- *           default: 'true'
- *         description: Whether to include raw RFC822 source in response
- *         example: 'false'
  *     responses:
  *       200:
- *         description: Message details retrieved successfully
+ *         description: Job progress
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 uid:
- *                   type: integer
- *                   description: Message UID
- *                 subject:
- *                   type: string
- *                   description: Message subject
- *                 from:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: Sender email addresses
- *                 to:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: Recipient email addresses
- *                 date:
- *                   type: string
- *                   format: date-time
- *                   description: Message date
- *                 flags:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: Message flags
- *                 rfc822:
- *                   type: string
- *                   description: Raw RFC822 email source
- *                 parsed:
- *                   type: object
- *                   description: Parsed and decoded email content
- *                   properties:
- *                     messageId:
- *                       type: string
- *                       description: Message ID
- *                     subject:
- *                       type: string
- *                       description: Parsed subject
- *                     from:
- *                       type: object
- *                       description: Parsed from field
- *                     to:
- *                       type: array
- *                       description: Parsed to field
- *                     text:
- *                       type: string
- *                       description: Plain text content
- *                     html:
- *                       type: string
- *                       description: HTML content
- *                     textAsHtml:
- *                       type: string
- *                       description: Plain text converted to HTML
- *                     attachments:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           filename:
- *                             type: string
- *                           contentType:
- *                             type: string
- *                           size:
- *                             type: integer
+ *               $ref: '#/components/schemas/MailboxRewrapJob'
  *       404:
- *         description: Message not found
+ *         description: Unknown job
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       400:
- *         description: Bad request or account not found
+ */
+mailboxRouter.get("/admin/keys/rewrap/:jobId", requireScope("admin", { global: true }), (req, res) => {
+  const job = rewrapJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(rewrapJobView(job));
+});
+
+/**
+ * @swagger
+ * /mailbox/auth/me:
+ *   get:
+ *     tags: [Mailbox]
+ *     summary: Describe the calling credential
+ *     description: Returns the integrationIds and scopes granted to the API key or JWT that signed the request.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current credential
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxPrincipal'
+ *       401:
+ *         description: Missing, invalid or expired token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.get("/accounts/:id/messages/:uid", async (req, res) => {
-  let client = null;
-  let lock = null;
-  
-  try {
-    const uid = Number(req.params.uid);
-    const includeRaw = String(req.query.includeRaw || "true") === "true";
-    const acc = await loadAccount(req.params.id);
-    const secret = decryptJSON(acc.enc, `${acc.id}:${acc.integrationId}`);
+mailboxRouter.get("/auth/me", (req, res) => {
+  const { type, id, name = null, integrationIds, scopes } = req.principal;
+  res.json({ type, id, name, integrationIds, scopes });
+});
 
-    client = new ImapFlow(imapConfigFromSecret(secret));
-    
-    // Add error handler for the client
-    client.on('error', (error) => {
-      console.error('IMAP Client Error:', error.message);
-    });
-    
-    // Connect with timeout handling
-    try {
-      await client.connect();
-    } catch (connectError) {
-      throw new Error(`Failed to connect to IMAP server: ${connectError.message}`);
-    }
-    
-    try {
-      lock = await client.getMailboxLock("INBOX");
-    } catch (lockError) {
-      throw new Error(`Failed to acquire mailbox lock: ${lockError.message}`);
-    }
-    
-    try {
-      let meta = null;
-      
-      // Fetch message with timeout handling
-      const fetchTimeout = setTimeout(() => {
-        throw new Error("Message fetch operation timed out");
-      }, 30000); // 30 second timeout for fetch operation
-      
-      try {
-        for await (const msg of client.fetch({ uid }, { envelope: true, flags: true, internalDate: true, source: true })) {
-          meta = msg;
-          break; // We only expect one message with this UID
-        }
-        clearTimeout(fetchTimeout);
-      } catch (fetchError) {
-        clearTimeout(fetchTimeout);
-        throw fetchError;
-      }
-      
-      if (!meta) {
-        return res.status(404).json({ error: "Message not found" });
-      }
-      
-      // Parse the RFC822 content to make it readable
-      const rfc822Source = meta.source?.toString("utf8") || null;
-      let parsedEmail = null;
-      
-      if (rfc822Source) {
-        try {
-          parsedEmail = await simpleParser(rfc822Source);
-        } catch (parseError) {
-          console.warn("Failed to parse email:", parseError.message);
-        }
-      }
-      
-      const response = {
-        uid: meta.uid,
-        subject: meta.envelope?.subject,
-        from: (meta.envelope?.from || []).map((a) => a.address).filter(Boolean),
-        to: (meta.envelope?.to || []).map((a) => a.address).filter(Boolean),
-        date: meta.internalDate,
-        flags: Array.from(meta.flags || []),
-        parsed: parsedEmail ? {
-          messageId: parsedEmail.messageId,
-          subject: parsedEmail.subject,
-          from: parsedEmail.from,
-          to: parsedEmail.to,
-          cc: parsedEmail.cc,
-          bcc: parsedEmail.bcc,
-          date: parsedEmail.date,
-          text: parsedEmail.text,
-          html: parsedEmail.html ? parsedEmail.html.replace(/[\r\n\t]+/g, '').replace(/\s+/g, ' ').replace(/\\"/g, '"').trim() : null,
-          textAsHtml: parsedEmail.textAsHtml,
-          attachments: parsedEmail.attachments ? parsedEmail.attachments.map(att => ({
-            filename: att.filename,
-            contentType: att.contentType,
-            size: att.size,
-            contentId: att.contentId,
-            contentDisposition: att.contentDisposition
-          })) : []
-        } : null
-      };
-      
-      // Only include raw RFC822 if requested
-      if (includeRaw) {
-        response.rfc822 = rfc822Source;
-      }
-      
-      res.json(response);
-      
-    } finally {
-      // Always release the lock
-      if (lock) {
-        try {
-          lock.release();
-        } catch (lockReleaseError) {
-          console.warn("Failed to release mailbox lock:", lockReleaseError.message);
-        }
-      }
-    }
-    
-  } catch (err) {
-    console.error("Message fetch error:", err.message);
-    res.status(400).json({ 
-      error: err?.message || "Failed to fetch message",
-      code: err?.code || "UNKNOWN_ERROR"
-    });
-  } finally {
-    // Always cleanup the client connection
-    if (client) {
-      try {
-        if (client.connection) {
-          await client.logout();
-        }
-      } catch (logoutError) {
-        console.warn("Failed to logout IMAP client:", logoutError.message);
-        // Force close if logout fails
-        try {
-          if (client.connection && client.connection.destroy) {
-            client.connection.destroy();
-          }
-        } catch (destroyError) {
-          console.warn("Failed to destroy IMAP connection:", destroyError.message);
-        }
-      }
+/**
+ * @swagger
+ * /mailbox/api-keys:
+ *   post:
+ *     tags: [Mailbox]
+ *     summary: Create an API key
+ *     description: |
+ *       Creates a key bound to the given integrationIds and scopes. The full key (`mbx_...`) is returned only in this response; only a SHA-256 hash of its secret is stored. Send it as `Authorization: Bearer mbx_...`.
+ *
+ *       Scopes: `read` (accounts, folders, messages, threads, search, attachments, watchers and event streams), `send` (send, reply, forward, drafts, flags, move, copy and delete) and `admin` (everything, plus account, webhook and API key management). `"*"` in integrationIds grants every integration and is required for `/mailbox/admin/*` and `/mailbox/pool`. A key can only grant integrationIds that the caller has itself.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, integrationIds, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'crm-sync'
+ *               integrationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['user123']
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, send, admin]
+ *                 example: ['read', 'send']
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The key stops working after this time
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MailboxApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Full API key, shown once
+ *                       example: 'mbx_01J9Z3NDEKTSV4RRFFQ69G5FAV_3q2-7wHcX0n0aUQkTn1bQ2Zb9mW4vS8y'
+ *       403:
+ *         description: Missing admin scope or an integrationId the caller cannot grant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.post("/api-keys", requireScope("admin"), async (req, res) => {
+  try {
+    const body = ApiKeySchema.parse(req.body);
+    if (!coversApiKey(req.principal, body)) {
+      return res.status(403).json({ error: "Cannot grant integrationIds outside your own", code: "FORBIDDEN" });
     }
+    const { record, key } = await apiKeys.create(body, req.principal);
+    res.status(201).json({ ...apiKeyView(record), key });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to create API key", code: err?.code || "UNKNOWN_ERROR" });
   }
 });
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/watch/start:
- *   post:
+ * /mailbox/api-keys:
+ *   get:
  *     tags: [Mailbox]
- *     summary: Start email watcher
- *     description: Starts the real-time email watcher for the account. This enables live monitoring of new incoming emails.
+ *     summary: List API keys
+ *     description: Lists the keys whose integrationIds are all within the caller's. Secrets are never returned.
+ *     security:
+ *       - MailboxBearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: integrationId
  *         schema:
  *           type: string
- *         description: Account ID
- *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+ *         description: Only keys bound to this integrationId
  *     responses:
  *       200:
- *         description: Watcher started successfully
+ *         description: API keys
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 ok:
- *                   type: boolean
- *                   example: true
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MailboxApiKey'
  *       400:
- *         description: Failed to start watcher
+ *         description: Bad request
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.post("/accounts/:id/watch/start", async (req, res) => {
+mailboxRouter.get("/api-keys", requireScope("admin"), async (req, res) => {
   try {
-    await ensureWatcher(req.params.id);
-    res.json({ ok: true });
-  } catch (e) {
-    res.status(400).json({ error: e?.message || "Failed to start watcher" });
+    const integrationId = req.query.integrationId ? String(req.query.integrationId) : null;
+    const keys = (await apiKeys.list()).filter(
+      (key) => coversApiKey(req.principal, key) && (!integrationId || key.integrationIds.includes(integrationId))
+    );
+    res.json({ keys });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to list API keys", code: err?.code || "UNKNOWN_ERROR" });
   }
 });
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/watch/stop:
- *   post:
+ * /mailbox/api-keys/{keyId}:
+ *   get:
  *     tags: [Mailbox]
- *     summary: Stop email watcher
- *     description: Stops the real-time email watcher for the account.
+ *     summary: Get an API key
+ *     security:
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: keyId
  *         required: true
  *         schema:
  *           type: string
- *         description: Account ID
- *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
  *     responses:
  *       200:
- *         description: Watcher stopped successfully
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxApiKey'
+ *       404:
+ *         description: Unknown key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/api-keys/:keyId", requireScope("admin"), async (req, res) => {
+  try {
+    const key = await apiKeys.get(req.params.keyId);
+    if (!key || !coversApiKey(req.principal, key)) return res.status(404).json({ error: "API key not found" });
+    res.json(key);
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to read API key", code: err?.code || "UNKNOWN_ERROR" });
+  }
+});
+
+/**
+ * @swagger
+ * /mailbox/api-keys/{keyId}:
+ *   delete:
+ *     tags: [Mailbox]
+ *     summary: Revoke an API key
+ *     description: Deletes the key. Other instances stop accepting it within `MAILBOX_AUTH_CACHE_MS` (15 seconds by default).
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
  *         content:
  *           application/json:
  *             schema:
@@ -1204,115 +7843,401 @@ mailboxRouter.post("/accounts/:id/watch/start", async (req, res) => {
  *                 ok:
  *                   type: boolean
  *                   example: true
- *       400:
- *         description: Failed to stop watcher
+ *       404:
+ *         description: Unknown key
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.post("/accounts/:id/watch/stop", async (req, res) => {
+mailboxRouter.delete("/api-keys/:keyId", requireScope("admin"), async (req, res) => {
   try {
-    await stopWatcher(req.params.id);
+    const key = await apiKeys.get(req.params.keyId);
+    if (!key || !coversApiKey(req.principal, key)) return res.status(404).json({ error: "API key not found" });
+    await apiKeys.revoke(key.id);
     res.json({ ok: true });
-  } catch (e) {
-    res.status(400).json({ error: e?.message || "Failed to stop watcher" });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to revoke API key", code: err?.code || "UNKNOWN_ERROR" });
   }
 });
 
 /**
  * @swagger
- * /mailbox/accounts/{id}/stream:
- *   get:
+ * /mailbox/integrations/{integrationId}/resend-key:
+ *   put:
  *     tags: [Mailbox]
- *     summary: Real-time email events stream (SSE)
+ *     summary: Store the Resend API key of an integration
  *     description: |
- *       Establishes a Server-Sent Events (SSE) connection for real-time email notifications.
- *       The stream will send events when new emails are received.
- *       
- *       **Usage Example:**
- *       ```javascript
- *       const es = new EventSource('/mailbox/accounts/YOUR_ACCOUNT_ID/stream');
- *       es.onmessage = ev => console.log(JSON.parse(ev.data));
- *       ```
- *       
- *       **Event Types:**
- *       - `SSEReady`: Connection established
- *       - `WatcherReady`: Email watcher is ready
- *       - `EmailReceived`: New email received
- *       - `Error`: Error occurred
+ *       Encrypts the key with the same envelope as mailbox credentials and stores it. Afterwards the `/emails`, `/domains`, `/contacts`, `/audiences` and `/broadcasts` routes accept a bearer token of this integration instead of the `resend_api_key` header (which still overrides the stored key when sent). Tokens bound to several integrations select one with the `X-Integration-Id` header.
+ *
+ *       Those routes need the `read` scope for GET requests and `send` for the others; `/domains` needs `admin`.
+ *     security:
+ *       - MailboxBearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: integrationId
  *         required: true
  *         schema:
  *           type: string
- *         description: Account ID
- *         example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
-      *     responses:
-     *       200:
- *         description: SSE stream established
+ *         example: 'user123'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [apiKey]
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *                 example: 're_123456789'
+ *     responses:
+ *       200:
+ *         description: Key stored; the response never contains the key itself
  *         content:
- *           text/event-stream:
+ *           application/json:
  *             schema:
- *               oneOf:
- *                 - $ref: '#/components/schemas/MailboxSSEEvent'
- *                 - $ref: '#/components/schemas/MailboxEmailReceivedEvent'
- *             examples:
- *               SSEReady:
- *                 summary: Stream connection ready
- *                 value: |
- *                   data: {"type":"SSEReady","accountId":"01ARZ3NDEKTSV4RRFFQ69G5FAV"}
- *               EmailReceived:
- *                 summary: New email received
- *                 value: |
- *                   data: {"type":"EmailReceived","accountId":"01ARZ3NDEKTSV4RRFFQ69G5FAV","uid":12345,"subject":"New Message","from":["sender@example.com"],"to":["user@example.com"],"date":"2024-01-01T12:00:00.000Z","flags":["\\\\Recent"]}
+ *               $ref: '#/components/schemas/MailboxResendKey'
+ *       403:
+ *         description: Missing admin scope or the token is not bound to this integrationId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       400:
- *         description: Bad request or account not found
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-mailboxRouter.get("/accounts/:id/stream", async (req, res) => {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache, no-transform");
-  res.setHeader("Connection", "keep-alive");
-  if (typeof res.flushHeaders === "function") res.flushHeaders();
-
-  const accountId = req.params.id;
+mailboxRouter.put("/integrations/:integrationId/resend-key", requireScope("admin"), async (req, res) => {
+  try {
+    const { integrationId } = req.params;
+    if (!canAccessIntegration(req.principal, integrationId)) {
+      return res.status(403).json({ error: "Not allowed for this integrationId", code: "FORBIDDEN" });
+    }
+    const { apiKey } = ResendKeySchema.parse(req.body);
+    res.json(resendKeyView(await resendKeys.save(integrationId, apiKey)));
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to store Resend key", code: err?.code || "UNKNOWN_ERROR" });
+  }
+});
 
+/**
+ * @swagger
+ * /mailbox/integrations/{integrationId}/resend-key:
+ *   get:
+ *     tags: [Mailbox]
+ *     summary: Show whether an integration has a stored Resend API key
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: integrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 'user123'
+ *     responses:
+ *       200:
+ *         description: Stored key metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MailboxResendKey'
+ *       404:
+ *         description: No key stored for this integration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+mailboxRouter.get("/integrations/:integrationId/resend-key", requireScope("admin"), async (req, res) => {
   try {
-    await ensureWatcher(accountId);
-  } catch (e) {
-    res.write(`data: ${JSON.stringify({ type: "Error", message: e?.message || "Watcher failed" })}\n\n`);
+    const { integrationId } = req.params;
+    if (!canAccessIntegration(req.principal, integrationId)) {
+      return res.status(403).json({ error: "Not allowed for this integrationId", code: "FORBIDDEN" });
+    }
+    const record = await resendKeys.get(integrationId);
+    if (!record) return res.status(404).json({ error: "No Resend key stored for this integration" });
+    res.json(resendKeyView(record));
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to read Resend key", code: err?.code || "UNKNOWN_ERROR" });
   }
+});
 
-  const w = watchers.get(accountId);
-  if (!w) {
-    res.write(`data: ${JSON.stringify({ type: "Error", message: "Watcher unavailable" })}\n\n`);
-  } else {
-    w.sseClients.add(res);
+/**
+ * @swagger
+ * /mailbox/integrations/{integrationId}/resend-key:
+ *   delete:
+ *     tags: [Mailbox]
+ *     summary: Delete the stored Resend API key of an integration
+ *     description: Requests of this integration then need the `resend_api_key` header again.
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: integrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 'user123'
+ *     responses:
+ *       200:
+ *         description: Key deleted (or there was none)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ */
+mailboxRouter.delete("/integrations/:integrationId/resend-key", requireScope("admin"), async (req, res) => {
+  try {
+    const { integrationId } = req.params;
+    if (!canAccessIntegration(req.principal, integrationId)) {
+      return res.status(403).json({ error: "Not allowed for this integrationId", code: "FORBIDDEN" });
+    }
+    await resendKeys.remove(integrationId);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err?.message || "Failed to delete Resend key", code: err?.code || "UNKNOWN_ERROR" });
   }
+});
+
+// ------------------------- WebSocket -------------------------
+/**
+ * @swagger
+ * /mailbox/ws:
+ *   get:
+ *     tags: [Mailbox]
+ *     security:
+ *       - MailboxBearerAuth: []
+ *     summary: Real-time email events over WebSocket
+ *     description: |
+ *       WebSocket alternative to the SSE stream that shares the same watchers and event types and can follow several
+ *       accounts over one socket. Connect with `ws://HOST/mailbox/ws?clientId=OPTIONAL_STABLE_ID` and an
+ *       `Authorization: Bearer` header, or `access_token=TOKEN` in the query where headers cannot be set (browsers).
+ *       The token needs the `read` scope; `markRead` also needs `send`, and only accounts of the token's integrationIds
+ *       can be used.
+ *
+ *       **Client commands** (JSON text frames, `reqId` is echoed back in `CommandResult`):
+ *       - `{"op":"subscribe","accountId":"...","folder":"INBOX","lastEventId":12}`: start receiving events; buffered
+ *         events after `lastEventId` (or after the last `ack` of this `clientId`) are replayed first
+ *       - `{"op":"unsubscribe","accountId":"...","folder":"INBOX"}`: omit `folder` to drop every folder of the account
+ *       - `{"op":"markRead","accountId":"...","folder":"INBOX","uids":[1,2],"seen":true}`: set or clear `\Seen`
+ *       - `{"op":"ack","accountId":"...","eventId":15}`: remember the last processed event for this `clientId`
+ *       - `{"op":"ping"}`
+ *
+ *       **Server frames:** watcher events as `{"id":15,"type":"EmailReceived",...}` (same payloads as the SSE stream,
+ *       including `ReplayGap`), and `{"type":"CommandResult","reqId":...,"op":"...","ok":true,"result":{...}}` or
+ *       `{"type":"CommandResult","ok":false,"error":"...","code":"..."}`.
+ *     parameters:
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Stable client identifier used to persist acks across reconnects
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: API key or JWT, for clients that cannot send an Authorization header. Redacted from this service's request log; prefer a short-lived JWT, since proxies may log full URLs.
+ *     responses:
+ *       101:
+ *         description: Switching protocols to WebSocket
+ */
+const WS_PATH = "/mailbox/ws";
+const WS_HEARTBEAT_MS = 30_000;
+const kAck = (accountId, clientId) => `mail:ack:${accountId}:${clientId}`;
 
-  res.write(`data: ${JSON.stringify({ type: "SSEReady", accountId })}\n\n`);
+const WsBase = z.object({ reqId: z.union([z.string(), z.number()]).optional() });
+const WsCommand = z.discriminatedUnion("op", [
+  WsBase.extend({
+    op: z.literal("subscribe"),
+    accountId: z.string().min(1),
+    folder: z.string().min(1).optional(),
+    lastEventId: z.number().int().nonnegative().optional(),
+  }),
+  WsBase.extend({ op: z.literal("unsubscribe"), accountId: z.string().min(1), folder: z.string().min(1).optional() }),
+  WsBase.extend({
+    op: z.literal("markRead"),
+    accountId: z.string().min(1),
+    folder: z.string().min(1).optional(),
+    uids: UidList,
+    seen: z.boolean().default(true),
+  }),
+  WsBase.extend({ op: z.literal("ack"), accountId: z.string().min(1), eventId: z.number().int().nonnegative() }),
+  WsBase.extend({ op: z.literal("ping") }),
+]);
 
-  const ping = setInterval(() => {
-    try {
-      res.write(`event: ping\ndata: {}\n\n`);
-    } catch {}
-  }, 25_000);
+function wsSend(socket, data) {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(data));
+}
 
-  req.on("close", () => {
-    clearInterval(ping);
-    if (w) {
-      w.sseClients.delete(res);
-      keepAliveWatcher(w); // قد يوقف بعد دقيقة إذا ما بقي مستمعين
+function wsUnsubscribe(socket, key) {
+  const w = socket.subscriptions.get(key);
+  socket.subscriptions.delete(key);
+  if (!w) return;
+  w.wsClients.delete(socket);
+  keepAliveWatcher(w); // قد يوقف بعد دقيقة إذا ما بقي مستمعين
+}
+
+const wsCommands = {
+  async subscribe(socket, cmd) {
+    const folder = folderFrom(cmd.folder);
+    const key = watcherKey(cmd.accountId, folder);
+    const w = await ensureWatcher(cmd.accountId, folder);
+
+    let since = cmd.lastEventId;
+    if (since === undefined && socket.clientId) {
+      const acked = await redis.get(kAck(cmd.accountId, socket.clientId));
+      if (acked !== null && acked !== undefined) since = Number(acked);
     }
+    // replay والاشتراك في نفس الدورة (كما في SSE)
+    if (Number.isInteger(since)) {
+      const { entries, gap } = eventsSince(cmd.accountId, folder, since);
+      if (gap) wsSend(socket, { type: "ReplayGap", accountId: cmd.accountId, folder, ...gap });
+      for (const entry of entries) wsSend(socket, { id: entry.id, ...entry.data });
+    }
+    if (socket.subscriptions.get(key) !== w) wsUnsubscribe(socket, key);
+    socket.subscriptions.set(key, w);
+    w.wsClients.add(socket);
+    keepAliveWatcher(w);
+    return { accountId: cmd.accountId, folder, state: w.state };
+  },
+
+  async unsubscribe(socket, cmd) {
+    const keys = cmd.folder
+      ? [watcherKey(cmd.accountId, folderFrom(cmd.folder))]
+      : Array.from(socket.subscriptions.values())
+          .filter((w) => w.accountId === cmd.accountId)
+          .map((w) => w.key);
+    keys.forEach((key) => wsUnsubscribe(socket, key));
+    return { accountId: cmd.accountId, folders: keys.map((k) => k.slice(cmd.accountId.length + 1)) };
+  },
+
+  async markRead(socket, cmd) {
+    const folder = folderFrom(cmd.folder);
+    const flags = cmd.seen ? { add: ["\\Seen"] } : { remove: ["\\Seen"] };
+    const results = await runMessageAction(cmd.accountId, folder, { uids: cmd.uids, ...flags }, "ws markRead", applyFlags);
+    return { folder, results };
+  },
+
+  async ack(socket, cmd) {
+    if (socket.clientId) await redis.set(kAck(cmd.accountId, socket.clientId), cmd.eventId, { ex: EVENT_REDIS_TTL_SEC });
+    return { accountId: cmd.accountId, eventId: cmd.eventId, persisted: Boolean(socket.clientId) };
+  },
+
+  async ping() {
+    return { at: new Date().toISOString() };
+  },
+};
+
+// نفس قواعد مسارات HTTP: markRead يحتاج send، وحساب integration آخر يُعامل كغير موجود
+async function authorizeWsCommand(principal, cmd) {
+  const scope = cmd.op === "markRead" ? "send" : "read";
+  if (!hasScope(principal, scope)) throw authError(403, "INSUFFICIENT_SCOPE", `This command needs the ${scope} scope`);
+  if (!(await canAccessAccount(principal, cmd.accountId))) throw authError(404, "NOT_FOUND", "Account not found");
+}
+
+async function handleWsMessage(socket, raw) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(raw));
+    const cmd = WsCommand.parse(parsed);
+    if (cmd.accountId) await authorizeWsCommand(socket.principal, cmd);
+    const result = await wsCommands[cmd.op](socket, cmd);
+    wsSend(socket, { type: "CommandResult", reqId: cmd.reqId ?? null, op: cmd.op, ok: true, result });
+  } catch (err) {
+    wsSend(socket, {
+      type: "CommandResult",
+      reqId: parsed?.reqId ?? null,
+      op: parsed?.op ?? null,
+      ok: false,
+      error: err?.message || "Command failed",
+      code: err?.code || "UNKNOWN_ERROR",
+    });
+  }
+}
+
+// يُربط بخادم HTTP في bin/www؛ المسارات الأخرى لحدث upgrade تُترك لغيرنا
+function attachWebSocket(server, { path = WS_PATH } = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) return;
+    // لا مستمع على الـ socket حتى handleUpgrade: ECONNRESET أثناء المصادقة يُسقط العملية
+    const onSocketError = (err) => console.warn("WebSocket upgrade socket error:", err.message);
+    socket.on("error", onSocketError);
+    let principal = OPEN_PRINCIPAL;
     try {
-      res.end();
-    } catch {}
+      if (AUTH_ENABLED) principal = await authenticateToken(bearerToken(req.headers, url.searchParams.get("access_token")));
+      if (!hasScope(principal, "read")) throw authError(403, "INSUFFICIENT_SCOPE", "This request needs the read scope");
+    } catch (err) {
+      const status = err.status || 500;
+      if (socket.writable) socket.end(`HTTP/1.1 ${status} ${status === 401 ? "Unauthorized" : status === 403 ? "Forbidden" : "Error"}\r\n\r\n`);
+      else socket.destroy();
+      return;
+    }
+    socket.removeListener("error", onSocketError);
+    // أُغلق أثناء المصادقة
+    if (!socket.readable || !socket.writable) return socket.destroy();
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req, url, principal));
   });
-});
+
+  wss.on("connection", (socket, req, url, principal) => {
+    socket.principal = principal;
+    socket.clientId = url.searchParams.get("clientId") || null;
+    socket.subscriptions = new Map(); // watcherKey -> Watcher
+    socket.isAlive = true;
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (raw) => handleWsMessage(socket, raw));
+    socket.on("close", () => {
+      for (const key of Array.from(socket.subscriptions.keys())) wsUnsubscribe(socket, key);
+    });
+    socket.on("error", (err) => console.warn("WebSocket error:", err.message));
+
+    wsSend(socket, { type: "WSReady", clientId: socket.clientId });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, WS_HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+  server.on("close", () => wss.close());
+
+  return wss;
+}
+
+mailboxRouter.discovery = discovery;
+mailboxRouter.mailCache = mailCache;
+mailboxRouter.attachWebSocket = attachWebSocket;
+mailboxRouter.startWatchSupervisor = startWatchSupervisor;
+mailboxRouter.startWebhookRetries = startWebhookRetries;
+mailboxRouter.rewrapSecrets = rewrapSecrets;
+mailboxRouter.keyProviders = keyProviders;
+mailboxRouter.createStore = createStore;
+mailboxRouter.resendApiKey = resendApiKey;
+mailboxRouter.toImapSearch = toImapSearch;
+mailboxRouter.jwzThreads = jwzThreads;
+mailboxRouter.threadSummary = threadSummary;
+mailboxRouter.decodeThreadId = decodeThreadId;
+mailboxRouter.loadAccount = loadAccount;
+mailboxRouter.accountSecret = accountSecret;
 
 module.exports = mailboxRouter;
@@ -56,7 +56,12 @@ const options = {
           type: 'apiKey',
           in: 'header',
           name: 'resend_api_key',
-          description: 'Resend API key for authentication'
+          description: 'Resend API key; optional when the bearer token belongs to an integration with a key stored through PUT /mailbox/integrations/{integrationId}/resend-key, and overrides that key when sent'
+        },
+        MailboxBearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Mailbox API key (mbx_...) created with POST /mailbox/api-keys or MAILBOX_ADMIN_API_KEY, or a JWT signed with MAILBOX_JWT_SECRET / MAILBOX_JWT_PUBLIC_KEY carrying integrationIds and scope claims. On the Resend routes, tokens bound to several integrations pick one with the X-Integration-Id header'
         }
       },
       schemas: {
@@ -580,7 +585,7 @@ const options = {
         },
         MailboxServerSettings: {
           type: 'object',
-          required: ['server', 'port', 'username', 'password', 'connection'],
+          required: ['server', 'port', 'username', 'connection'],
           properties: {
             server: {
               type: 'string',
@@ -601,7 +606,7 @@ const options = {
             },
             password: {
               type: 'string',
-              description: 'Login password',
+              description: 'Login password; required unless the account uses oauth2',
               example: 'app-specific-password'
             },
             connection: {
@@ -612,9 +617,229 @@ const options = {
             }
           }
         },
+        MailboxOAuth2Credentials: {
+          type: 'object',
+          required: ['clientId', 'refreshToken'],
+          description: 'OAuth2 credentials used for XOAUTH2 on both IMAP and SMTP. Access tokens are refreshed automatically and the result is stored encrypted.',
+          properties: {
+            provider: {
+              type: 'string',
+              enum: ['google', 'microsoft', 'custom'],
+              default: 'custom',
+              description: 'Selects the default token endpoint (overridable with OAUTH2_GOOGLE_TOKEN_URL / OAUTH2_MICROSOFT_TOKEN_URL)',
+              example: 'google'
+            },
+            clientId: {
+              type: 'string',
+              example: '1234567890-abc.apps.googleusercontent.com'
+            },
+            clientSecret: {
+              type: 'string',
+              example: 'GOCSPX-xxxxxxxx'
+            },
+            refreshToken: {
+              type: 'string',
+              example: '1//0gXXXXXXXX'
+            },
+            tokenEndpoint: {
+              type: 'string',
+              format: 'uri',
+              description: 'Token endpoint; required for custom providers',
+              example: 'https://oauth2.googleapis.com/token'
+            },
+            scope: {
+              type: 'string',
+              example: 'https://mail.google.com/'
+            },
+            accessToken: {
+              type: 'string',
+              description: 'Optional current access token'
+            },
+            expiresAt: {
+              type: 'integer',
+              description: 'Access token expiry (ms since epoch)'
+            }
+          }
+        },
+        MailboxPreset: {
+          type: 'object',
+          properties: {
+            key: {
+              type: 'string',
+              example: 'gmail'
+            },
+            name: {
+              type: 'string',
+              example: 'Gmail'
+            },
+            domains: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['gmail.com', 'googlemail.com']
+            },
+            imap: {
+              $ref: '#/components/schemas/MailboxDiscoveredServer'
+            },
+            smtp: {
+              $ref: '#/components/schemas/MailboxDiscoveredServer'
+            },
+            oauth2Provider: {
+              type: 'string',
+              nullable: true,
+              example: 'google'
+            },
+            settings: {
+              $ref: '#/components/schemas/MailboxAccountSettings'
+            }
+          }
+        },
+        MailboxDiscoveredServer: {
+          type: 'object',
+          properties: {
+            server: {
+              type: 'string',
+              example: 'imap.gmail.com'
+            },
+            port: {
+              type: 'integer',
+              example: 993
+            },
+            connection: {
+              type: 'string',
+              enum: ['SSL/TLS', 'STARTTLS'],
+              example: 'SSL/TLS'
+            },
+            username: {
+              type: 'string',
+              example: 'user@gmail.com'
+            },
+            source: {
+              type: 'string',
+              enum: ['preset', 'preset-domain', 'preset-mx', 'autoconfig', 'srv', 'guess'],
+              example: 'preset-domain'
+            },
+            verified: {
+              type: 'boolean',
+              description: 'The server answered with a valid greeting during probing'
+            }
+          }
+        },
+        MailboxDiscoverRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'user@company.com'
+            },
+            preset: {
+              type: 'string',
+              description: 'Force a provider preset instead of looking up the domain',
+              example: 'outlook'
+            },
+            probe: {
+              type: 'boolean',
+              default: true,
+              description: 'Check candidates by connecting and reading the server greeting'
+            }
+          }
+        },
+        MailboxDiscoverResponse: {
+          type: 'object',
+          properties: {
+            email: {
+              type: 'string'
+            },
+            domain: {
+              type: 'string',
+              example: 'company.com'
+            },
+            preset: {
+              type: 'string',
+              nullable: true,
+              description: 'Matched preset (by name, domain or MX records)',
+              example: 'gmail'
+            },
+            imap: {
+              allOf: [
+                {
+                  $ref: '#/components/schemas/MailboxDiscoveredServer'
+                }
+              ],
+              nullable: true
+            },
+            smtp: {
+              allOf: [
+                {
+                  $ref: '#/components/schemas/MailboxDiscoveredServer'
+                }
+              ],
+              nullable: true
+            },
+            oauth2Provider: {
+              type: 'string',
+              nullable: true
+            },
+            settings: {
+              $ref: '#/components/schemas/MailboxAccountSettings'
+            },
+            candidates: {
+              type: 'object',
+              description: 'All candidates in the order they were tried',
+              properties: {
+                imap: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/MailboxDiscoveredServer'
+                  }
+                },
+                smtp: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/MailboxDiscoveredServer'
+                  }
+                }
+              }
+            }
+          }
+        },
+        MailboxAccountSettings: {
+          type: 'object',
+          properties: {
+            saveToSent: {
+              type: 'boolean',
+              default: true,
+              description: 'Append sent messages to the Sent folder over IMAP. Turn off for providers such as Gmail that already do this.',
+              example: true
+            },
+            sentFolder: {
+              type: 'string',
+              nullable: true,
+              default: null,
+              description: 'Sent folder path; null auto-detects the special-use \\Sent folder',
+              example: null
+            },
+            draftsFolder: {
+              type: 'string',
+              nullable: true,
+              default: null,
+              description: 'Drafts folder path; null auto-detects the special-use \\Drafts folder',
+              example: null
+            },
+            alwaysWatch: {
+              type: 'boolean',
+              default: false,
+              description: 'Keep an INBOX watcher running without SSE/WebSocket clients; restored on server start',
+              example: true
+            }
+          }
+        },
         CreateMailboxAccountRequest: {
           type: 'object',
-          required: ['userId', 'primaryEmail', 'imap', 'smtp'],
+          required: ['userId', 'primaryEmail'],
           properties: {
             userId: {
               type: 'string',
@@ -638,6 +863,22 @@ const options = {
             smtp: {
               $ref: '#/components/schemas/MailboxServerSettings'
             },
+            password: {
+              type: 'string',
+              description: 'Password for discovered imap/smtp settings (used when imap or smtp is omitted)',
+              example: 'app-password'
+            },
+            preset: {
+              type: 'string',
+              description: 'Provider preset key used to resolve omitted imap/smtp settings (see GET /mailbox/accounts/presets)',
+              example: 'gmail'
+            },
+            oauth2: {
+              $ref: '#/components/schemas/MailboxOAuth2Credentials'
+            },
+            settings: {
+              $ref: '#/components/schemas/MailboxAccountSettings'
+            },
             testConnection: {
               type: 'boolean',
               description: 'Test connection before saving',
@@ -666,6 +907,9 @@ const options = {
             },
             smtp: {
               $ref: '#/components/schemas/MailboxServerSettings'
+            },
+            oauth2: {
+              $ref: '#/components/schemas/MailboxOAuth2Credentials'
             }
           }
         },
@@ -747,68 +991,333 @@ const options = {
             }
           }
         },
-        MailboxAccount: {
+        MailboxReplyRequest: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSendRequest'
+            },
+            {
+              type: 'object',
+              properties: {
+                folder: {
+                  type: 'string',
+                  default: 'INBOX',
+                  description: 'Folder holding the original message',
+                  example: 'INBOX'
+                },
+                all: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Reply to all original recipients'
+                },
+                to: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    format: 'email'
+                  },
+                  description: 'Override recipients (defaults to the original Reply-To/From)'
+                },
+                subject: {
+                  type: 'string',
+                  description: 'Override subject (defaults to "Re: <original subject>")'
+                },
+                quote: {
+                  type: 'boolean',
+                  default: true,
+                  description: 'Quote the original text/HTML below the reply'
+                }
+              }
+            }
+          ]
+        },
+        MailboxForwardRequest: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSendRequest'
+            },
+            {
+              type: 'object',
+              properties: {
+                folder: {
+                  type: 'string',
+                  default: 'INBOX',
+                  description: 'Folder holding the original message',
+                  example: 'INBOX'
+                },
+                subject: {
+                  type: 'string',
+                  description: 'Override subject (defaults to "Fwd: <original subject>")'
+                },
+                includeAttachments: {
+                  type: 'boolean',
+                  default: true,
+                  description: 'Carry over the original attachments'
+                }
+              }
+            }
+          ]
+        },
+        MailboxDraftRef: {
           type: 'object',
           properties: {
-            id: {
+            draftId: {
               type: 'string',
-              description: 'Account ID',
-              example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+              description: 'Stable draft ID (kept across updates)',
+              example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
             },
-            userId: {
+            folder: {
               type: 'string',
-              description: 'User ID',
-              example: 'user123'
+              example: 'Drafts'
             },
-            label: {
-              type: 'string',
+            uid: {
+              type: 'integer',
               nullable: true,
-              description: 'Account label',
-              example: 'Personal Gmail'
-            },
-            primaryEmailMasked: {
-              type: 'string',
-              description: 'Masked primary email',
-              example: 'u***r@gmail.com'
-            },
-            createdAt: {
-              type: 'string',
-              format: 'date-time',
-              description: 'Creation timestamp',
-              example: '2024-01-01T12:00:00.000Z'
+              description: 'UID of the stored version (UIDPLUS servers); changes on every update',
+              example: 57
             },
-            updatedAt: {
+            messageId: {
               type: 'string',
-              format: 'date-time',
-              description: 'Last update timestamp',
-              example: '2024-01-01T12:00:00.000Z'
+              example: '<b1946ac9-2c1b-4f4e-9d51-6c8d2b7b5c1a@example.com>'
             }
           }
         },
-        MailboxAccountDetail: {
+        MailboxDraft: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSendRequest'
+            },
+            {
+              type: 'object',
+              properties: {
+                draftId: {
+                  type: 'string',
+                  example: '01HZX3N8Q2J5K7M9P1R3T5V7X9'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'Drafts'
+                },
+                uid: {
+                  type: 'integer',
+                  example: 57
+                },
+                updatedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'Internal date of the stored version'
+                }
+              }
+            }
+          ]
+        },
+        MailboxThreadSummary: {
           type: 'object',
           properties: {
-            id: {
+            threadId: {
               type: 'string',
-              description: 'Account ID',
-              example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+              description: 'Opaque thread ID (base64url of the root Message-ID, or of the root message UID and folder when it has no unique Message-ID)',
+              example: 'PENBQkNEQGV4YW1wbGUuY29tPg'
             },
-            userId: {
+            subject: {
               type: 'string',
-              description: 'User ID',
-              example: 'user123'
+              example: 'Quarterly report'
             },
-            createdAt: {
-              type: 'string',
-              format: 'date-time',
-              description: 'Creation timestamp',
-              example: '2024-01-01T12:00:00.000Z'
+            messageCount: {
+              type: 'integer',
+              example: 4
             },
-            updatedAt: {
-              type: 'string',
-              format: 'date-time',
-              description: 'Last update timestamp',
-              example: '2024-01-01T12:00:00.000Z'
+            unreadCount: {
+              type: 'integer',
+              example: 1
+            },
+            participants: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['alice@example.com', 'bob@example.com']
+            },
+            lastDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastUid: {
+              type: 'integer',
+              example: 128
+            },
+            uids: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              description: 'UIDs of the thread in the listed folder, oldest first'
+            },
+            snippet: {
+              type: 'string',
+              nullable: true,
+              example: 'Thanks, the numbers look good. One question about...'
+            }
+          }
+        },
+        MailboxThreadMessage: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              example: 'Sent'
+            },
+            uid: {
+              type: 'integer',
+              example: 42
+            },
+            messageId: {
+              type: 'string',
+              nullable: true
+            },
+            inReplyTo: {
+              type: 'string',
+              nullable: true
+            },
+            subject: {
+              type: 'string'
+            },
+            from: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            to: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            cc: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            date: {
+              type: 'string',
+              format: 'date-time'
+            },
+            flags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            snippet: {
+              type: 'string',
+              nullable: true
+            }
+          }
+        },
+        MailboxThread: {
+          type: 'object',
+          properties: {
+            threadId: {
+              type: 'string'
+            },
+            subject: {
+              type: 'string'
+            },
+            participants: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            messageCount: {
+              type: 'integer'
+            },
+            unreadCount: {
+              type: 'integer'
+            },
+            lastDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            messages: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MailboxThreadMessage'
+              }
+            }
+          }
+        },
+        MailboxAccount: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Account ID',
+              example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+            },
+            userId: {
+              type: 'string',
+              description: 'User ID',
+              example: 'user123'
+            },
+            label: {
+              type: 'string',
+              nullable: true,
+              description: 'Account label',
+              example: 'Personal Gmail'
+            },
+            primaryEmailMasked: {
+              type: 'string',
+              description: 'Masked primary email',
+              example: 'u***r@gmail.com'
+            },
+            settings: {
+              $ref: '#/components/schemas/MailboxAccountSettings'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+              example: '2024-01-01T12:00:00.000Z'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+              example: '2024-01-01T12:00:00.000Z'
+            }
+          }
+        },
+        MailboxAccountDetail: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Account ID',
+              example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
+            },
+            userId: {
+              type: 'string',
+              description: 'User ID',
+              example: 'user123'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+              example: '2024-01-01T12:00:00.000Z'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+              example: '2024-01-01T12:00:00.000Z'
+            },
+            settings: {
+              $ref: '#/components/schemas/MailboxAccountSettings'
             },
             secret: {
               type: 'object',
@@ -884,11 +1393,111 @@ const options = {
                       example: 'STARTTLS'
                     }
                   }
+                },
+                oauth2: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'OAuth2 credentials; tokens and client secret are omitted unless includePasswords=true',
+                  properties: {
+                    provider: {
+                      type: 'string',
+                      example: 'google'
+                    },
+                    clientId: {
+                      type: 'string'
+                    },
+                    tokenEndpoint: {
+                      type: 'string',
+                      nullable: true
+                    },
+                    scope: {
+                      type: 'string',
+                      nullable: true
+                    },
+                    expiresAt: {
+                      type: 'integer',
+                      nullable: true
+                    },
+                    hasRefreshToken: {
+                      type: 'boolean'
+                    }
+                  }
                 }
               }
             }
           }
         },
+        MailboxFolder: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Full IMAP folder path, used as the `folder` parameter',
+              example: 'INBOX/Receipts'
+            },
+            name: {
+              type: 'string',
+              description: 'Last segment of the path',
+              example: 'Receipts'
+            },
+            delimiter: {
+              type: 'string',
+              nullable: true,
+              description: 'Hierarchy delimiter',
+              example: '/'
+            },
+            parentPath: {
+              type: 'string',
+              nullable: true,
+              description: 'Path of the parent folder',
+              example: 'INBOX'
+            },
+            specialUse: {
+              type: 'string',
+              nullable: true,
+              enum: ['\\Inbox', '\\All', '\\Archive', '\\Drafts', '\\Flagged', '\\Junk', '\\Sent', '\\Trash', null],
+              description: 'Special-use flag (RFC 6154)',
+              example: null
+            },
+            flags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Folder flags',
+              example: ['\\HasNoChildren']
+            },
+            subscribed: {
+              type: 'boolean',
+              description: 'Whether the folder is subscribed',
+              example: true
+            },
+            selectable: {
+              type: 'boolean',
+              description: 'False for \\Noselect container folders',
+              example: true
+            },
+            total: {
+              type: 'integer',
+              nullable: true,
+              description: 'Message count from STATUS',
+              example: 42
+            },
+            unread: {
+              type: 'integer',
+              nullable: true,
+              description: 'Unseen message count from STATUS',
+              example: 3
+            },
+            folders: {
+              type: 'array',
+              description: 'Child folders (only when tree=true)',
+              items: {
+                $ref: '#/components/schemas/MailboxFolder'
+              }
+            }
+          }
+        },
         MailboxMessage: {
           type: 'object',
           properties: {
@@ -936,6 +1545,125 @@ const options = {
             }
           }
         },
+        MailboxSearchQuery: {
+          type: 'object',
+          description: 'Structured IMAP search query. All conditions in one object must match (AND).',
+          properties: {
+            from: { type: 'string', description: 'Substring of the From header', example: 'customer@example.com' },
+            to: { type: 'string', description: 'Substring of the To header' },
+            cc: { type: 'string', description: 'Substring of the Cc header' },
+            bcc: { type: 'string', description: 'Substring of the Bcc header' },
+            subject: { type: 'string', description: 'Substring of the subject', example: 'invoice' },
+            body: { type: 'string', description: 'Substring of the message body' },
+            text: { type: 'string', description: 'Substring of headers or body' },
+            since: { type: 'string', format: 'date-time', description: 'Received on or after this date' },
+            before: { type: 'string', format: 'date-time', description: 'Received before this date' },
+            sentSince: { type: 'string', format: 'date-time', description: 'Date header on or after this date' },
+            sentBefore: { type: 'string', format: 'date-time', description: 'Date header before this date' },
+            seen: { type: 'boolean', description: 'Match read (true) or unread (false) messages' },
+            flagged: { type: 'boolean', description: 'Match starred (true) or unstarred (false) messages' },
+            answered: { type: 'boolean' },
+            draft: { type: 'boolean' },
+            deleted: { type: 'boolean' },
+            keyword: { type: 'string', description: 'Custom keyword flag', example: '$Label1' },
+            larger: { type: 'integer', description: 'Size larger than this many bytes' },
+            smaller: { type: 'integer', description: 'Size smaller than this many bytes' },
+            hasAttachment: { type: 'boolean', description: 'Match messages with (true) or without (false) attachments' },
+            header: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              description: 'Header name to substring map; an empty string matches any message with the header',
+              example: { 'x-ticket-id': '4711' }
+            },
+            and: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/MailboxSearchQuery' },
+              description: 'All nested queries must match'
+            },
+            or: {
+              type: 'array',
+              minItems: 2,
+              items: { $ref: '#/components/schemas/MailboxSearchQuery' },
+              description: 'At least one nested query must match'
+            },
+            not: {
+              $ref: '#/components/schemas/MailboxSearchQuery'
+            }
+          }
+        },
+        MailboxSearchRequest: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              default: 'INBOX',
+              description: 'IMAP folder path to search',
+              example: 'INBOX'
+            },
+            query: {
+              $ref: '#/components/schemas/MailboxSearchQuery'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              default: 20,
+              description: 'Page size'
+            },
+            page: {
+              type: 'integer',
+              minimum: 1,
+              default: 1,
+              description: 'Page number (1-based)'
+            },
+            fresh: {
+              type: 'boolean',
+              default: false,
+              description: 'Skip the mail cache and run the search on the IMAP server'
+            }
+          }
+        },
+        MailboxAttachmentPart: {
+          type: 'object',
+          properties: {
+            part: {
+              type: 'string',
+              description: 'BODYSTRUCTURE part number, used as partId for downloads',
+              example: '2'
+            },
+            filename: {
+              type: 'string',
+              nullable: true,
+              example: 'invoice.pdf'
+            },
+            contentType: {
+              type: 'string',
+              example: 'application/pdf'
+            },
+            encoding: {
+              type: 'string',
+              nullable: true,
+              description: 'Content-Transfer-Encoding',
+              example: 'base64'
+            },
+            size: {
+              type: 'integer',
+              nullable: true,
+              description: 'Encoded size in bytes',
+              example: 48213
+            },
+            disposition: {
+              type: 'string',
+              nullable: true,
+              example: 'attachment'
+            },
+            contentId: {
+              type: 'string',
+              nullable: true,
+              example: '<logo@example.com>'
+            }
+          }
+        },
         MailboxMessageDetail: {
           allOf: [
             {
@@ -954,48 +1682,987 @@ const options = {
             }
           ]
         },
+        MailboxFlagsRequest: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              default: 'INBOX',
+              description: 'IMAP folder holding the messages',
+              example: 'INBOX'
+            },
+            uids: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Message UIDs (ignored on single-message routes)',
+              example: [12345, 12346]
+            },
+            add: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Flags to add',
+              example: ['\\Seen']
+            },
+            remove: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Flags to remove',
+              example: ['\\Flagged']
+            },
+            set: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Replace all flags with this list'
+            }
+          }
+        },
+        MailboxTransferRequest: {
+          type: 'object',
+          required: ['destination'],
+          properties: {
+            folder: {
+              type: 'string',
+              default: 'INBOX',
+              description: 'Source IMAP folder',
+              example: 'INBOX'
+            },
+            uids: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Message UIDs (ignored on single-message routes)',
+              example: [12345, 12346]
+            },
+            destination: {
+              type: 'string',
+              description: 'Destination IMAP folder path',
+              example: 'Archive'
+            }
+          }
+        },
+        MailboxDeleteRequest: {
+          type: 'object',
+          required: ['uids'],
+          properties: {
+            folder: {
+              type: 'string',
+              default: 'INBOX',
+              description: 'IMAP folder holding the messages',
+              example: 'INBOX'
+            },
+            uids: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Message UIDs',
+              example: [12345, 12346]
+            }
+          }
+        },
+        MailboxMessageActionResponse: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              example: 'INBOX'
+            },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  uid: {
+                    type: 'integer',
+                    example: 12345
+                  },
+                  ok: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  error: {
+                    type: 'string',
+                    description: 'Reason the UID was not processed',
+                    example: 'Message not found'
+                  },
+                  flags: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Resulting flags (flag operations only)',
+                    example: ['\\Seen']
+                  },
+                  destinationUid: {
+                    type: 'integer',
+                    nullable: true,
+                    description: 'UID in the destination folder (move/copy with UIDPLUS)',
+                    example: 87
+                  }
+                }
+              }
+            }
+          }
+        },
         MailboxSendResponse: {
           type: 'object',
           properties: {
             messageId: {
               type: 'string',
-              description: 'Generated message ID',
-              example: '<1234567890@smtp.gmail.com>'
+              description: 'Generated message ID',
+              example: '<1234567890@smtp.gmail.com>'
+            },
+            accepted: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'email'
+              },
+              description: 'Accepted recipients',
+              example: ['recipient@example.com']
+            },
+            rejected: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'email'
+              },
+              description: 'Rejected recipients',
+              example: []
+            },
+            savedTo: {
+              type: 'object',
+              nullable: true,
+              description: 'Where the sent copy was appended over IMAP; null when saving is disabled, no Sent folder exists or the APPEND failed',
+              properties: {
+                folder: {
+                  type: 'string',
+                  example: 'Sent'
+                },
+                uid: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'UID of the appended copy (UIDPLUS servers)',
+                  example: 412
+                }
+              }
+            }
+          }
+        },
+        MailboxRespondResponse: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSendResponse'
+            },
+            {
+              type: 'object',
+              properties: {
+                originalMessageId: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Message-ID of the original message',
+                  example: '<original@example.com>'
+                },
+                flagged: {
+                  type: 'boolean',
+                  description: 'Whether \\Answered / $Forwarded was set on the original',
+                  example: true
+                }
+              }
+            }
+          ]
+        },
+        MailboxSSEEvent: {
+          type: 'object',
+          discriminator: {
+            propertyName: 'type'
+          },
+          required: ['type'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['WatcherReady', 'WatcherReconnecting', 'WatcherRecovered', 'EmailReceived', 'EmailFlagsChanged', 'EmailDeleted', 'MailboxCountsChanged', 'ReplayGap', 'Error', 'SSEReady'],
+              description: 'Event type'
+            }
+          }
+        },
+        MailboxWatcherReconnectingEvent: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSSEEvent'
+            },
+            {
+              type: 'object',
+              properties: {
+                accountId: {
+                  type: 'string'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'INBOX'
+                },
+                attempt: {
+                  type: 'integer',
+                  description: 'Consecutive reconnect attempt (1-based)',
+                  example: 2
+                },
+                delayMs: {
+                  type: 'integer',
+                  description: 'Delay before this attempt (exponential backoff with jitter, capped at 5 minutes)',
+                  example: 1650
+                },
+                reason: {
+                  type: 'string',
+                  example: 'Connection closed'
+                }
+              }
+            }
+          ]
+        },
+        MailboxWatcherRecoveredEvent: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSSEEvent'
+            },
+            {
+              type: 'object',
+              properties: {
+                accountId: {
+                  type: 'string'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'INBOX'
+                },
+                attempts: {
+                  type: 'integer',
+                  example: 2
+                },
+                downtimeMs: {
+                  type: 'integer',
+                  example: 4210
+                },
+                missed: {
+                  type: 'integer',
+                  description: 'Messages that arrived while disconnected and were emitted as EmailReceived',
+                  example: 1
+                },
+                deleted: {
+                  type: 'integer',
+                  description: 'Messages removed while disconnected and emitted as EmailDeleted',
+                  example: 0
+                },
+                flagsChanged: {
+                  type: 'integer',
+                  description: 'Flag changes recovered while disconnected (requires CONDSTORE)',
+                  example: 2
+                },
+                uidValidityChanged: {
+                  type: 'boolean',
+                  description: 'UIDVALIDITY changed; missed messages cannot be replayed and lastUid was reset'
+                }
+              }
+            }
+          ]
+        },
+        MailboxWatcherStatus: {
+          type: 'object',
+          properties: {
+            folder: {
+              type: 'string',
+              example: 'INBOX'
+            },
+            state: {
+              type: 'string',
+              enum: ['connecting', 'ready', 'reconnecting', 'follower'],
+              example: 'ready'
+            },
+            role: {
+              type: 'string',
+              enum: ['standalone', 'leader', 'follower'],
+              description: 'standalone when MAILBOX_CLUSTER is off; otherwise whether this instance holds the IMAP lease or relays events from the leader',
+              example: 'leader'
+            },
+            leader: {
+              type: 'string',
+              nullable: true,
+              description: 'Instance id currently holding the lease (cluster mode)'
+            },
+            pinned: {
+              type: 'boolean',
+              description: 'Kept running without clients because the account has alwaysWatch on'
+            },
+            lastUid: {
+              type: 'integer',
+              example: 1042
+            },
+            uidValidity: {
+              type: 'string',
+              nullable: true,
+              example: '1700000000'
+            },
+            highestModseq: {
+              type: 'string',
+              nullable: true,
+              description: 'Highest CONDSTORE modseq seen'
+            },
+            counts: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                messages: {
+                  type: 'integer'
+                },
+                unseen: {
+                  type: 'integer'
+                }
+              }
+            },
+            connectedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastEvent: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                type: {
+                  type: 'string',
+                  example: 'EmailReceived'
+                },
+                at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            lastError: {
+              type: 'string',
+              nullable: true
+            },
+            attempt: {
+              type: 'integer',
+              description: 'Consecutive failed attempts since the last disconnect'
+            },
+            reconnects: {
+              type: 'integer',
+              description: 'Total reconnect attempts since the watcher started'
+            },
+            nextRetryAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            clients: {
+              type: 'integer',
+              description: 'Connected SSE clients'
+            },
+            wsClients: {
+              type: 'integer',
+              description: 'Connected WebSocket clients'
+            }
+          }
+        },
+        MailboxRewrapJob: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '01J9Z3NDEKTSV4RRFFQ69G5FAV'
+            },
+            state: {
+              type: 'string',
+              enum: ['running', 'done', 'failed']
+            },
+            dryRun: {
+              type: 'boolean'
+            },
+            provider: {
+              type: 'string',
+              description: 'Key provider the records are moved to',
+              example: 'local'
+            },
+            primaryKeyId: {
+              type: 'string',
+              description: 'Key the records are re-encrypted with',
+              example: '2026-10'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            scanned: {
+              type: 'integer',
+              description: 'Encrypted records seen so far'
+            },
+            rewrapped: {
+              type: 'integer',
+              description: 'Records re-encrypted (or that would be, in a dry run)'
+            },
+            upToDate: {
+              type: 'integer',
+              description: 'Records already sealed with the primary key'
+            },
+            skipped: {
+              type: 'integer',
+              description: 'Records changed by another writer during the job; they are already sealed with the primary key'
+            },
+            failed: {
+              type: 'integer',
+              description: 'Records that could not be decrypted with the current keyring'
+            },
+            byKeyId: {
+              type: 'object',
+              additionalProperties: {
+                type: 'integer'
+              },
+              description: 'Records per key id before the job touched them; v1 counts envelopes written before key ids existed',
+              example: { default: 120, v1: 4 }
+            },
+            errors: {
+              type: 'array',
+              description: 'First 50 failures',
+              items: {
+                type: 'object',
+                properties: {
+                  key: {
+                    type: 'string',
+                    example: 'mail:acc:01ARZ3NDEKTSV4RRFFQ69G5FAV'
+                  },
+                  error: {
+                    type: 'string'
+                  },
+                  code: {
+                    type: 'string',
+                    nullable: true,
+                    example: 'UNKNOWN_KEY_ID'
+                  }
+                }
+              }
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the job stopped, when state is failed'
+            }
+          }
+        },
+        MailboxApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '01J9Z3NDEKTSV4RRFFQ69G5FAV'
+            },
+            name: {
+              type: 'string',
+              example: 'crm-sync'
+            },
+            integrationIds: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Integrations whose accounts the key can use; "*" for all',
+              example: ['user123']
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['read', 'send', 'admin']
+              },
+              example: ['read', 'send']
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdBy: {
+              type: 'string',
+              description: 'Credential that created the key',
+              example: 'adminKey:MAILBOX_ADMIN_API_KEY'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Updated at most once a minute per instance'
+            }
+          }
+        },
+        MailboxResendKey: {
+          type: 'object',
+          properties: {
+            integrationId: {
+              type: 'string',
+              example: 'user123'
+            },
+            keyHint: {
+              type: 'string',
+              description: 'Last characters of the stored key',
+              example: 're_...x7Qa'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        MailboxPrincipal: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['apiKey', 'jwt', 'adminKey', 'none'],
+              description: 'none when MAILBOX_AUTH=off'
+            },
+            id: {
+              type: 'string',
+              nullable: true,
+              description: 'API key id or JWT subject'
+            },
+            name: {
+              type: 'string',
+              nullable: true
             },
-            accepted: {
+            integrationIds: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['user123']
+            },
+            scopes: {
               type: 'array',
               items: {
                 type: 'string',
-                format: 'email'
+                enum: ['read', 'send', 'admin']
               },
-              description: 'Accepted recipients',
-              example: ['recipient@example.com']
+              example: ['read']
+            }
+          }
+        },
+        MailboxPoolAccount: {
+          type: 'object',
+          properties: {
+            accountId: {
+              type: 'string',
+              example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
             },
-            rejected: {
+            size: {
+              type: 'integer',
+              description: 'Open connections (busy + idle + opening)',
+              example: 3
+            },
+            busy: {
+              type: 'integer',
+              example: 2
+            },
+            idle: {
+              type: 'integer',
+              example: 1
+            },
+            opening: {
+              type: 'integer',
+              example: 0
+            },
+            waiting: {
+              type: 'integer',
+              description: 'Requests queued for a connection',
+              example: 0
+            },
+            saturated: {
+              type: 'boolean',
+              description: 'All connections are in use and the pool is at its maximum size'
+            },
+            created: {
+              type: 'integer',
+              description: 'Connections opened since the pool was created'
+            },
+            reused: {
+              type: 'integer',
+              description: 'Acquisitions served by an existing connection'
+            },
+            closed: {
+              type: 'integer'
+            },
+            acquired: {
+              type: 'integer'
+            },
+            waited: {
+              type: 'integer',
+              description: 'Acquisitions that had to queue'
+            },
+            timeouts: {
+              type: 'integer',
+              description: 'Acquisitions that gave up with POOL_TIMEOUT'
+            },
+            healthCheckFailures: {
+              type: 'integer'
+            },
+            waitMsTotal: {
+              type: 'integer'
+            },
+            waitMsMax: {
+              type: 'integer'
+            },
+            waitMsAvg: {
+              type: 'integer'
+            },
+            connections: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  state: {
+                    type: 'string',
+                    enum: ['busy', 'idle']
+                  },
+                  context: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Operation currently using the connection',
+                    example: 'messages list'
+                  },
+                  uses: {
+                    type: 'integer'
+                  },
+                  ageMs: {
+                    type: 'integer'
+                  },
+                  busyMs: {
+                    type: 'integer',
+                    nullable: true
+                  },
+                  idleMs: {
+                    type: 'integer',
+                    nullable: true
+                  }
+                }
+              }
+            }
+          }
+        },
+        MailboxPoolMetrics: {
+          type: 'object',
+          properties: {
+            instanceId: {
+              type: 'string',
+              description: 'Id of the instance that answered; pools are per instance'
+            },
+            enabled: {
+              type: 'boolean',
+              description: 'false when MAILBOX_POOL=off'
+            },
+            maxPerAccount: {
+              type: 'integer',
+              example: 5
+            },
+            idleTimeoutMs: {
+              type: 'integer',
+              example: 60000
+            },
+            acquireTimeoutMs: {
+              type: 'integer',
+              example: 30000
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                pools: {
+                  type: 'integer'
+                },
+                size: {
+                  type: 'integer'
+                },
+                busy: {
+                  type: 'integer'
+                },
+                idle: {
+                  type: 'integer'
+                },
+                waiting: {
+                  type: 'integer'
+                },
+                saturated: {
+                  type: 'integer',
+                  description: 'Accounts whose pool is saturated'
+                },
+                created: {
+                  type: 'integer'
+                },
+                reused: {
+                  type: 'integer'
+                },
+                timeouts: {
+                  type: 'integer'
+                }
+              }
+            },
+            accounts: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MailboxPoolAccount'
+              }
+            }
+          }
+        },
+        MailboxWebhookRequest: {
+          type: 'object',
+          description: 'url is required on create; every field is optional on update',
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://example.com/hooks/mail'
+            },
+            events: {
               type: 'array',
               items: {
                 type: 'string',
-                format: 'email'
+                enum: ['EmailReceived', 'EmailFlagsChanged', 'EmailDeleted', 'MailboxCountsChanged', 'WatcherReady', 'WatcherReconnecting', 'WatcherRecovered', 'Error']
               },
-              description: 'Rejected recipients',
-              example: []
+              default: ['EmailReceived'],
+              example: ['EmailReceived', 'EmailDeleted']
+            },
+            includeContent: {
+              type: 'boolean',
+              default: false,
+              description: 'Attach the parsed message (headers, text, html, attachment metadata) to EmailReceived deliveries'
+            },
+            contentMaxLength: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 1000000,
+              default: 20000,
+              description: 'text and html are cut to this many characters; content.truncated tells when that happened'
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 200,
+              example: 'CRM inbound sync'
+            },
+            enabled: {
+              type: 'boolean',
+              default: true
             }
           }
         },
-        MailboxSSEEvent: {
+        MailboxWebhookDelivery: {
           type: 'object',
-          discriminator: {
-            propertyName: 'type'
-          },
-          required: ['type'],
           properties: {
+            deliveryId: {
+              type: 'string',
+              description: 'Sent as X-Mailbox-Delivery; the same across retries of one event'
+            },
+            eventId: {
+              type: 'integer',
+              nullable: true
+            },
             type: {
               type: 'string',
-              enum: ['WatcherReady', 'EmailReceived', 'Error', 'SSEReady'],
-              description: 'Event type'
+              example: 'EmailReceived'
+            },
+            ok: {
+              type: 'boolean'
+            },
+            status: {
+              type: 'integer',
+              nullable: true,
+              description: 'HTTP status returned by the endpoint; null on network errors'
+            },
+            attempt: {
+              type: 'integer',
+              example: 1
+            },
+            durationMs: {
+              type: 'integer'
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            nextRetryAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
             }
           }
         },
+        MailboxWebhook: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxWebhookRequest'
+            },
+            {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  example: '01HZX3W6Q8M4B9N1KJ2P5R7T0V'
+                },
+                accountId: {
+                  type: 'string'
+                },
+                previousSecretExpiresAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'Until then deliveries are also signed with the previous secret'
+                },
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                updatedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                lastDelivery: {
+                  allOf: [
+                    {
+                      $ref: '#/components/schemas/MailboxWebhookDelivery'
+                    }
+                  ],
+                  nullable: true
+                }
+              }
+            }
+          ]
+        },
+        MailboxWebhookWithSecret: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxWebhook'
+            },
+            {
+              type: 'object',
+              properties: {
+                secret: {
+                  type: 'string',
+                  description: 'Signing secret; shown only once',
+                  example: 'whsec_3q2-7wABCDEF...'
+                }
+              }
+            }
+          ]
+        },
+        MailboxEmailFlagsChangedEvent: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSSEEvent'
+            },
+            {
+              type: 'object',
+              properties: {
+                accountId: {
+                  type: 'string'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'INBOX'
+                },
+                uid: {
+                  type: 'integer',
+                  nullable: true,
+                  example: 12345
+                },
+                flags: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  description: 'Full flag set after the change',
+                  example: ['\\Seen']
+                },
+                seen: {
+                  type: 'boolean'
+                },
+                flagged: {
+                  type: 'boolean'
+                },
+                modseq: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'CONDSTORE modification sequence when available'
+                }
+              }
+            }
+          ]
+        },
+        MailboxEmailDeletedEvent: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSSEEvent'
+            },
+            {
+              type: 'object',
+              description: 'A message was expunged or moved to another folder',
+              properties: {
+                accountId: {
+                  type: 'string'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'INBOX'
+                },
+                uid: {
+                  type: 'integer',
+                  nullable: true,
+                  example: 12345
+                },
+                seq: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Sequence number when the server reported EXPUNGE (null for QRESYNC VANISHED or resync)'
+                }
+              }
+            }
+          ]
+        },
+        MailboxCountsChangedEvent: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/MailboxSSEEvent'
+            },
+            {
+              type: 'object',
+              properties: {
+                accountId: {
+                  type: 'string'
+                },
+                folder: {
+                  type: 'string',
+                  example: 'INBOX'
+                },
+                messages: {
+                  type: 'integer',
+                  example: 120
+                },
+                unseen: {
+                  type: 'integer',
+                  example: 4
+                }
+              }
+            }
+          ]
+        },
         MailboxEmailReceivedEvent: {
           allOf: [
             {
@@ -1009,6 +2676,11 @@ const options = {
                   description: 'Account ID',
                   example: '01ARZ3NDEKTSV4RRFFQ69G5FAV'
                 },
+                folder: {
+                  type: 'string',
+                  description: 'Watched IMAP folder',
+                  example: 'INBOX'
+                },
                 uid: {
                   type: 'integer',
                   description: 'Message UID',
@@ -1052,6 +2724,17 @@ const options = {
                   },
                   description: 'Message flags',
                   example: ['\\Recent']
+                },
+                hasAttachments: {
+                  type: 'boolean',
+                  description: 'The message has attachment parts',
+                  example: false
+                },
+                snippet: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Preview text from the first text part (quoted lines removed, up to 160 characters)',
+                  example: 'Hi, just checking in about tomorrow...'
                 }
               }
             }
@@ -1062,6 +2745,9 @@ const options = {
     security: [
       {
         ApiKeyAuth: []
+      },
+      {
+        MailboxBearerAuth: []
       }
     ]
   },
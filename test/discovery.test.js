@@ -0,0 +1,230 @@
+// Account autodiscovery offline: the DNS/HTTP/probe points of mailboxRouter.discovery are stubbed per test,
+// and probeServer() itself runs against local sockets.
+process.env.MAILBOX_STORE = "memory";
+process.env.MAILBOX_AUTH = "off";
+process.env.MAILBOX_KEY_PROVIDER = "local";
+process.env.CONFIG_MASTER_KEY_BASE64 = process.env.CONFIG_MASTER_KEY_BASE64 || Buffer.alloc(32, 3).toString("base64");
+
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const express = require("express");
+const mailboxRouter = require("../routes/mailboxRouter");
+const { discovery } = mailboxRouter;
+
+const original = { ...discovery };
+let api;
+let server;
+let probes;
+
+// بلا أي شبكة: كل بحث فارغ ما لم يحدده الاختبار
+function stub({ xml = {}, srv = {}, mx = {}, reachable = () => true } = {}) {
+  discovery.fetchText = async (url) => {
+    if (!xml[url]) throw new Error("HTTP 404");
+    return xml[url];
+  };
+  discovery.resolveSrv = async (name) => {
+    if (!srv[name]) throw Object.assign(new Error("queryNotFound"), { code: "ENOTFOUND" });
+    return srv[name];
+  };
+  discovery.resolveMx = async (domain) => mx[domain] || [];
+  discovery.probe = async (candidate, protocol) => {
+    probes.push(`${protocol} ${candidate.server}:${candidate.port}`);
+    return reachable(candidate, protocol);
+  };
+}
+
+async function post(path, body) {
+  const resp = await fetch(`${api}/mailbox${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: resp.status, body: await resp.json() };
+}
+
+const discover = async (email, extra = {}) => (await post("/accounts/discover", { email, ...extra })).body;
+const hostsOf = (list) => list.map((c) => `${c.source} ${c.server}:${c.port}`);
+
+const AUTOCONFIG = `<?xml version="1.0"?>
+<clientConfig version="1.1">
+  <emailProvider id="example.org">
+    <incomingServer type="pop3">
+      <hostname>pop.example.org</hostname><port>995</port><socketType>SSL</socketType>
+    </incomingServer>
+    <incomingServer type="imap">
+      <hostname>mail.%EMAILDOMAIN%</hostname>
+      <port>993</port>
+      <socketType>SSL</socketType>
+      <username>%EMAILLOCALPART%</username>
+    </incomingServer>
+    <incomingServer type="imap">
+      <hostname>plain.example.org</hostname><port>143</port><socketType>plain</socketType>
+    </incomingServer>
+    <outgoingServer type="smtp">
+      <hostname>smtp.example.org</hostname>
+      <port>587</port>
+      <socketType>STARTTLS</socketType>
+      <username>%EMAILADDRESS%</username>
+    </outgoingServer>
+  </emailProvider>
+</clientConfig>`;
+
+describe("discovery", () => {
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/mailbox", mailboxRouter);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    api = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    probes = [];
+  });
+
+  afterEach(() => Object.assign(discovery, original));
+
+  it("parses Mozilla autoconfig XML and expands the username placeholders", async () => {
+    stub({ xml: { "https://autoconfig.example.org/mail/config-v1.1.xml?emailaddress=jane%40example.org": AUTOCONFIG } });
+    const found = await discover("jane@example.org");
+
+    assert.deepEqual(found.imap, {
+      server: "mail.example.org", port: 993, connection: "SSL/TLS", username: "jane", source: "autoconfig", verified: true,
+    });
+    assert.deepEqual(found.smtp, {
+      server: "smtp.example.org", port: 587, connection: "STARTTLS", username: "jane@example.org", source: "autoconfig", verified: true,
+    });
+    // pop3 و socketType=plain لا يُستخدمان
+    assert.ok(!found.candidates.imap.some((c) => c.server === "pop.example.org" || c.server === "plain.example.org"));
+  });
+
+  it("falls back to the well-known and Thunderbird autoconfig URLs", async () => {
+    stub({ xml: { "https://autoconfig.thunderbird.net/v1.1/example.org": AUTOCONFIG } });
+    const found = await discover("jane@example.org", { probe: false });
+    assert.equal(found.imap.server, "mail.example.org");
+    assert.equal(found.imap.verified, false);
+  });
+
+  it("orders candidates SRV first, then the MX preset, then guesses", async () => {
+    stub({
+      srv: {
+        "_imaps._tcp.corp.example": [
+          { name: "imap-b.corp.example.", port: 993, priority: 20, weight: 0 },
+          { name: "imap-a.corp.example.", port: 993, priority: 10, weight: 0 },
+        ],
+        "_imap._tcp.corp.example": [{ name: ".", port: 0, priority: 0, weight: 0 }],
+        "_submission._tcp.corp.example": [{ name: "submit.corp.example", port: 587, priority: 0, weight: 0 }],
+      },
+      mx: { "corp.example": [{ exchange: "aspmx.l.google.com", priority: 1 }] },
+      reachable: () => false,
+    });
+    const found = await discover("bob@corp.example");
+
+    assert.deepEqual(hostsOf(found.candidates.imap).slice(0, 4), [
+      "srv imap-a.corp.example:993",
+      "srv imap-b.corp.example:993",
+      "preset-mx imap.gmail.com:993",
+      "guess imap.corp.example:993",
+    ]);
+    assert.deepEqual(hostsOf(found.candidates.smtp).slice(0, 3), [
+      "srv submit.corp.example:587",
+      "preset-mx smtp.gmail.com:465",
+      "guess smtp.corp.example:465",
+    ]);
+    assert.equal(found.preset, "gmail");
+    assert.equal(found.oauth2Provider, "google");
+  });
+
+  it("takes the MX preset when the SRV hosts do not answer", async () => {
+    stub({
+      srv: { "_imaps._tcp.corp.example": [{ name: "imap.corp.example", port: 993, priority: 0, weight: 0 }] },
+      mx: { "corp.example": [{ exchange: "corp-example.mail.protection.outlook.com.", priority: 0 }] },
+      reachable: (c) => c.source !== "srv",
+    });
+    const found = await discover("bob@corp.example");
+
+    assert.deepEqual(probes.filter((p) => p.startsWith("imap")).slice(0, 2), [
+      "imap imap.corp.example:993",
+      "imap outlook.office365.com:993",
+    ]);
+    assert.equal(found.imap.source, "preset-mx");
+    assert.equal(found.imap.server, "outlook.office365.com");
+    assert.equal(found.imap.username, "bob@corp.example");
+    assert.equal(found.preset, "outlook");
+  });
+
+  it("returns no settings when every probe fails, and account creation reports it", async () => {
+    stub({ reachable: () => false });
+    const found = await discover("x@nowhere.example");
+    assert.equal(found.imap, null);
+    assert.equal(found.smtp, null);
+    assert.equal(probes.filter((p) => p.startsWith("imap")).length, found.candidates.imap.length);
+
+    const created = await post("/accounts", { integrationId: "int1", primaryEmail: "x@nowhere.example", password: "pw" });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.code, "DISCOVERY_FAILED");
+    assert.match(created.body.error, /imap and smtp/);
+  });
+
+  it("keeps a domain preset unverified when it cannot be probed", async () => {
+    stub({ reachable: () => false });
+    const found = await discover("someone@gmail.com");
+    assert.equal(found.preset, "gmail");
+    assert.deepEqual(
+      { server: found.imap.server, source: found.imap.source, verified: found.imap.verified },
+      { server: "imap.gmail.com", source: "preset-domain", verified: false }
+    );
+  });
+
+  it("rejects unknown presets", async () => {
+    stub();
+    const resp = await post("/accounts/discover", { email: "a@b.example", preset: "nope" });
+    assert.equal(resp.status, 400);
+    assert.equal(resp.body.code, "UNKNOWN_PRESET");
+  });
+});
+
+describe("probeServer", () => {
+  const probe = original.probe;
+  const servers = [];
+
+  // خادم TCP محلي بسلوك محدد عند الاتصال
+  async function listen(onConnection) {
+    const srv = net.createServer(onConnection);
+    await new Promise((resolve) => srv.listen(0, "127.0.0.1", resolve));
+    servers.push(srv);
+    return { server: "127.0.0.1", port: srv.address().port, connection: "STARTTLS" };
+  }
+
+  after(() => servers.forEach((s) => s.close()));
+
+  it("accepts IMAP and SMTP greetings", async () => {
+    assert.equal(await probe(await listen((s) => s.write("* OK IMAP4rev1 ready\r\n")), "imap"), true);
+    assert.equal(await probe(await listen((s) => s.write("220 mail.example ESMTP\r\n")), "smtp"), true);
+  });
+
+  it("rejects a greeting of the wrong protocol", async () => {
+    assert.equal(await probe(await listen((s) => s.write("220 mail.example ESMTP\r\n")), "imap"), false);
+  });
+
+  it("fails when the server closes the connection without a greeting", async () => {
+    const started = Date.now();
+    assert.equal(await probe(await listen((s) => s.end()), "imap", 60_000), false);
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  it("fails on a silent server after the timeout", async () => {
+    assert.equal(await probe(await listen(() => {}), "imap", 200), false);
+  });
+
+  it("fails when nothing listens on the port", async () => {
+    const target = await listen(() => {});
+    await new Promise((resolve) => servers.pop().close(resolve));
+    assert.equal(await probe(target, "smtp"), false);
+  });
+});
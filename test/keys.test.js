@@ -0,0 +1,195 @@
+// Key providers and rewrapSecrets: the local keyring and Vault transit (a local stub of
+// datakey/plaintext, decrypt and keys) must round-trip, move records to the primary key and
+// refuse envelopes sealed with a key id they do not know.
+process.env.MAILBOX_STORE = "memory";
+process.env.MAILBOX_AUTH = "off";
+process.env.MAILBOX_KEY_PROVIDER = "local";
+process.env.CONFIG_MASTER_KEY_BASE64 = process.env.CONFIG_MASTER_KEY_BASE64 || Buffer.alloc(32, 3).toString("base64");
+// بلا cache تقريباً: فك التشفير يمر عبر transit/decrypt فعلاً
+process.env.MAILBOX_KEY_CACHE_MS = "1";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const express = require("express");
+const mailboxRouter = require("../routes/mailboxRouter");
+const { loadAccount, accountSecret, rewrapSecrets, keyProviders } = mailboxRouter;
+
+const NEXT_KEY = Buffer.alloc(32, 4).toString("base64");
+
+// Vault transit وهمي: الـ data key المغلّف مرجع لما أُعطي، بإصدار المفتاح الحالي
+const vault = { version: 1, wrapped: new Map(), calls: [] };
+let api;
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function vaultHandler(req, res) {
+  let raw = "";
+  req.on("data", (c) => (raw += c));
+  req.on("end", () => {
+    if (req.headers["x-vault-token"] !== "test-token") return send(res, 403, { errors: ["permission denied"] });
+    const m = /^\/v1\/transit\/(datakey\/plaintext|decrypt|keys)\/omni-email$/.exec(req.url);
+    if (!m) return send(res, 404, { errors: ["no handler for route"] });
+    vault.calls.push(m[1]);
+    if (m[1] === "keys") return send(res, 200, { data: { latest_version: vault.version } });
+    if (m[1] === "decrypt") {
+      const plaintext = vault.wrapped.get(JSON.parse(raw).ciphertext);
+      if (!plaintext) return send(res, 400, { errors: ["invalid ciphertext"] });
+      return send(res, 200, { data: { plaintext } });
+    }
+    const plaintext = crypto.randomBytes(32).toString("base64");
+    const ciphertext = `vault:v${vault.version}:${crypto.randomBytes(12).toString("base64")}`;
+    vault.wrapped.set(ciphertext, plaintext);
+    send(res, 200, { data: { plaintext, ciphertext, key_version: vault.version } });
+  });
+}
+
+async function createAccount(server) {
+  const resp = await fetch(`${api}/mailbox/accounts`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      integrationId: "keys-test",
+      primaryEmail: "user@example.com",
+      imap: { server, port: 993, username: "user@example.com", password: "pw", connection: "SSL/TLS" },
+      smtp: { server, port: 465, username: "user@example.com", password: "pw", connection: "SSL/TLS" },
+    }),
+  });
+  const body = await resp.json();
+  assert.equal(resp.status, 200, body.error);
+  return body.accountId;
+}
+
+const envelope = async (accountId) => (await loadAccount(accountId)).enc;
+const secretOf = async (accountId) => accountSecret(await loadAccount(accountId));
+
+async function rewrap(options) {
+  return rewrapSecrets(options).done;
+}
+
+function useKeyring(keys, primary) {
+  if (keys) process.env.CONFIG_MASTER_KEYS = keys;
+  else delete process.env.CONFIG_MASTER_KEYS;
+  if (primary) process.env.CONFIG_MASTER_KEY_PRIMARY = primary;
+  else delete process.env.CONFIG_MASTER_KEY_PRIMARY;
+}
+
+describe("key providers and rewrapSecrets", () => {
+  const servers = [];
+  let first;
+  let second;
+
+  before(async () => {
+    const stub = http.createServer(vaultHandler);
+    process.env.VAULT_ADDR = `http://127.0.0.1:${await listen(stub)}`;
+    process.env.VAULT_TOKEN = "test-token";
+
+    const app = express();
+    app.use(express.json());
+    app.use("/mailbox", mailboxRouter);
+    const server = http.createServer(app);
+    api = `http://127.0.0.1:${await listen(server)}`;
+    servers.push(stub, server);
+  });
+
+  after(() => {
+    servers.forEach((s) => s.close());
+    process.env.MAILBOX_KEY_PROVIDER = "local";
+    useKeyring(null, null);
+  });
+
+  it("round-trips a secret through the local keyring", async () => {
+    first = await createAccount("imap.local.example");
+    const enc = await envelope(first);
+    assert.equal(enc.kp, "local");
+    assert.equal(enc.kid, "default");
+    assert.equal((await secretOf(first)).imap.server, "imap.local.example");
+  });
+
+  it("moves local records to the new primary kid, and leaves them alone on a dry run", async () => {
+    useKeyring(`next:${NEXT_KEY}`, "next");
+
+    const dry = await rewrap({ dryRun: true });
+    assert.equal(dry.state, "done");
+    assert.equal(dry.rewrapped, 1);
+    assert.equal((await envelope(first)).kid, "default");
+
+    const job = await rewrap();
+    assert.equal(job.state, "done");
+    assert.deepEqual([job.rewrapped, job.failed], [1, 0]);
+    assert.equal((await envelope(first)).kid, "next");
+    assert.equal((await secretOf(first)).imap.server, "imap.local.example");
+
+    const again = await rewrap();
+    assert.deepEqual([again.rewrapped, again.upToDate], [0, 1]);
+  });
+
+  it("fails loudly when the envelope's kid is not in the keyring", async () => {
+    useKeyring(null, null);
+    const before = await envelope(first);
+
+    await assert.rejects(secretOf(first), { code: "UNKNOWN_KEY_ID", message: /"next" is not in the keyring/ });
+    const job = await rewrap();
+    assert.equal(job.failed, 1);
+    assert.equal(job.errors[0].code, "UNKNOWN_KEY_ID");
+    assert.deepEqual(await envelope(first), before);
+
+    useKeyring(`next:${NEXT_KEY}`, "next");
+  });
+
+  it("round-trips a secret through Vault transit", async () => {
+    process.env.MAILBOX_KEY_PROVIDER = "vault";
+    second = await createAccount("imap.vault.example");
+    const enc = await envelope(second);
+    assert.equal(enc.kp, "vault");
+    assert.equal(enc.kid, "vault:omni-email");
+    assert.match(enc.dk, /^vault:v1:/);
+    assert.equal(enc.salt, undefined);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    vault.calls = [];
+    assert.equal((await secretOf(second)).imap.server, "imap.vault.example");
+    assert.deepEqual(vault.calls, ["decrypt"]);
+  });
+
+  it("moves records to Vault and then to the rotated transit key version", async () => {
+    const moved = await rewrap();
+    assert.deepEqual([moved.rewrapped, moved.upToDate, moved.failed], [1, 1, 0]);
+    assert.equal((await envelope(first)).kp, "vault");
+
+    vault.version = 2;
+    vault.calls = [];
+    const job = await rewrap();
+    assert.ok(vault.calls.includes("keys"));
+    assert.deepEqual([job.rewrapped, job.failed], [2, 0]);
+    for (const id of [first, second]) {
+      assert.match((await envelope(id)).dk, /^vault:v2:/);
+      assert.ok((await secretOf(id)).imap.server);
+    }
+  });
+
+  it("refuses envelopes sealed with another Vault transit key", async () => {
+    process.env.VAULT_TRANSIT_KEY = "other-key";
+    try {
+      await assert.rejects(secretOf(first), { code: "UNKNOWN_KEY_ID", message: /"vault:omni-email" is not the configured Vault transit key/ });
+    } finally {
+      delete process.env.VAULT_TRANSIT_KEY;
+    }
+  });
+
+  it("surfaces Vault errors as KEY_PROVIDER_ERROR", async () => {
+    process.env.VAULT_TOKEN = "wrong-token";
+    try {
+      await assert.rejects(keyProviders.vault.dataKey(), { code: "KEY_PROVIDER_ERROR", message: /datakey\/plaintext failed \(403\): permission denied/ });
+    } finally {
+      process.env.VAULT_TOKEN = "test-token";
+    }
+  });
+});
@@ -0,0 +1,134 @@
+// OAuth2 access-token refresh against a local stub token endpoint: refresh before expiry,
+// persisting a rotated refresh_token, and the invalid_grant error path.
+process.env.MAILBOX_STORE = "memory";
+process.env.MAILBOX_AUTH = "off";
+process.env.MAILBOX_KEY_PROVIDER = "local";
+process.env.CONFIG_MASTER_KEY_BASE64 = process.env.CONFIG_MASTER_KEY_BASE64 || Buffer.alloc(32, 3).toString("base64");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const mailboxRouter = require("../routes/mailboxRouter");
+const { loadAccount, accountSecret } = mailboxRouter;
+
+// نقطة token وهمية: تسجّل الطلبات وتردّ بما في reply
+const tokenServer = { requests: [], reply: null };
+let tokenUrl;
+let api;
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+async function createAccount(oauth2) {
+  const resp = await fetch(`${api}/mailbox/accounts`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      integrationId: "oauth-test",
+      primaryEmail: "user@example.com",
+      imap: { server: "imap.example.com", port: 993, username: "user@example.com", connection: "SSL/TLS" },
+      smtp: { server: "smtp.example.com", port: 465, username: "user@example.com", connection: "SSL/TLS" },
+      oauth2: { provider: "custom", clientId: "client-1", clientSecret: "shh", tokenEndpoint: tokenUrl, ...oauth2 },
+    }),
+  });
+  const body = await resp.json();
+  assert.equal(resp.status, 200, body.error);
+  return body.accountId;
+}
+
+const secretOf = async (accountId) => accountSecret(await loadAccount(accountId));
+
+describe("OAuth2 token refresh", () => {
+  const servers = [];
+
+  before(async () => {
+    const stub = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", (c) => (raw += c));
+      req.on("end", () => {
+        tokenServer.requests.push(Object.fromEntries(new URLSearchParams(raw)));
+        const { status, body } = tokenServer.reply;
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(body));
+      });
+    });
+    tokenUrl = `http://127.0.0.1:${await listen(stub)}/token`;
+
+    const app = express();
+    app.use(express.json());
+    app.use("/mailbox", mailboxRouter);
+    const server = http.createServer(app);
+    api = `http://127.0.0.1:${await listen(server)}`;
+    servers.push(stub, server);
+  });
+
+  after(() => servers.forEach((s) => s.close()));
+
+  beforeEach(() => {
+    tokenServer.requests = [];
+    tokenServer.reply = { status: 200, body: { access_token: "fresh-token", expires_in: 3600, token_type: "Bearer" } };
+  });
+
+  it("uses the stored access token while it is not about to expire", async () => {
+    const id = await createAccount({ refreshToken: "r-1", accessToken: "still-good", expiresAt: Date.now() + 10 * 60 * 1000 });
+    const secret = await secretOf(id);
+    assert.equal(secret.oauth2.accessToken, "still-good");
+    assert.equal(tokenServer.requests.length, 0);
+  });
+
+  it("refreshes shortly before expiry and sends the refresh_token grant", async () => {
+    const id = await createAccount({ refreshToken: "r-2", accessToken: "old", expiresAt: Date.now() + 30 * 1000 });
+    const before = Date.now();
+    const secret = await secretOf(id);
+    assert.equal(secret.oauth2.accessToken, "fresh-token");
+    assert.ok(secret.oauth2.expiresAt >= before + 3600 * 1000);
+    assert.deepEqual(tokenServer.requests, [
+      { grant_type: "refresh_token", client_id: "client-1", refresh_token: "r-2", client_secret: "shh" },
+    ]);
+  });
+
+  it("persists the new access token and a rotated refresh_token", async () => {
+    tokenServer.reply.body.refresh_token = "r-3-rotated";
+    const id = await createAccount({ refreshToken: "r-3" });
+    assert.equal((await secretOf(id)).oauth2.refreshToken, "r-3-rotated");
+
+    // قراءة جديدة من المخزن: لا تجديد آخر والقيم المحفوظة هي الجديدة
+    const stored = await secretOf(id);
+    assert.equal(tokenServer.requests.length, 1);
+    assert.equal(stored.oauth2.accessToken, "fresh-token");
+    assert.equal(stored.oauth2.refreshToken, "r-3-rotated");
+  });
+
+  it("keeps the refresh_token when the provider does not rotate it", async () => {
+    const id = await createAccount({ refreshToken: "r-4" });
+    await secretOf(id);
+    assert.equal((await secretOf(id)).oauth2.refreshToken, "r-4");
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    const id = await createAccount({ refreshToken: "r-5" });
+    const acc = await loadAccount(id);
+    const secrets = await Promise.all([accountSecret(acc), accountSecret(acc), accountSecret(acc)]);
+    assert.equal(tokenServer.requests.length, 1);
+    assert.deepEqual(secrets.map((s) => s.oauth2.accessToken), ["fresh-token", "fresh-token", "fresh-token"]);
+  });
+
+  it("fails with OAUTH2_REFRESH_FAILED on invalid_grant and leaves the stored credentials alone", async () => {
+    tokenServer.reply = { status: 400, body: { error: "invalid_grant", error_description: "Token has been expired or revoked." } };
+    const id = await createAccount({ refreshToken: "r-revoked", accessToken: "old", expiresAt: Date.now() - 1000 });
+    const enc = (await loadAccount(id)).enc;
+
+    await assert.rejects(secretOf(id), (err) => {
+      assert.equal(err.code, "OAUTH2_REFRESH_FAILED");
+      assert.match(err.message, /Token has been expired or revoked/);
+      return true;
+    });
+    assert.deepEqual((await loadAccount(id)).enc, enc);
+
+    // الطلب التالي يحاول من جديد بدل أن يعيد نتيجة فاشلة محفوظة
+    tokenServer.reply = { status: 200, body: { access_token: "after-reconsent", expires_in: 3600 } };
+    assert.equal((await secretOf(id)).oauth2.accessToken, "after-reconsent");
+  });
+});
@@ -0,0 +1,123 @@
+// toImapSearch(): structured queries -> ImapFlow search objects, checked both as objects and as the
+// IMAP SEARCH keys ImapFlow's own compiler emits from them (NOT/OR there take exactly one key each).
+process.env.MAILBOX_STORE = process.env.MAILBOX_STORE || "memory";
+process.env.MAILBOX_AUTH = "off";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { searchCompiler } = require("imapflow/lib/search-compiler");
+const { toImapSearch } = require("../routes/mailboxRouter");
+
+const connection = { capabilities: new Set(), enabled: new Set(), mailbox: { flags: new Set() } };
+const compile = (query) => searchCompiler(connection, query).map((a) => a.value);
+const imap = (query, caps) => compile(toImapSearch(query, caps)).join(" ");
+
+// مقيّم صغير لمفاتيح SEARCH بالترتيب البادئ (prefix) كما يفعل الخادم
+function matches(tokens, msg) {
+  let i = 0;
+  const key = () => {
+    const t = tokens[i++];
+    switch (t) {
+      case "ALL": return true;
+      case "NOT": return !key();
+      case "OR": {
+        const a = key();
+        const b = key();
+        return a || b;
+      }
+      case "SEEN": return msg.seen;
+      case "UNSEEN": return !msg.seen;
+      case "FLAGGED": return msg.flagged;
+      case "UNFLAGGED": return !msg.flagged;
+      case "FROM": return msg.from.includes(tokens[i++]);
+      case "SUBJECT": return msg.subject.includes(tokens[i++]);
+      default: throw new Error(`Unexpected search key ${t}`);
+    }
+  };
+  let result = true;
+  while (i < tokens.length) result = key() && result; // المفاتيح المتتالية AND ضمني
+  return result;
+}
+
+const mailbox = [];
+for (const from of ["alice", "bob", "carol"]) {
+  for (const subject of ["invoice", "hello"]) {
+    for (const seen of [true, false]) {
+      for (const flagged of [true, false]) mailbox.push({ from, subject, seen, flagged });
+    }
+  }
+}
+const select = (query) => mailbox.filter((m) => matches(compile(toImapSearch(query)), m));
+
+describe("toImapSearch", () => {
+  it("searches everything for an empty query", () => {
+    assert.deepEqual(toImapSearch({}), { all: true });
+    assert.equal(imap({}), "ALL");
+  });
+
+  it("merges distinct keys into one object (implicit AND)", () => {
+    assert.deepEqual(toImapSearch({ from: "alice", seen: false }), { from: "alice", seen: false });
+    assert.equal(imap({ from: "alice", seen: false }), "FROM alice UNSEEN");
+  });
+
+  it("ANDs repeated keys through De Morgan instead of overwriting them", () => {
+    const query = { and: [{ subject: "in" }, { subject: "voice" }] };
+    assert.deepEqual(toImapSearch(query), { not: { or: [{ not: { subject: "in" } }, { not: { subject: "voice" } }] } });
+    assert.equal(imap(query), "NOT OR NOT SUBJECT in NOT SUBJECT voice");
+    assert.equal(select(query).length, mailbox.filter((m) => m.subject === "invoice").length);
+  });
+
+  it("pairs or arrays of more than two terms into nested ORs", () => {
+    const query = { or: [{ from: "alice" }, { from: "bob" }, { flagged: true }] };
+    assert.deepEqual(toImapSearch(query), query);
+    assert.equal(imap(query), "OR OR FROM alice FROM bob FLAGGED");
+    assert.deepEqual(select(query), mailbox.filter((m) => m.from === "alice" || m.from === "bob" || m.flagged));
+  });
+
+  it("collapses a multi-term or branch into a single key", () => {
+    const query = { or: [{ from: "alice", seen: true }, { subject: "hello" }] };
+    assert.deepEqual(toImapSearch(query), {
+      or: [{ not: { or: [{ not: { from: "alice" } }, { not: { seen: true } }] } }, { subject: "hello" }],
+    });
+    assert.equal(imap(query), "OR NOT OR NOT FROM alice NOT SEEN SUBJECT hello");
+    assert.deepEqual(select(query), mailbox.filter((m) => (m.from === "alice" && m.seen) || m.subject === "hello"));
+  });
+
+  it("negates a multi-term not as a whole", () => {
+    const query = { not: { from: "bob", subject: "invoice" } };
+    assert.equal(imap(query), "NOT NOT OR NOT FROM bob NOT SUBJECT invoice");
+    assert.deepEqual(select(query), mailbox.filter((m) => !(m.from === "bob" && m.subject === "invoice")));
+  });
+
+  it("keeps AND, OR and NOT apart when they are combined", () => {
+    const query = {
+      seen: false,
+      or: [{ from: "alice" }, { and: [{ from: "carol" }, { flagged: true }] }],
+      not: { or: [{ subject: "hello" }, { flagged: false }] },
+    };
+    const expected = (m) =>
+      !m.seen && (m.from === "alice" || (m.from === "carol" && m.flagged)) && !(m.subject === "hello" || !m.flagged);
+    assert.deepEqual(select(query), mailbox.filter(expected));
+    assert.ok(select(query).length > 0);
+  });
+
+  it("falls back to De Morgan when a nested and repeats a top-level key", () => {
+    const query = { from: "alice", and: [{ from: "ali" }], seen: true };
+    assert.equal(imap(query), "NOT OR OR NOT FROM alice NOT SEEN NOT FROM ali");
+    assert.deepEqual(select(query), mailbox.filter((m) => m.from === "alice" && m.seen));
+  });
+
+  it("maps hasAttachment to X-GM-RAW on Gmail and to multipart/mixed elsewhere", () => {
+    assert.deepEqual(toImapSearch({ hasAttachment: true }, { gmail: true }), { gmraw: "has:attachment" });
+    assert.deepEqual(toImapSearch({ hasAttachment: true }), { header: { "content-type": "multipart/mixed" } });
+    assert.deepEqual(toImapSearch({ hasAttachment: false }), { not: { header: { "content-type": "multipart/mixed" } } });
+  });
+
+  it("turns header matches into HEADER keys", () => {
+    const query = { header: { "list-id": "news", "x-priority": "1" } };
+    assert.deepEqual(toImapSearch(query), {
+      not: { or: [{ not: { header: { "list-id": "news" } } }, { not: { header: { "x-priority": "1" } } }] },
+    });
+    assert.equal(imap({ header: { "list-id": "news" } }), "HEADER LIST-ID news");
+  });
+});
@@ -0,0 +1,167 @@
+// Contract shared by the storage adapters (MAILBOX_STORE): every adapter must pass it unchanged.
+// memory always runs; redis runs with REDIS_URL, upstash with UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN.
+process.env.MAILBOX_STORE = process.env.MAILBOX_STORE || "memory";
+process.env.MAILBOX_AUTH = "off";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../routes/mailboxRouter");
+
+const adapters = [
+  { kind: "memory", enabled: true },
+  { kind: "redis", enabled: Boolean(process.env.REDIS_URL) },
+  { kind: "upstash", enabled: Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) },
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function scanAll(store, match) {
+  const keys = [];
+  let cursor = "0";
+  do {
+    const [next, batch] = await store.scan(cursor, { match, count: 100 });
+    cursor = String(next);
+    keys.push(...batch);
+  } while (cursor !== "0");
+  return Array.from(new Set(keys)).sort();
+}
+
+for (const { kind, enabled } of adapters) {
+  describe(`${kind} store`, { skip: !enabled && `${kind} is not configured` }, () => {
+    let store;
+    // مفاتيح الاختبار تحت بادئة خاصة حتى يمكن تشغيله على Redis مشترك
+    const prefix = `test:contract:${Date.now()}:${Math.random().toString(36).slice(2)}:`;
+    const k = (name) => prefix + name;
+
+    before(() => {
+      store = createStore(kind);
+    });
+
+    after(async () => {
+      const keys = await scanAll(store, `${prefix}*`);
+      if (keys.length) await store.del(...keys);
+      store.client?.disconnect?.();
+    });
+
+    it("returns null for missing keys", async () => {
+      assert.equal(await store.get(k("missing")), null);
+    });
+
+    it("round-trips JSON values and keeps strings as strings", async () => {
+      assert.equal(await store.set(k("obj"), { a: 1, b: [1, "x"], c: null }), "OK");
+      assert.deepEqual(await store.get(k("obj")), { a: 1, b: [1, "x"], c: null });
+      await store.set(k("str"), "01ARZ3NDEKTSV4RRFFQ69G5FAV");
+      assert.equal(await store.get(k("str")), "01ARZ3NDEKTSV4RRFFQ69G5FAV");
+      await store.set(k("num"), 42);
+      assert.equal(await store.get(k("num")), 42);
+    });
+
+    it("sets with nx only when the key is absent", async () => {
+      assert.equal(await store.set(k("nx"), "first", { nx: true }), "OK");
+      assert.equal(await store.set(k("nx"), "second", { nx: true }), null);
+      assert.equal(await store.get(k("nx")), "first");
+    });
+
+    it("expires keys set with px and ex", async () => {
+      await store.set(k("px"), { v: 1 }, { px: 200 });
+      await store.set(k("ex"), { v: 1 }, { ex: 1 });
+      assert.deepEqual(await store.get(k("px")), { v: 1 });
+      await wait(400);
+      assert.equal(await store.get(k("px")), null);
+      assert.deepEqual(await store.get(k("ex")), { v: 1 });
+      await wait(1000);
+      assert.equal(await store.get(k("ex")), null);
+    });
+
+    it("deletes several keys and counts only existing ones", async () => {
+      await store.set(k("del1"), 1);
+      await store.set(k("del2"), 2);
+      assert.equal(await store.del(k("del1"), k("del2"), k("del3")), 2);
+    });
+
+    it("increments counters from missing or numeric values", async () => {
+      assert.equal(await store.incr(k("seq")), 1);
+      assert.equal(await store.incr(k("seq")), 2);
+      await store.set(k("seeded"), 41, { nx: true });
+      assert.equal(await store.incr(k("seeded")), 42);
+      assert.equal(await store.get(k("seeded")), 42);
+    });
+
+    it("adds, removes and lists set members", async () => {
+      assert.equal(await store.sadd(k("set"), "a", "b"), 2);
+      assert.equal(await store.sadd(k("set"), "a"), 0);
+      assert.deepEqual((await store.smembers(k("set"))).sort(), ["a", "b"]);
+      assert.equal(await store.srem(k("set"), "a", "zzz"), 1);
+      assert.deepEqual(await store.smembers(k("set")), ["b"]);
+      assert.deepEqual(await store.smembers(k("no-set")), []);
+    });
+
+    it("pushes, ranges and trims lists with negative indexes", async () => {
+      for (let i = 1; i <= 5; i++) await store.rpush(k("list"), { id: i });
+      assert.deepEqual((await store.lrange(k("list"), -2, -1)).map((e) => e.id), [4, 5]);
+      assert.equal(await store.ltrim(k("list"), -3, -1), "OK");
+      assert.deepEqual((await store.lrange(k("list"), 0, -1)).map((e) => e.id), [3, 4, 5]);
+      assert.deepEqual((await store.lrange(k("list"), 1, 1)).map((e) => e.id), [4]);
+      assert.deepEqual(await store.lrange(k("no-list"), 0, -1), []);
+    });
+
+    it("scans keys by glob", async () => {
+      await store.set(k("scan:a"), 1);
+      await store.set(k("scan:b"), 2);
+      await store.set(k("other"), 3);
+      assert.deepEqual(await scanAll(store, `${prefix}scan:*`), [k("scan:a"), k("scan:b")]);
+    });
+
+    it("adds stream entries and trims to MAXLEN", async () => {
+      const ids = [];
+      for (let i = 0; i < 5; i++) {
+        ids.push(await store.xadd(k("trimmed"), "*", { n: i }, { trim: { type: "MAXLEN", comparison: "=", threshold: 3 } }));
+      }
+      assert.deepEqual(Object.keys(await store.xrange(k("trimmed"), "-", "+")), ids.slice(2));
+    });
+
+    it("reads stream ranges with inclusive and ( exclusive bounds", async () => {
+      const ids = [];
+      for (let i = 0; i < 4; i++) ids.push(await store.xadd(k("stream"), "*", { origin: "i1", entry: JSON.stringify({ id: i }) }));
+      const all = await store.xrange(k("stream"), "-", "+");
+      assert.deepEqual(Object.keys(all), ids);
+      assert.equal(all[ids[0]].origin, "i1");
+      assert.deepEqual(all[ids[0]].entry, { id: 0 });
+
+      assert.deepEqual(Object.keys(await store.xrange(k("stream"), ids[1], "+")), ids.slice(1));
+      assert.deepEqual(Object.keys(await store.xrange(k("stream"), `(${ids[1]}`, "+")), ids.slice(2));
+      assert.deepEqual(Object.keys(await store.xrange(k("stream"), `(${ids[1]}`, "+", 1)), [ids[2]]);
+      assert.deepEqual(Object.keys(await store.xrange(k("stream"), "-", `(${ids[2]}`)), ids.slice(0, 2));
+
+      assert.deepEqual(Object.keys(await store.xrevrange(k("stream"), "+", "-", 1)), [ids[3]]);
+      assert.deepEqual(Object.keys(await store.xrevrange(k("stream"), `(${ids[3]}`, "-")), ids.slice(0, 3).reverse());
+      assert.deepEqual(Object.keys(await store.xrevrange(k("stream"), "+", `(${ids[1]}`)), ids.slice(2).reverse());
+      assert.deepEqual(await store.xrange(k("no-stream"), "-", "+"), {});
+    });
+
+    it("renews and deletes only when the value still matches", async () => {
+      assert.equal(await store.set(k("lease"), "owner-1", { nx: true, px: 300 }), "OK");
+      assert.equal(await store.pexpireIfEquals(k("lease"), "owner-2", 5000), 0);
+      assert.equal(await store.pexpireIfEquals(k("lease"), "owner-1", 5000), 1);
+      await wait(400);
+      assert.equal(await store.get(k("lease")), "owner-1");
+      assert.equal(await store.delIfEquals(k("lease"), "owner-2"), 0);
+      assert.equal(await store.delIfEquals(k("lease"), "owner-1"), 1);
+      assert.equal(await store.get(k("lease")), null);
+      assert.equal(await store.pexpireIfEquals(k("lease"), "owner-1", 5000), 0);
+    });
+
+    it("replaces a record only when it still holds the value read", async () => {
+      const read = { id: "a1", settings: { saveToSent: true }, enc: { ct: "old" } };
+      await store.set(k("record"), read);
+      assert.equal(await store.setIfEquals(k("record"), read, { ...read, enc: { ct: "new" } }), 1);
+      assert.deepEqual(await store.get(k("record")), { ...read, enc: { ct: "new" } });
+
+      await store.set(k("record"), { ...read, settings: { saveToSent: false } });
+      assert.equal(await store.setIfEquals(k("record"), read, { ...read, enc: { ct: "newer" } }), 0);
+      assert.deepEqual(await store.get(k("record")), { ...read, settings: { saveToSent: false } });
+      assert.equal(await store.setIfEquals(k("no-record"), read, read), 0);
+      assert.equal(await store.get(k("no-record")), null);
+    });
+  });
+}
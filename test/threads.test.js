@@ -0,0 +1,114 @@
+// jwzThreads() fallback threading and the thread ids the routes hand out, on fixed message fixtures.
+process.env.MAILBOX_STORE = process.env.MAILBOX_STORE || "memory";
+process.env.MAILBOX_AUTH = "off";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { jwzThreads, threadSummary, decodeThreadId } = require("../routes/mailboxRouter");
+
+let nextUid = 1;
+// نفس شكل threadMessage() بعد FETCH
+function message({ id = null, inReplyTo = null, references = [], subject = "", day = nextUid, folder = "INBOX", seen = true }) {
+  const uid = nextUid++;
+  return {
+    folder,
+    uid,
+    messageId: id,
+    inReplyTo,
+    references,
+    subject,
+    from: [`sender${uid}@example.com`],
+    to: ["me@example.com"],
+    cc: [],
+    date: new Date(Date.UTC(2024, 0, day)).toISOString(),
+    flags: seen ? ["\\Seen"] : [],
+  };
+}
+
+const uidsOf = (group) => group.messages.map((m) => m.uid).sort((a, b) => a - b);
+const byUids = (groups) => groups.map(uidsOf).sort((a, b) => a[0] - b[0]);
+
+describe("jwzThreads", () => {
+  it("builds one thread from References and In-Reply-To", () => {
+    const a = message({ id: "<a@x>", subject: "plan" });
+    const b = message({ id: "<b@x>", inReplyTo: "<a@x>", references: ["<a@x>"], subject: "Re: plan" });
+    const c = message({ id: "<c@x>", inReplyTo: "<b@x>", references: ["<a@x>", "<b@x>"], subject: "Re: plan" });
+    const groups = jwzThreads([c, a, b]);
+    assert.deepEqual(byUids(groups), [[a.uid, b.uid, c.uid]]);
+    assert.equal(groups[0].rootId, "<a@x>");
+  });
+
+  it("keeps replies to a missing parent together under the missing Message-ID", () => {
+    const b = message({ id: "<b2@x>", inReplyTo: "<gone@x>", references: ["<gone@x>"], subject: "Re: lost" });
+    const c = message({ id: "<c2@x>", inReplyTo: "<b2@x>", references: ["<gone@x>", "<b2@x>"], subject: "Re: lost" });
+    const d = message({ id: "<d2@x>", inReplyTo: "<gone@x>", subject: "Re: lost" });
+    const groups = jwzThreads([b, c, d]);
+    assert.deepEqual(byUids(groups), [[b.uid, c.uid, d.uid]]);
+    assert.equal(groups[0].rootId, "<gone@x>");
+    assert.deepEqual(decodeThreadId(threadSummary(groups[0]).threadId), { rootId: "<gone@x>" });
+  });
+
+  it("links through a missing message in the middle of References", () => {
+    const a = message({ id: "<a3@x>", subject: "chain" });
+    const c = message({ id: "<c3@x>", inReplyTo: "<b3@x>", references: ["<a3@x>", "<b3@x>"], subject: "Re: chain" });
+    assert.deepEqual(byUids(jwzThreads([a, c])), [[a.uid, c.uid]]);
+  });
+
+  it("terminates on reply loops and keeps each message once", () => {
+    const a = message({ id: "<la@x>", inReplyTo: "<lb@x>", references: ["<lb@x>"], subject: "loop" });
+    const b = message({ id: "<lb@x>", inReplyTo: "<la@x>", references: ["<la@x>"], subject: "Re: loop" });
+    const self = message({ id: "<ls@x>", inReplyTo: "<ls@x>", references: ["<ls@x>"], subject: "mirror" });
+    const groups = jwzThreads([a, b, self]);
+    assert.deepEqual(byUids(groups), [[a.uid, b.uid], [self.uid]]);
+  });
+
+  it("groups replies without headers by subject only", () => {
+    const a = message({ id: "<s1@x>", subject: "Quarterly report", day: 1 });
+    const b = message({ id: "<s2@x>", subject: "RE: Quarterly report", day: 2 });
+    const c = message({ id: "<s3@x>", subject: "Fwd: Re[2]: quarterly REPORT ", day: 3 });
+    const groups = jwzThreads([a, b, c]);
+    assert.deepEqual(byUids(groups), [[a.uid, b.uid, c.uid]]);
+    assert.equal(groups[0].rootId, "<s1@x>");
+  });
+
+  it("does not merge unrelated messages that merely share a subject", () => {
+    const a = message({ id: "<n1@x>", subject: "Daily digest" });
+    const b = message({ id: "<n2@x>", subject: "Daily digest" });
+    assert.deepEqual(byUids(jwzThreads([a, b])), [[a.uid], [b.uid]]);
+  });
+
+  it("gives messages without a unique Message-ID thread ids that resolve to their folder and UID", () => {
+    const none = message({ subject: "no id", folder: "My Folder" });
+    const first = message({ id: "<dup@x>", subject: "copy one" });
+    const copy = message({ id: "<dup@x>", subject: "copy two" });
+    const groups = jwzThreads([none, first, copy]);
+    assert.deepEqual(byUids(groups), [[none.uid], [first.uid], [copy.uid]]);
+
+    const ids = Object.fromEntries(groups.map((g) => [g.messages[0].uid, decodeThreadId(threadSummary(g).threadId)]));
+    assert.deepEqual(ids[none.uid], { rootId: `uid:${none.uid}:My Folder`, uid: none.uid, folder: "My Folder" });
+    assert.deepEqual(ids[first.uid], { rootId: "<dup@x>" });
+    assert.deepEqual(ids[copy.uid], { rootId: `uid:${copy.uid}:INBOX`, uid: copy.uid, folder: "INBOX" });
+  });
+});
+
+describe("threadSummary", () => {
+  it("summarizes participants, unread count and the last message", () => {
+    const a = message({ id: "<t1@x>", subject: "hi", day: 1 });
+    const b = message({ id: "<t2@x>", inReplyTo: "<t1@x>", subject: "Re: hi", day: 5, seen: false });
+    const summary = threadSummary({ rootId: "<t1@x>", messages: [b, a] });
+    assert.equal(summary.subject, "hi");
+    assert.equal(summary.messageCount, 2);
+    assert.equal(summary.unreadCount, 1);
+    assert.equal(summary.lastUid, b.uid);
+    assert.deepEqual(summary.uids, [a.uid, b.uid]);
+    assert.deepEqual(summary.participants.sort(), [a.from[0], b.from[0], "me@example.com"].sort());
+  });
+});
+
+describe("decodeThreadId", () => {
+  it("rejects ids that are neither a Message-ID nor a UID root", () => {
+    assert.throws(() => decodeThreadId("abc"), /Invalid threadId/);
+    assert.throws(() => decodeThreadId(Buffer.from("<a b@x>").toString("base64url")), /Invalid threadId/);
+    assert.throws(() => decodeThreadId(Buffer.from("uid:x:INBOX").toString("base64url")), /Invalid threadId/);
+  });
+});